@@ -20,8 +20,11 @@ class CanvasToolClass {
      * @param {number} width  number @see https://developer.mozilla.org/en-US/docs/Web/API/HTMLCanvasElement/width
      * @param {number} height number @see https://developer.mozilla.org/en-US/docs/Web/API/HTMLCanvasElement/height
      * @param {number} border number - The size of border, 0 to 10% of the height.
+     * @param {Object} [surface] - Optional headless surface. Either an ImageData-like {width, height, data} object
+     * or a plain RGBA buffer of (width + 2 * border) * (height + 2 * border) * 4 bytes. When given, drawBegin() does
+     * not need a document and all drawing goes into this surface, so the class also works in Node.
      */
-    constructor(canvasId, width, height, border) {
+    constructor(canvasId, width, height, border, surface) {
         /** @private */
         this.canvasId = canvasId;
         /** @private */
@@ -40,6 +43,65 @@ class CanvasToolClass {
         this.dataContext = null;
         /** @private */
         this.logAllErrors = true;
+        /** @private */
+        this.logger = null;
+        /** @private */
+        this.surface = null;
+        /** @private */
+        this.surfaceContext = null;
+        /** @private */
+        this.keepFrame = false;
+        /** @private */
+        this.keptFrame = null;
+        /** @private {x0, y0, x1, y1, under} drawn by the overlays over the kept frame, re-put by the next drawEnd() */
+        this.overlayRect = null;
+        /** @private */
+        this.lanes = [];
+        /** @private */
+        this.laneGutter = 0;
+        /** @private */
+        this.theme = CanvasTheme.from('classic');
+        /** @private */
+        this.annotations = null;
+        /** @private */
+        this.visibleStart = 0;
+        /** @private */
+        this.samplesPerPixel = 1;
+        /** @private */
+        this.viewport = null;
+        /** @private */
+        this.session = null;
+        /** @private */
+        this.frameQueue = [];
+        /** @private changed pixels of the open frame, x0 y0 inclusive, x1 y1 exclusive */
+        this.dirtyX0 = 0;
+        /** @private */
+        this.dirtyY0 = 0;
+        /** @private */
+        this.dirtyX1 = 0;
+        /** @private */
+        this.dirtyY1 = 0;
+        /** @private */
+        this.isInvalid = false;
+        /** @private device pixels per CSS pixel, @see fitElement */
+        this.pixelRatio = 1;
+        /** @private {width, height, border} asked while a frame was open */
+        this.pendingSize = null;
+        /** @private */
+        this.resizeObserver = null;
+        /** @private lanes as given to setLanes(), to lay them out again on resize() */
+        this.laneConfigs = [];
+        /** @private */
+        this.interaction = null;
+        /** @private */
+        this.amplitudeScaler = null;
+        /** @private name of a CanvasRendererRegistry renderer, or a renderer */
+        this.renderer = 'dots';
+        /** @private */
+        this.rendererOptions = null;
+        if (typeof surface !== 'undefined' && surface !== null) {
+            this.setSurface(surface);
+        }
     }
 
     getWidth() {
@@ -48,6 +110,180 @@ class CanvasToolClass {
     getHeight() {
         return this.height;
     }
+    getBorder() {
+        return this.border;
+    }
+
+    /**
+     * @returns {number} device pixels per CSS pixel of the canvas, @see fitElement
+     */
+    getPixelRatio() {
+        return this.pixelRatio;
+    }
+
+    /**
+     * @method Change the size of the drawing area, E.g. after the canvas element was resized.
+     *
+     * When a frame is open, drawEnd() applies the new size once the frame is drawn. The next frame is drawn whole
+     * (@see invalidate): a kept frame is dropped, a headless surface is re-allocated, the lanes and the viewport follow
+     * the new size. resize() does not change the canvas element, @see fitElement
+     *
+     * @param {integer} width - Canvas.width, without border.
+     * @param {integer} height - Canvas.height, without border.
+     * @param {integer} [border] - default the current border.
+     * @returns {boolean} true when resized now, false when it waits for drawEnd().
+     * @throws {CanvasToolDataError} if the size is not usable or the lanes do not fit.
+     */
+    resize(width, height, border) {
+        // 1. set signature
+        let signature = 'resize';
+        let theBorder = (typeof border === 'undefined' || border === null) ? this.border : border;
+
+        // 2. check the size, the lanes must still fit.
+        if (!Number.isInteger(width) || width < 1 || !Number.isInteger(height) || height < 1 ||
+            !Number.isInteger(theBorder) || theBorder < 0
+        ) {
+            throw this.generateError(signature, CanvasToolError.INVALID_ARGUMENT, `size ${width}x${height} border ${theBorder} for canvas="${this.canvasId}" is not usable.`);
+        }
+        if (this.lanes.length > height || this.laneGutter >= width) {
+            throw this.generateError(signature, CanvasToolError.INVALID_ARGUMENT, `lanes of canvas="${this.canvasId}" do not fit in ${width}x${height}.`);
+        }
+
+        // 3. the open frame keeps its size, drawEnd() resizes.
+        if (this.dataFrame !== null) {
+            this.pendingSize = {width: width, height: height, border: theBorder};
+            return false;
+        }
+        this.applySize(width, height, theBorder);
+        return true;
+    }
+
+    /**
+     * @private Resize now, no frame is open.
+     */
+    applySize(width, height, border) {
+        this.pendingSize = null;
+        this.width = width;
+        this.height = height;
+        this.border = border;
+        this.keptFrame = null;
+        this.overlayRect = null;
+        if (this.surfaceContext !== null) {
+            let fullWidth = width + 2 * border;
+            let fullHeight = height + 2 * border;
+            if (this.surface.width !== fullWidth || this.surface.height !== fullHeight) {
+                this.setSurface(CanvasToolClass.createSurface(fullWidth, fullHeight));
+            }
+        }
+        if (this.lanes.length > 0) {
+            this.setLanes(this.laneConfigs, this.laneGutter);
+        }
+        if (this.viewport !== null) {
+            this.viewport.setWidth(width);
+        }
+        this.isInvalid = true;
+    }
+
+    /**
+     * @method Size the canvas backing store for the display, then resize() the drawing area to match.
+     *
+     * The CSS size comes from the container (or the canvas itself); the backing store gets CSS size x devicePixelRatio
+     * pixels so the traces stay sharp on HiDPI displays, and the canvas CSS size is set so the layout does not change.
+     *
+     * @param {Object} canvas - the HTML canvas element of this box.
+     * @param {Object} [options] - {container, pixelRatio, border}
+     * <br/>container: element whose size the canvas fills, default the canvas.
+     * <br/>pixelRatio: default window.devicePixelRatio, or 1.
+     * <br/>border: in CSS pixels, default the current border.
+     * @returns {Object} {width, height, border, pixelRatio} in device pixels.
+     * @throws {CanvasToolDataError} if the element has no size.
+     */
+    fitElement(canvas, options) {
+        // 1. set signature
+        let signature = 'fitElement';
+        let opts = options || {};
+        let element = opts.container || canvas;
+        let ratio = (opts.pixelRatio > 0) ? opts.pixelRatio :
+            ((typeof devicePixelRatio === 'number' && devicePixelRatio > 0) ? devicePixelRatio : 1);
+
+        // 2. CSS size of the element.
+        let cssWidth = (element && element.clientWidth > 0) ? element.clientWidth : 0;
+        let cssHeight = (element && element.clientHeight > 0) ? element.clientHeight : 0;
+        let cssBorder = (typeof opts.border === 'number') ? opts.border : this.border / this.pixelRatio;
+        let border = Math.round(cssBorder * ratio);
+        let fullWidth = Math.round(cssWidth * ratio);
+        let fullHeight = Math.round(cssHeight * ratio);
+        if (fullWidth - 2 * border < 1 || fullHeight - 2 * border < 1) {
+            throw this.generateError(signature, CanvasToolError.INVALID_ARGUMENT, `element of canvas="${this.canvasId}" is ${cssWidth}x${cssHeight}, too small for border ${cssBorder}.`);
+        }
+
+        // 3. backing store in device pixels, CSS size unchanged.
+        if (canvas.width !== fullWidth) canvas.width = fullWidth;
+        if (canvas.height !== fullHeight) canvas.height = fullHeight;
+        if (canvas.style) {
+            canvas.style.width = `${cssWidth}px`;
+            canvas.style.height = `${cssHeight}px`;
+        }
+        this.pixelRatio = ratio;
+        this.resize(fullWidth - 2 * border, fullHeight - 2 * border, border);
+        return {
+            width: fullWidth - 2 * border,
+            height: fullHeight - 2 * border,
+            border: border,
+            pixelRatio: ratio
+        };
+    }
+
+    /**
+     * @method Keep the canvas fitted to its container with a ResizeObserver, @see fitElement
+     *
+     * @param {Object} canvas - the HTML canvas element of this box.
+     * @param {Object} [options] - the fitElement() options, plus onResize(box, size) called after each fit, E.g. to redraw.
+     * A container that is hidden or too small is skipped, the canvas keeps its size until the next fitting resize.
+     * @returns {Function} stops observing, or null if ResizeObserver is not available.
+     */
+    observeResize(canvas, options) {
+        let opts = options || {};
+        this.unobserveResize();
+        if (typeof ResizeObserver === 'undefined') {
+            return null;
+        }
+        let observer = new ResizeObserver((entries) => {
+            // a hidden (display: none) element reports 0x0, keep the current size until it is shown again.
+            let rect = (entries && entries.length > 0) ? entries[entries.length - 1].contentRect : null;
+            if (rect && (rect.width <= 0 || rect.height <= 0)) {
+                return;
+            }
+            let size;
+            try {
+                size = this.fitElement(canvas, opts);
+            } catch (e) {
+                // too small for the border: already logged by fitElement(), an observer callback has no caller to throw to.
+                return;
+            }
+            if (typeof opts.onResize === 'function') {
+                opts.onResize(this, size);
+            }
+        });
+        observer.observe(opts.container || canvas);
+        this.resizeObserver = observer;
+        return () => {
+            if (this.resizeObserver === observer) {
+                this.unobserveResize();
+            }
+        };
+    }
+
+    /**
+     * @method Stop the ResizeObserver of observeResize().
+     */
+    unobserveResize() {
+        if (this.resizeObserver !== null) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+    }
+
 
     /**
      * Helper method to add double quote on type string.
@@ -78,7 +314,13 @@ class CanvasToolClass {
             sizeFrame: this.sizeFrame,
             dataContext: null !== this.dataContext,
             logAllErrors: this.logAllErrors,
-            nFields: 9
+            headless: null !== this.surfaceContext,
+            keepFrame: this.keepFrame,
+            theme: this.theme.name,
+            annotations: null !== this.annotations,
+            session: null !== this.session,
+            pixelRatio: this.pixelRatio,
+            nFields: 15
         };
         return JSON.stringify(datus);
     }
@@ -92,439 +334,6948 @@ class CanvasToolClass {
     }
 
     /**
-     * Generate an Error string. optionally log the generated Error string.
+     * Replace the logger used when {logAllErrors} is true.
+     *
+     * @param {Object|Function|null} logger - A function(message, error), an object with an error(message) method
+     * (like console), or null to use CanvasToolClass.defaultLogger again.
+     */
+    setLogger(logger) {
+        this.logger = logger;
+    }
+
+    /**
+     * @returns {Object|Function|null} the logger in use by this instance.
+     */
+    getLogger() {
+        return (this.logger === null) ? CanvasToolClass.defaultLogger : this.logger;
+    }
+
+    /**
+     * Replace the logger used by every CanvasToolClass without its own logger, and by the static helpers.
+     *
+     * @param {Object|Function|null} logger - A function(message, error), an object with an error() method, or null to disable.
+     */
+    static setDefaultLogger(logger) {
+        CanvasToolClass.defaultLogger = logger;
+    }
+
+    /**
+     * Write a message to the given logger.
+     *
+     * @param {Object|Function|null} logger - @see setLogger
+     * @param {string} message - the message to log.
+     * @param {CanvasToolError} [error] - the error being reported.
+     */
+    static writeLog(logger, message, error) {
+        if (logger === null || typeof logger === 'undefined') return;
+        if (typeof logger === 'function') {
+            logger(message, error);
+        } else if (typeof logger.error === 'function') {
+            logger.error(message);
+        }
+    }
+
+    /**
+     * Create a {CanvasToolError} raised by a helper class (CanvasViewport, CanvasAnimator, ...) and log it.
      *
-     * @param {string} signature - Name of method generating the error message.
-     * @param {boolean} isLog - boolean if true write message to console.error().
+     * @param {string} className - the class raising it, E.g. 'CanvasViewport'.
+     * @param {string} code - One of CanvasToolError codes E.g. CanvasToolError.INVALID_ARGUMENT
+     * @param {string} method - Name of the failing method.
      * @param {string} theError - the actual error.
-     * @return {string}
+     * @param {*} [cause] - the underlying exception, if any.
+     * @return {CanvasToolError}
      */
-    static generateCommonError(signature, isLog, theError) {
-        let msg = `ERROR: CanvasToolClass.${signature} - ${theError}`;
-        if (isLog) console.error(msg);
-        return msg;
+    static generateClassError(className, code, method, theError, cause) {
+        let error = CanvasToolError.create(code, `${className}.${method} - ${theError}`, null, method, cause);
+        CanvasToolClass.writeLog(CanvasToolClass.defaultLogger, `ERROR: ${error.message}`, error);
+        return error;
     }
 
     /**
-     * Generate error, log it and return it.
+     * Create a {CanvasToolError}, optionally log it.
      *
-     * @param {string} signature 
+     * @param {string} signature - Name of method generating the error.
+     * @param {string} code - One of CanvasToolError codes E.g. CanvasToolError.CANVAS_BUSY
+     * @param {boolean} isLog - boolean if true write message to CanvasToolClass.defaultLogger.
      * @param {string} theError - the actual error.
-     * @return {string}
+     * @param {string} [canvasId] - the canvas involved, if any.
+     * @param {*} [cause] - the underlying exception, if any.
+     * @return {CanvasToolError}
      */
-    generateErrorMessage(signature, theError) {
-        return CanvasToolClass.generateCommonError(signature, this.logAllErrors, theError);
+    static generateCommonToolError(signature, code, isLog, theError, canvasId, cause) {
+        let error = CanvasToolError.create(code, `CanvasToolClass.${signature} - ${theError}`, canvasId, signature, cause);
+        if (isLog) CanvasToolClass.writeLog(CanvasToolClass.defaultLogger, `ERROR: ${error.message}`, error);
+        return error;
     }
 
     /**
-     * @method Create a BoxDataStructure.
+     * Generate a {CanvasToolError} for this canvas, log it and return it.
      *
-     * @param {Object} _data - The Int16Array representation of an AudioBuffer.
-     * @param {integer} _size - The sizeof of Int16Array.
-     * @param {integer} _canvasWidth - The width suitable for CanvasToolClass processing.
-     * @returns {Object} {BoxDataStructure}
+     * @param {string} signature - Name of method generating the error.
+     * @param {string} code - One of CanvasToolError codes E.g. CanvasToolError.CANVAS_BUSY
+     * @param {string} theError - the actual error.
+     * @param {*} [cause] - the underlying exception, if any.
+     * @return {CanvasToolError}
      */
-    static createBoxDataStructure(_data, _size, _canvasWidth) {
-        /**
-         * Once created, only offset, iStart, iEnd, nextOffset is modifiable.
-         */
-        let boxData = {
-            _name: "BoxDataStructure",
-            data: _data,
-            size: _size,
-            threshold: _size - 1,
-            block: _canvasWidth,
-            offset: 0,
-            iStart: 0,
-            iEnd: 0,
-            nextOffset: 0
+    generateError(signature, code, theError, cause) {
+        let error = CanvasToolError.create(code, `CanvasToolClass.${signature} - ${theError}`, this.canvasId, signature, cause);
+        if (this.logAllErrors) CanvasToolClass.writeLog(this.getLogger(), `ERROR: ${error.message}`, error);
+        return error;
+    }
+
+    /**
+     * @method Create an ImageData-like surface for headless (no DOM) drawing.
+     *
+     * @param {integer} width - The surface width in pixel. Usually the canvas width plus 2 * border.
+     * @param {integer} height - The surface height in pixel. Usually the canvas height plus 2 * border.
+     * @returns {Object} {width, height, data} where data is an Uint8ClampedArray of width * height * 4 RGBA bytes.
+     */
+    static createSurface(width, height) {
+        return {
+            width: width,
+            height: height,
+            data: new Uint8ClampedArray(width * height * 4)
         };
-        return new Object(boxData);
     }
 
     /**
-     * @method Adjust the offset, iStart, iEnd, nextOffset properties on the BoxDataStructure.
+     * @method Use a headless surface instead of a HTML canvas element.
      *
-     * @param {Object} _boxDataStructure - {BoxDataStructure} created by {@method createBoxDataStructure}
-     * @param {integer} iStart - capture Audio starting a this offset.
-     * @param {integer} iEnd  - capture Audio until this value is reach, and if it is, the next Audio will came from &data[0...]
-     * @param {integer} nextOffset - Use 0 if iStart is controlling the selection
-     * @returns {Object} [boolean, {BoxDataStructure}, [], integer]
-     * @throws {Error} if given {Object} is not a valid {BoxDataStructure}
+     * @param {Object} surface - ImageData-like {width, height, data} or a plain RGBA buffer
+     * (Uint8ClampedArray, Uint8Array, Node Buffer or ArrayBuffer) sized for (width + 2 * border) x (height + 2 * border).
+     * @returns {Object} the ImageData-like surface in use.
+     * @throws Error if the surface is not usable.
      */
-    static extractDataForBoxDataStructure(_boxDataStructure, iStart, iEnd, nextOffset) {
-        let signature = 'extractDataForBoxDataStructure';
+    setSurface(surface) {
+        let signature = 'setSurface';
 
-        var boxData;
-        try {
-            boxData = Object.assign({}, _boxDataStructure);
-        } catch (e) {
-            throw generateCommonError(signature, true, "_boxDataStructure is Not a valid BoxDataStructure");
+        if (this.dataFrame !== null) {
+            throw this.generateError(signature, CanvasToolError.FRAME_ALREADY_OPEN, `canvas="${this.canvasId}" frame is still open. Call drawEnd() first.`);
         }
 
-        if (typeof boxData['_name'] === 'undefined' ||
-            boxData['_name'] !== 'BoxDataStructure'
-        ) {
-            throw generateCommonError(signature, true, "Invalid structure, missing BoxDataStructure.name");
+        let fullWidth = this.width + 2 * this.border;
+        let fullHeight = this.height + 2 * this.border;
+        let theSurface = surface;
+
+        if (surface instanceof ArrayBuffer) {
+            theSurface = new Uint8ClampedArray(surface);
+        }
+        if (ArrayBuffer.isView(theSurface)) {
+            // A plain RGBA buffer, assume it covers the whole canvas including the border.
+            theSurface = {
+                width: fullWidth,
+                height: fullHeight,
+                data: new Uint8ClampedArray(theSurface.buffer, theSurface.byteOffset, theSurface.byteLength)
+            };
         }
 
-        var position, n_bits = 0;
-        var bits = [];
+        if (theSurface === null || typeof theSurface !== 'object' || !ArrayBuffer.isView(theSurface.data) ||
+            theSurface.data.length !== theSurface.width * theSurface.height * 4
+        ) {
+            throw this.generateError(signature, CanvasToolError.INVALID_SURFACE, `surface for canvas="${this.canvasId}" is not an ImageData-like {width, height, data} of RGBA bytes.`);
+        }
+        if (theSurface.width < fullWidth || theSurface.height < fullHeight) {
+            throw this.generateError(signature, CanvasToolError.INVALID_SURFACE, `surface ${theSurface.width}x${theSurface.height} is smaller than canvas="${this.canvasId}" ${fullWidth}x${fullHeight}.`);
+        }
 
-        var offset = iStart + nextOffset;
+        this.surface = theSurface;
+        this.surfaceContext = new CanvasSurfaceContext(theSurface);
+        return theSurface;
+    }
 
-        var limit, blocks = boxData.block;
+    /**
+     * @returns {Object} the headless surface, or null when drawing into a HTML canvas.
+     */
+    getSurface() {
+        return this.surface;
+    }
 
-        var threshold = boxData.threshold;
+    /**
+     * @method Copy the current pixels: the open frame, the persistent frame, or the headless surface.
+     *
+     * @returns {Object} ImageData-like {width, height, data} of the canvas without its border.
+     * @throws {CanvasToolStateError} FRAME_NOT_OPEN when drawing into a HTML canvas and no frame is open or kept.
+     */
+    snapshot() {
+        let signature = 'snapshot';
+        // the kept frame has no overlays, @see drawEnd. The surface has them.
+        if (this.dataFrame === null && this.surfaceContext !== null) {
+            return this.surfaceContext.getImageData(this.border, this.border, this.width, this.height);
+        }
+        let frame = (this.dataFrame !== null) ? this.dataFrame : this.keptFrame;
+        if (frame === null) {
+            throw this.generateError(signature, CanvasToolError.FRAME_NOT_OPEN, `Context.ImageData for canvas="${this.canvasId}" does not exist. Call snapshot() between drawBegin() and drawEnd().`);
+        }
+        let copy = CanvasToolClass.createSurface(this.width, this.height);
+        copy.data.set(frame.data.subarray(0, copy.data.length));
+        return copy;
+    }
 
-        if (iEnd < threshold) threshold = iEnd;
+    /**
+     * @returns {Uint8Array} the current pixels as a PNG file. @see snapshot and CanvasImageEncoder.encodePng
+     */
+    toPng() {
+        return CanvasImageEncoder.encodePng(this.snapshot());
+    }
 
-        boxData.offset = offset;
-        boxData.iStart = iStart;
-        boxData.iEnd = iEnd;
-        boxData.nexOffset = nextOffset;
+    /**
+     * @returns {Uint8Array} the current pixels as a binary PPM (P6) file. @see snapshot and CanvasImageEncoder.encodePpm
+     */
+    toPpm() {
+        return CanvasImageEncoder.encodePpm(this.snapshot());
+    }
 
-        if (threshold > iStart) {
-            for (limit = offset + blocks;
-                (n_bits < blocks) && (offset < limit); offset++, n_bits++) {
+    /**
+     * @method Select the colors used when a draw method is called without colors.
+     *
+     * @param {string|Object} theme - 'classic' (default), 'green', 'light', 'scope' or {background, trace, marker, grid}.
+     * @see CanvasTheme
+     */
+    setTheme(theme) {
+        this.theme = CanvasTheme.from(theme);
+    }
 
-                if (offset >= threshold) {
-                    position = offset % boxData.size;
-                    bits.push(boxData.data[position]);
+    /**
+     * @returns {Object} the theme {name, background, trace, marker, grid} in use.
+     */
+    getTheme() {
+        return this.theme;
+    }
 
-                } else {
-                    bits.push(boxData.data[offset]);
-                }
-            }
+    /**
+     * @method Attach markers, regions and a playhead; drawEnd() renders them over every frame.
+     *
+     * @param {CanvasAnnotations|null} annotations - the annotations, or null to detach.
+     */
+    setAnnotations(annotations) {
+        let signature = 'setAnnotations';
+        if (annotations !== null && !(annotations instanceof CanvasAnnotations)) {
+            throw this.generateError(signature, CanvasToolError.INVALID_ARGUMENT, `annotations for canvas="${this.canvasId}" is not a CanvasAnnotations.`);
         }
+        this.annotations = annotations;
+    }
 
-        let okay = n_bits > 0;
-        return [okay, boxData, bits, n_bits];
+    /**
+     * @returns {CanvasAnnotations} the attached annotations, or null.
+     */
+    getAnnotations() {
+        return this.annotations;
     }
 
     /**
-     * @method Step 2. Create Context.ImageData
+     * @method Draw the overlay of a CanvasInteraction over every frame. Called by CanvasInteraction.attach().
      *
-     * @param {Object} _document The HTML document object.
-     * @returns {boolean} always true
-     * @throws Error - It log the error message if {logAllErrors} is true.
+     * @param {CanvasInteraction|null} interaction - the interaction, or null to stop drawing it.
      */
-    drawBegin(_document) {
-        // 2.1. set signature
-        let signature = 'drawBegin';
-
-        // 2.2. make sure previously created Canvas Context is properly closed.
-        if (this.dataFrame !== null) {
-            throw generateErrorMessage(signature, `Previously created canvas="${this.canvasId}" data still exist. Call drawEnd(false) to disposed it.`);
-        }
-
-        // 2.3. In multi-threaded environment, avoid data corruption; So ensure only a single instance of drawBegin is running.
-        if (this.setBusy(true) === true) {
-            throw generateErrorMessage(signature, `canvas="${this.canvasId}" is still in progress.`);
+    setInteraction(interaction) {
+        let signature = 'setInteraction';
+        if (interaction !== null && !(interaction instanceof CanvasInteraction)) {
+            throw this.generateError(signature, CanvasToolError.INVALID_ARGUMENT, `interaction for canvas="${this.canvasId}" is not a CanvasInteraction.`);
         }
-        // 2.4. Each time to use the canvas, need to do the following steps.
-
-        // 2.4.1 is canvas ID valid?
-        const canvas = _document.getElementById(this.canvasId);
+        this.interaction = interaction;
+    }
 
-        // 2.4.2 is canvas 2d available for this element?
-        const ctx = canvas.getContext('2d', {
-            willReadFrequently: true
-        });
-        if (typeof ctx === 'undefined') {
-            // 2.4.3 possibly not a canvas element
-            this.isBusy = false;
-            throw generateErrorMessage(signature, `canvas="${this.canvasId}" ID does not exist.`);
-        }
+    /**
+     * @returns {CanvasInteraction} the attached interaction, or null.
+     */
+    getInteraction() {
+        return this.interaction;
+    }
 
-        // 2.4.4 grab a Context.ImageData
-        let frame, err;
-        try {
-            frame = ctx.getImageData(this.border, this.border, this.width, this.height);
-        } catch (e) {
-            // 2.4.5 this error, in some circumstances happen. So we report it here.
-            this.isBusy = false;
-            err = JSON.stringify(e);
-            throw generateErrorMessage(signature, `Context.ImageData error for canvas="${this.canvasId}", "${err}"`);
+    /**
+     * @method Scale raw samples before plotting. drawOnCanvas(), drawLineOnCanvas(), drawLaneOnCanvas(),
+     * drawEnvelopeOnCanvas(), drawPeaksOnCanvas() and drawViewOnCanvas() then take Int16 or Float32 samples instead of
+     * values of -N to +N pixel rows.
+     *
+     * @param {CanvasAmplitudeScaler|Object|null} scaler - a scaler, the options of a new one, or null to draw the values as given.
+     * @returns {CanvasAmplitudeScaler} the scaler in use, or null.
+     */
+    setAmplitudeScaling(scaler) {
+        let signature = 'setAmplitudeScaling';
+        if (scaler === null || typeof scaler === 'undefined') {
+            this.amplitudeScaler = null;
+        } else if (scaler instanceof CanvasAmplitudeScaler) {
+            this.amplitudeScaler = scaler;
+        } else if (typeof scaler === 'object') {
+            this.amplitudeScaler = new CanvasAmplitudeScaler(scaler);
+        } else {
+            throw this.generateError(signature, CanvasToolError.INVALID_ARGUMENT, `scaler for canvas="${this.canvasId}" is not a CanvasAmplitudeScaler.`);
         }
+        return this.amplitudeScaler;
+    }
 
-        // 2.5 save the Context.ImageData and its size.
-        this.dataFrame = frame;
-        this.sizeFrame = frame.data.length;
-        this.dataContext = ctx;
-        this.isBusy = false;
-        return true;
+    /**
+     * @returns {CanvasAmplitudeScaler} the scaler in use, or null.
+     */
+    getAmplitudeScaling() {
+        return this.amplitudeScaler;
     }
 
     /**
-     * @method Step 3. Clear the canvas background with black or green color.
+     * @method Choose how drawOnCanvas(n_bits, bits, false) draws the samples of this canvas. @see CanvasRendererRegistry
      *
-     * @param {boolean} isGreen 
-     * @returns {boolean} always true
-     * @throws Error - It log the error message if {logAllErrors} is true.
+     * @param {string|Object|Function} renderer - name of a registered renderer ('dots' by default, 'bars', ...) or a
+     * renderer {render(frame), range}.
+     * @param {Object} [options] - given to the renderer as frame.options when the draw call has none.
      */
-    drawClearBackground(isGreen) {
-        // 3.1. set signature
-        let signature = 'drawClearBackground';
-
-        // 3.2. make sure previously created Canvas Context is properly created.
-        if (this.dataFrame === null) {
-            throw generateErrorMessage(signature, `Context.ImageData for canvas="${this.canvasId}" does not exist. Call drawBegin(document) to create one.`);
-        }
+    setRenderer(renderer, options) {
+        let signature = 'setRenderer';
+        this.resolveRenderer(signature, renderer);
+        this.renderer = renderer;
+        this.rendererOptions = (typeof options === 'undefined') ? null : options;
+    }
 
-        // 3.3. In multi-threaded environment, avoid data corruption; So ensure only a single instance of drawClearBackground is running.
-        if (this.setBusy(true) === true) {
-            throw generateErrorMessage(signature, `canvas="${this.canvasId}" is still in progress.`);
-        }
+    /**
+     * @returns {string|Object} the renderer of this canvas, its name when it is registered.
+     */
+    getRenderer() {
+        return this.renderer;
+    }
 
-        // 3.4. clear the background as black or as green.
-        let rr = 0,
-            gg = 0,
-            bb = 0;
-        if (isGreen) {
-            rr = 12;
-            gg = 110;
-            bb = 38; // Dark Green
+    /**
+     * @private
+     * @returns {Object} the renderer {render, range} of a name or a renderer. Like the former isBar flag, any other
+     * truthy value (true, 1, ...) is 'bars' and a falsy one the canvas renderer.
+     */
+    resolveRenderer(signature, renderer) {
+        let value = renderer;
+        if (!value) {
+            value = this.renderer;
+        } else if (typeof value !== 'string' && typeof value !== 'object' && typeof value !== 'function') {
+            value = 'bars';
         }
-
-        // 3.5 clear it now
-        let arr = this.dataFrame.data;
-        let i, w_h_size = this.sizeFrame - 4;
-        for (i = 0; i <= w_h_size; i += 4) {
-            arr[i + 0] = rr; // R value
-            arr[i + 1] = gg; // G value
-            arr[i + 2] = bb; // B value
-            arr[i + 3] = 255; // A value
+        let resolved = CanvasRendererRegistry.resolve(value);
+        if (resolved === null) {
+            throw this.generateError(signature, CanvasToolError.INVALID_ARGUMENT, `renderer "${value}" for canvas="${this.canvasId}" is not registered, use one of ${CanvasRendererRegistry.names().join(', ')}.`);
         }
-
-        // 3.6 done clearing
-        this.isBusy = false;
-        return true;
+        return resolved;
     }
 
     /**
-     * @method Step 4. Draw the content of given Array of Integer into the Canvas.
-     *
+     * @private
+     * @returns {Object} what a renderer gets to draw one call of drawOnCanvas(). @see CanvasRendererRegistry.register
+     * @param {Object} [area] - {left, top, width, height} of the canvas the renderer draws into, default all of it.
+     */
+    createRenderFrame(n_bits, bits, color, options, area) {
+        let arr = this.dataFrame.data;
+        let box = this;
+        let left = area ? area.left : 0;
+        let top = area ? area.top : 0;
+        let width = area ? area.width : this.width;
+        let height = area ? area.height : this.height;
+        return {
+            // raw writes are not tracked, so handing out the pixels makes the whole area changed, @see drawEnd
+            get data() {
+                box.markDirtyRect(left, top, left + width, top + height);
+                return arr;
+            },
+            width: width,
+            height: height,
+            left: left,
+            top: top,
+            stride: this.width,
+            border: this.border,
+            bits: bits,
+            n_bits: n_bits,
+            color: color,
+            options: options,
+            box: this,
+            plot: (x, y, c) => {
+                let px = Math.floor(x);
+                let py = Math.floor(y);
+                if (px >= 0 && py >= 0 && px < width && py < height) {
+                    this.paintPixel(arr, 4 * ((top + py) * this.width + left + px), c || color);
+                }
+            },
+            column: (x, y0, y1, c) => {
+                if (x < 0 || x >= width) return;
+                let y_top = Math.max(0, Math.round(Math.min(y0, y1)));
+                let y_bottom = Math.min(height - 1, Math.round(Math.max(y0, y1)));
+                if (y_top <= y_bottom) {
+                    this.fillColumn(arr, left + x, top + y_top, top + y_bottom, c || color);
+                }
+            }
+        };
+    }
+
+    /**
+     * @method Zoom and pan through a CanvasViewport. While one is set, it is the visible range of the box.
+     *
+     * @param {CanvasViewport|null} viewport - the viewport, or null to go back to setVisibleRange().
+     */
+    setViewport(viewport) {
+        let signature = 'setViewport';
+        if (viewport !== null && !(viewport instanceof CanvasViewport)) {
+            throw this.generateError(signature, CanvasToolError.INVALID_ARGUMENT, `viewport for canvas="${this.canvasId}" is not a CanvasViewport.`);
+        }
+        this.viewport = viewport;
+    }
+
+    /**
+     * @returns {CanvasViewport} the viewport, or null.
+     */
+    getViewport() {
+        return this.viewport;
+    }
+
+    /**
+     * @method Set which samples the canvas shows, used to place annotations and to convert sample <-> pixel.
+     * With a viewport set, this moves the viewport.
+     *
+     * @param {number} startSample - sample at X = 0, default 0.
+     * @param {number} samplesPerPixel - samples per pixel column, default 1.
+     */
+    setVisibleRange(startSample, samplesPerPixel) {
+        let start = (typeof startSample === 'number' && isFinite(startSample)) ? startSample : 0;
+        let spp = (samplesPerPixel > 0) ? samplesPerPixel : 1;
+        if (this.viewport !== null) {
+            this.viewport.setRange(start, spp);
+            return;
+        }
+        this.visibleStart = start;
+        this.samplesPerPixel = spp;
+    }
+
+    /**
+     * @returns {Object} {startSample, samplesPerPixel, endSample} of the visible range.
+     */
+    getVisibleRange() {
+        let start = (this.viewport !== null) ? this.viewport.getStart() : this.visibleStart;
+        let spp = (this.viewport !== null) ? this.viewport.getSamplesPerPixel() : this.samplesPerPixel;
+        return {
+            startSample: start,
+            samplesPerPixel: spp,
+            endSample: start + this.width * spp
+        };
+    }
+
+    /**
+     * @returns {integer} the X (may be outside of 0 to width-1) where sample is drawn.
+     */
+    sampleToPixel(sample) {
+        let range = this.getVisibleRange();
+        return Math.floor((sample - range.startSample) / range.samplesPerPixel);
+    }
+
+    /**
+     * @returns {number} the first sample drawn at X.
+     */
+    pixelToSample(x) {
+        let range = this.getVisibleRange();
+        return range.startSample + x * range.samplesPerPixel;
+    }
+
+    /**
+     * @returns {Object} {x, y, width, height} of the pixels changed since drawBegin(), or null if none.
+     */
+    getDirtyRect() {
+        if (this.dirtyX1 <= this.dirtyX0 || this.dirtyY1 <= this.dirtyY0) {
+            return null;
+        }
+        return {
+            x: this.dirtyX0,
+            y: this.dirtyY0,
+            width: this.dirtyX1 - this.dirtyX0,
+            height: this.dirtyY1 - this.dirtyY0
+        };
+    }
+
+    /**
+     * @method Make the next drawEnd() put the whole frame, E.g. after something else drew into the canvas.
+     */
+    invalidate() {
+        this.isInvalid = true;
+        if (this.dataFrame !== null) {
+            this.markDirtyRect(0, 0, this.width, this.height);
+        }
+    }
+
+    /**
+     * @private Forget the changed pixels, unless invalidate() asks for the whole frame.
+     */
+    resetDirty() {
+        this.dirtyX0 = this.width;
+        this.dirtyY0 = this.height;
+        this.dirtyX1 = 0;
+        this.dirtyY1 = 0;
+        if (this.isInvalid) {
+            this.markDirtyRect(0, 0, this.width, this.height);
+        }
+    }
+
+    /**
+     * @private Add the rectangle x0, y0 (inclusive) to x1, y1 (exclusive) to the changed pixels.
+     */
+    markDirtyRect(x0, y0, x1, y1) {
+        if (x0 < this.dirtyX0) this.dirtyX0 = Math.max(0, x0);
+        if (y0 < this.dirtyY0) this.dirtyY0 = Math.max(0, y0);
+        if (x1 > this.dirtyX1) this.dirtyX1 = Math.min(this.width, x1);
+        if (y1 > this.dirtyY1) this.dirtyY1 = Math.min(this.height, y1);
+    }
+
+    /**
+     * @private
+     * @returns {Uint8ClampedArray} the RGBA pixels of the rectangle x0, y0 (inclusive) to x1, y1 (exclusive) of arr.
+     */
+    copyRect(arr, rect) {
+        let rowBytes = 4 * (rect.x1 - rect.x0);
+        let out = new Uint8ClampedArray(rowBytes * (rect.y1 - rect.y0));
+        for (let y = rect.y0, i = 0; y < rect.y1; y++, i += rowBytes) {
+            let start = 4 * (y * this.width + rect.x0);
+            out.set(arr.subarray(start, start + rowBytes), i);
+        }
+        return out;
+    }
+
+    /**
+     * @private Write the pixels of copyRect() back into arr.
+     */
+    pasteRect(arr, rect, pixels) {
+        let rowBytes = 4 * (rect.x1 - rect.x0);
+        for (let y = rect.y0, i = 0; y < rect.y1; y++, i += rowBytes) {
+            arr.set(pixels.subarray(i, i + rowBytes), 4 * (y * this.width + rect.x0));
+        }
+    }
+
+    /**
+     * @private Add the pixel x, y to the changed pixels.
+     */
+    markDirty(x, y) {
+        if (x < this.dirtyX0) this.dirtyX0 = x;
+        if (y < this.dirtyY0) this.dirtyY0 = y;
+        if (x >= this.dirtyX1) this.dirtyX1 = x + 1;
+        if (y >= this.dirtyY1) this.dirtyY1 = y + 1;
+    }
+
+    /**
+     * @method Keep the Context.ImageData between frames.
+     *
+     * When set, drawEnd() keeps the frame and the next drawBegin() re-uses it instead of reading the pixels back with
+     * getImageData(). Use it when the frame is a history (E.g. drawSpectrogramOnCanvas) and nothing else draws into the canvas.
+     * As a back buffer it also pairs with the dirty rectangle of drawEnd(): a frame that only moves a marker costs no
+     * getImageData() and a put of the changed columns. Call invalidate() if something else did draw into the canvas.
+     * The annotations and the interaction overlay are put on the canvas but not kept in the frame.
+     *
+     * @param {boolean} isSet 
+     */
+    setPersistentFrame(isSet) {
+        this.keepFrame = isSet;
+        if (!isSet) {
+            this.keptFrame = null;
+        }
+    }
+
+    /**
+     * @method Create a BoxDataStructure.
+     *
+     * @param {Object} _data - The Int16Array representation of an AudioBuffer.
+     * @param {integer} _size - The sizeof of Int16Array.
+     * @param {integer} _canvasWidth - The width suitable for CanvasToolClass processing.
+     * @returns {Object} {BoxDataStructure}
+     */
+    static createBoxDataStructure(_data, _size, _canvasWidth) {
+        /**
+         * Once created, only offset, iStart, iEnd, nextOffset is modifiable.
+         */
+        let boxData = {
+            _name: "BoxDataStructure",
+            data: _data,
+            size: _size,
+            threshold: _size - 1,
+            block: _canvasWidth,
+            offset: 0,
+            iStart: 0,
+            iEnd: 0,
+            nextOffset: 0
+        };
+        return new Object(boxData);
+    }
+
+    /**
+     * @method Create one BoxDataStructure per channel out of a WAV file. @see CanvasWavDecoder.decode
+     *
+     * @param {ArrayBuffer|Object} _wav - The whole WAV file as ArrayBuffer, Node Buffer, Uint8Array or DataView.
+     * @param {integer} _canvasWidth - The width suitable for CanvasToolClass processing.
+     * @returns {Array} [{BoxDataStructure}, ...] with channel, sampleRate and duration added to each.
+     * @throws {CanvasToolDataError} if the WAV file can not be decoded.
+     */
+    static createBoxDataStructuresFromWav(_wav, _canvasWidth) {
+        return CanvasWavDecoder.decode(_wav, _canvasWidth).boxes;
+    }
+
+    /**
+     * @method Create every canvas of a JSON scene description, ready to start(). @see CanvasScene
+     *
+     * @param {Object|string} scene - the scene description, or its JSON text.
+     * @param {Object} [options] - {document, headless, sources, clock, onError}
+     * @returns {CanvasScene}
+     * @throws {CanvasToolDataError} INVALID_SCENE with error.errors = [{path, message}] if the scene is not valid.
+     */
+    static fromScene(scene, options) {
+        return new CanvasScene(scene, options);
+    }
+
+    /**
+     * @method Adjust the offset, iStart, iEnd, nextOffset properties on the BoxDataStructure.
+     *
+     * @param {Object} _boxDataStructure - {BoxDataStructure} created by {@method createBoxDataStructure}
+     * @param {integer} iStart - capture Audio starting a this offset.
+     * @param {integer} iEnd  - capture Audio until this value is reach, and if it is, the next Audio will came from &data[0...]
+     * @param {integer} nextOffset - Use 0 if iStart is controlling the selection
+     * @returns {Object} [boolean, {BoxDataStructure}, [], integer]
+     * @throws {Error} if given {Object} is not a valid {BoxDataStructure}
+     */
+    static extractDataForBoxDataStructure(_boxDataStructure, iStart, iEnd, nextOffset) {
+        let signature = 'extractDataForBoxDataStructure';
+
+        var boxData;
+        try {
+            boxData = Object.assign({}, _boxDataStructure);
+        } catch (e) {
+            throw CanvasToolClass.generateCommonToolError(signature, CanvasToolError.INVALID_BOX_DATA, true, "_boxDataStructure is Not a valid BoxDataStructure", undefined, e);
+        }
+
+        if (typeof boxData['_name'] === 'undefined' ||
+            boxData['_name'] !== 'BoxDataStructure'
+        ) {
+            throw CanvasToolClass.generateCommonToolError(signature, CanvasToolError.INVALID_BOX_DATA, true, "Invalid structure, missing BoxDataStructure.name");
+        }
+
+        var position, n_bits = 0;
+        var bits = [];
+
+        var offset = iStart + nextOffset;
+
+        var limit, blocks = boxData.block;
+
+        var threshold = boxData.threshold;
+
+        if (iEnd < threshold) threshold = iEnd;
+
+        boxData.offset = offset;
+        boxData.iStart = iStart;
+        boxData.iEnd = iEnd;
+        boxData.nexOffset = nextOffset;
+
+        if (threshold > iStart) {
+            for (limit = offset + blocks;
+                (n_bits < blocks) && (offset < limit); offset++, n_bits++) {
+
+                if (offset >= threshold) {
+                    position = offset % boxData.size;
+                    bits.push(boxData.data[position]);
+
+                } else {
+                    bits.push(boxData.data[offset]);
+                }
+            }
+        }
+
+        let okay = n_bits > 0;
+        return [okay, boxData, bits, n_bits];
+    }
+
+    /**
+     * @method Step 2. Create Context.ImageData
+     *
+     * @param {Object} _document The HTML document object. Not used (can be omitted) when drawing into a headless surface.
+     * @returns {CanvasDrawSession} the open frame; truthy, so `if (drawBegin(document))` keeps working.
+     * @throws {CanvasToolError} - It log the error message if {logAllErrors} is true.
+     */
+    drawBegin(_document) {
+        // 2.1. set signature
+        let signature = 'drawBegin';
+
+        // 2.2. make sure previously created Canvas Context is properly closed.
+        if (this.dataFrame !== null) {
+            throw this.generateError(signature, CanvasToolError.FRAME_ALREADY_OPEN, `Previously created canvas="${this.canvasId}" data still exist. Call drawEnd(false) to disposed it.`);
+        }
+
+        // 2.3. In multi-threaded environment, avoid data corruption; So ensure only a single instance of drawBegin is running.
+        this.enterBusy(signature);
+        try {
+            // 2.4. Each time to use the canvas, need to do the following steps.
+            let ctx;
+            if (this.surfaceContext !== null) {
+                // 2.4.0 headless, draw into the surface. No document needed.
+                ctx = this.surfaceContext;
+            } else {
+                // 2.4.1 is canvas ID valid?
+                const canvas = (_document && typeof _document.getElementById === 'function') ? _document.getElementById(this.canvasId) : null;
+                if (canvas === null || typeof canvas.getContext !== 'function') {
+                    throw this.generateError(signature, CanvasToolError.CANVAS_NOT_FOUND, `canvas="${this.canvasId}" ID does not exist.`);
+                }
+
+                // 2.4.2 is canvas 2d available for this element?
+                ctx = canvas.getContext('2d', {
+                    willReadFrequently: true
+                });
+                if (typeof ctx === 'undefined' || ctx === null) {
+                    // 2.4.3 possibly not a canvas element
+                    throw this.generateError(signature, CanvasToolError.CONTEXT_UNAVAILABLE, `canvas="${this.canvasId}" has no 2d context.`);
+                }
+            }
+
+            // 2.4.4 grab a Context.ImageData, or re-use the one kept by the previous drawEnd().
+            let frame, err;
+            try {
+                frame = (this.keptFrame !== null) ? this.keptFrame : ctx.getImageData(this.border, this.border, this.width, this.height);
+            } catch (e) {
+                // 2.4.5 this error, in some circumstances happen. So we report it here.
+                err = (e instanceof Error) ? e.message : JSON.stringify(e);
+                throw this.generateError(signature, CanvasToolError.IMAGE_DATA_FAILED, `Context.ImageData error for canvas="${this.canvasId}", "${err}"`, e);
+            }
+
+            // 2.4.6 a canvas read back still has the overlays of the last frame over the kept history, @see drawEnd
+            if (this.keptFrame === null && this.overlayRect !== null) {
+                if (this.isInvalid) {
+                    this.overlayRect = null;
+                } else {
+                    this.pasteRect(frame.data, this.overlayRect, this.overlayRect.under);
+                }
+            }
+
+            // 2.5 save the Context.ImageData and its size, and open the session.
+            this.dataFrame = frame;
+            this.sizeFrame = frame.data.length;
+            this.dataContext = ctx;
+            this.resetDirty();
+            this.session = new CanvasDrawSession(this);
+            return this.session;
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * @method Draw one frame in a callback, instead of drawBegin() ... drawEnd() in a try / finally.
+     *
+     * The frame is committed when fn returns and discarded when it (or the commit) throws. When fn returns a Promise, the frame stays
+     * open until the Promise settles.
+     *
+     * @param {Object} _document The HTML document object. Not used (can be omitted) when drawing into a headless surface.
+     * @param {Function} fn - called with the {CanvasDrawSession}.
+     * @returns {*} what fn returns.
+     * @throws {CanvasToolError} FRAME_ALREADY_OPEN if a frame is open, @see queueFrame to wait for it instead.
+     */
+    withFrame(_document, fn) {
+        let session = this.drawBegin(_document);
+        let result;
+        try {
+            result = fn(session);
+        } catch (e) {
+            if (session.isOpen()) session.discard();
+            throw e;
+        }
+        if (result !== null && typeof result === 'object' && typeof result.then === 'function') {
+            return result.then((value) => {
+                this.commitFrame(session);
+                return value;
+            }, (e) => {
+                if (session.isOpen()) session.discard();
+                throw e;
+            });
+        }
+        this.commitFrame(session);
+        return result;
+    }
+
+    /**
+     * @private Commit the session if still open, or discard it when the commit fails.
+     */
+    commitFrame(session) {
+        if (!session.isOpen()) return;
+        try {
+            session.commit();
+        } catch (e) {
+            if (session.isOpen()) session.discard();
+            throw e;
+        }
+    }
+
+    /**
+     * @method Like withFrame(), but waits for the open frame (if any) to be closed instead of throwing.
+     *
+     * @param {Object} _document The HTML document object. Not used (can be omitted) when drawing into a headless surface.
+     * @param {Function} fn - called with the {CanvasDrawSession}.
+     * @returns {Promise} resolved with what fn returns, rejected with its error.
+     */
+    queueFrame(_document, fn) {
+        return new Promise((resolve, reject) => {
+            this.frameQueue.push({document: _document, fn: fn, resolve: resolve, reject: reject});
+            this.runQueuedFrames();
+        });
+    }
+
+    /**
+     * @private Run queued frames while no frame is open.
+     */
+    runQueuedFrames() {
+        let item;
+        while (this.dataFrame === null && this.isBusy === false && this.frameQueue.length > 0) {
+            item = this.frameQueue.shift();
+            try {
+                item.resolve(this.withFrame(item.document, item.fn));
+            } catch (e) {
+                item.reject(e);
+            }
+        }
+    }
+
+    /**
+     * @method Step 3. Clear the canvas background with black or green color.
+     *
+     * @param {boolean|string|Object} isGreen - true for dark green, false for black. Omit it to use the theme background,
+     * or give any color (CSS string, {rr, gg, bb, aa}, CanvasColor or CanvasColorGradient). @see CanvasColor.from
+     * A translucent color is blended over the pixels already drawn.
+     * @returns {boolean} always true
+     * @throws {CanvasToolError} - It log the error message if {logAllErrors} is true.
+     */
+    drawClearBackground(isGreen) {
+        // 3.1. set signature
+        let signature = 'drawClearBackground';
+
+        // 3.2. make sure previously created Canvas Context is properly created.
+        if (this.dataFrame === null) {
+            throw this.generateError(signature, CanvasToolError.FRAME_NOT_OPEN, `Context.ImageData for canvas="${this.canvasId}" does not exist. Call drawBegin(document) to create one.`);
+        }
+
+        // 3.3. clear the background as black or as green, or with the given color.
+        let color;
+        if (isGreen === true) {
+            color = new CanvasColor(12, 110, 38); // Dark Green
+        } else if (isGreen === false || isGreen === null) {
+            color = new CanvasColor(0, 0, 0);
+        } else if (typeof isGreen === 'undefined') {
+            color = this.theme.background;
+        } else {
+            color = CanvasColor.from(isGreen);
+        }
+
+        // 3.4. In multi-threaded environment, avoid data corruption; So ensure only a single instance of drawClearBackground is running.
+        this.enterBusy(signature);
+        try {
+            // 3.5 clear it now, row by row as a gradient has one color per row.
+            let arr = this.dataFrame.data;
+            this.markDirtyRect(0, 0, this.width, this.height);
+            let rows = (color instanceof CanvasColorGradient) ? color.getRowColors(this.height) : null;
+            let i, y, end, width_4 = 4 * this.width;
+            for (y = 0, i = 0; y < this.height; y++) {
+                if (rows !== null) color = rows[y];
+                if (color.aa < 255) {
+                    // 3.5.1 translucent, composite it like paintPixel() does.
+                    for (end = i + width_4; i < end; i += 4) {
+                        CanvasToolClass.compositePixel(arr, i, color, color.aa / 255);
+                    }
+                    continue;
+                }
+                for (end = i + width_4; i < end; i += 4) {
+                    arr[i + 0] = color.rr; // R value
+                    arr[i + 1] = color.gg; // G value
+                    arr[i + 2] = color.bb; // B value
+                    arr[i + 3] = color.aa; // A value
+                }
+            }
+
+            // 3.6 done clearing
+            return true;
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * @method Step 4. Draw the content of given Array of Integer into the Canvas.
+     *
      * @param {integer} n_bits - Total number of integer in bits. The number 0 to (n_bits - 1) is map to X coordinate parts of the Canvas.
      * @param {Object} bits  - Array of integer -256 to +256 in range. The content of bits[0...1023] is map to Y coordinate parts of the Canvas.
      * The expected values of bits[...] in the range -N to +N where N is equal where expected to be half of Canvas.height.
-     * @param {boolean} isBar - Draw bits like a bar chart. Each bar is drawn as 2 pixel, and next pixel at 4th postion. Hence it can only
-     * draw width / 4. In 1024 width, only 256 bar are visible. 
-     * @param {integer} rr -   RED part of pixel color to be drawn.
+     * @param {boolean|string|Object} isBar - How to draw bits, @see CanvasRendererRegistry
+     * <br/>true (or any truthy number): like a bar chart ('bars'). Each bar is drawn as 2 pixel, and next pixel at 8th postion.
+     * Hence it can only draw width / 8. In 1024 width, only 128 bar are visible.
+     * <br/>false (or any falsy value): with the renderer of the canvas, 'dots' unless setRenderer() chose another one.
+     * <br/>name of a registered renderer, or a renderer {render(frame), range}.
+     * @param {integer|string|Object} rr -   RED part of pixel color to be drawn, or any color @see CanvasColor.from
+     * Omit the colors to use the theme trace color.
+     * @param {integer} gg - GREEN part of pixel color to be drawn.
+     * @param {integer} bb -  BLUE part of pixel color to be drawn.
+     * @param {Object} [options] - given to the renderer as frame.options, default the options of setRenderer().
+     *
+     * @returns {boolean} false if n_bits < 1 or bits is null, otherwise an Error or true.
+     */
+    drawOnCanvas(n_bits, bits, isBar, rr, gg, bb, options) {
+        // 4.0 It can draw at least 1 pixel.
+        if (n_bits < 1 || bits === null) {
+            // No Error for this???
+            return false;
+        }
+
+        // 4.1. set signature
+        let signature = 'drawOnCanvas';
+
+        // 4.2. make sure previously created Canvas Context is properly created.
+        if (this.dataFrame === null) {
+            throw this.generateError(signature, CanvasToolError.FRAME_NOT_OPEN, `Context.ImageData for canvas="${this.canvasId}" does not exist. Call drawBegin(document) to create one.`);
+        }
+        let renderer = this.resolveRenderer(signature, isBar);
+
+        // 4.2.1 raw samples go through the amplitude scaling, @see setAmplitudeScaling
+        if (this.amplitudeScaler !== null) {
+            bits = this.amplitudeScaler.scale(bits, n_bits, (renderer.range === 'bottom') ? this.height - 1 : Math.floor(this.height / 2));
+        }
+
+        // 4.3. In multi-threaded environment, avoid data corruption; So ensure only a single instance of drawOnCanvas is running.
+        let color = this.resolveColor(rr, gg, bb, this.theme.trace);
+        this.enterBusy(signature);
+        try {
+            // 4.4. The renderer draws the data bits (It could be the "sine wave" or .wav or .mp3 bits) into Context.ImageData
+            let opts = (typeof options !== 'undefined' && options !== null) ? options : (this.rendererOptions || {});
+            renderer.render(this.createRenderFrame(n_bits, bits, color, opts));
+
+            // 4.5 done drawing on Canvas
+            return true;
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * @method Step 4. (line) Draw the content of given Array of Integer as a connected line.
+     *
+     * Same input as drawOnCanvas(), but consecutive samples are joined so steep parts of the signal do not break into dots.
+     *
+     * @param {integer} n_bits - Total number of integer in bits. The number 0 to (n_bits - 1) is map to X coordinate parts of the Canvas.
+     * @param {Object} bits  - Array of integer -N to +N where N is half of Canvas.height. @see drawOnCanvas
+     * @param {integer} thickness - Line thickness in pixel, 1 or more.
+     * @param {boolean} antiAlias - true to draw anti-aliased (Wu style) segments, false for plain Bresenham segments.
+     * @param {integer|string|Object} rr -   RED part of pixel color to be drawn, or any color @see CanvasColor.from
+     * Omit the colors to use the theme trace color.
+     * @param {integer} gg - GREEN part of pixel color to be drawn.
+     * @param {integer} bb -  BLUE part of pixel color to be drawn.
+     *
+     * @returns {boolean} false if n_bits < 1 or bits is null, otherwise an Error or true.
+     */
+    drawLineOnCanvas(n_bits, bits, thickness, antiAlias, rr, gg, bb) {
+        // 1. It can draw at least 1 pixel.
+        if (n_bits < 1 || bits === null) {
+            return false;
+        }
+
+        // 2. set signature
+        let signature = 'drawLineOnCanvas';
+
+        // 3. make sure previously created Canvas Context is properly created.
+        if (this.dataFrame === null) {
+            throw this.generateError(signature, CanvasToolError.FRAME_NOT_OPEN, `Context.ImageData for canvas="${this.canvasId}" does not exist. Call drawBegin(document) to create one.`);
+        }
+
+        // 3.1 raw samples go through the amplitude scaling, @see setAmplitudeScaling
+        if (this.amplitudeScaler !== null) {
+            bits = this.amplitudeScaler.scale(bits, n_bits, Math.floor(this.height / 2));
+        }
+
+        // 4. In multi-threaded environment, avoid data corruption; So ensure only a single instance of drawLineOnCanvas is running.
+        let color = this.resolveColor(rr, gg, bb, this.theme.trace);
+        this.enterBusy(signature);
+        try {
+            // 5. Clip Y inside the canvas so the line stays connected at the edges.
+            let arr = this.dataFrame.data;
+            let center_y = this.height / 2;
+            let size = Math.max(1, Math.round(thickness) || 1);
+            let count = Math.min(n_bits, this.width);
+            let clipY = (value) => Math.max(0, Math.min(this.height - 1, Math.round(center_y + value)));
+
+            // 6. Join sample x - 1 to sample x.
+            let x, y, previous = clipY(bits[0]);
+            if (count === 1) {
+                this.drawSegment(arr, 0, previous, 0, previous, size, color);
+            }
+            for (x = 1; x < count; x++) {
+                y = clipY(bits[x]);
+                if (antiAlias) {
+                    this.drawSmoothSegment(arr, x - 1, previous, x, y, size, x > 1, color);
+                } else {
+                    this.drawSegment(arr, x - 1, previous, x, y, size, color);
+                }
+                previous = y;
+            }
+
+            // 7. done drawing on Canvas
+            return true;
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * @private Bresenham segment from (x0, y0) to (x1, y1), each point drawn as a size x size square.
+     */
+    drawSegment(arr, x0, y0, x1, y1, size, color) {
+        let x = Math.round(x0),
+            y = Math.round(y0);
+        let xEnd = Math.round(x1),
+            yEnd = Math.round(y1);
+        let dx = Math.abs(xEnd - x),
+            sx = (x < xEnd) ? 1 : -1;
+        let dy = -Math.abs(yEnd - y),
+            sy = (y < yEnd) ? 1 : -1;
+        let err = dx + dy,
+            e2;
+        let half = (size - 1) >> 1;
+        let xx, yy;
+        for (;;) {
+            for (yy = y - half; yy < y - half + size; yy++) {
+                for (xx = x - half; xx < x - half + size; xx++) {
+                    this.plotPixel(arr, xx, yy, color);
+                }
+            }
+            if (x === xEnd && y === yEnd) break;
+            e2 = 2 * err;
+            if (e2 >= dy) {
+                err += dy;
+                x += sx;
+            }
+            if (e2 <= dx) {
+                err += dx;
+                y += sy;
+            }
+        }
+    }
+
+    /**
+     * @private Anti-aliased segment (Wu style) from (x0, y0) to (x1, y1) of the given thickness.
+     * Walks the major axis and blends each minor axis pixel by how much of it the line covers.
+     * When skipStart is true the first major axis step is not drawn, so joined segments do not blend twice.
+     */
+    drawSmoothSegment(arr, x0, y0, x1, y1, size, skipStart, color) {
+        let steep = Math.abs(y1 - y0) > Math.abs(x1 - x0);
+        let a0 = steep ? y0 : x0,
+            b0 = steep ? x0 : y0;
+        let a1 = steep ? y1 : x1,
+            b1 = steep ? x1 : y1;
+        let skipEnd = false;
+        let swap;
+        if (a0 > a1) {
+            swap = a0;
+            a0 = a1;
+            a1 = swap;
+            swap = b0;
+            b0 = b1;
+            b1 = swap;
+            skipEnd = skipStart;
+            skipStart = false;
+        }
+        let gradient = (a1 === a0) ? 0 : (b1 - b0) / (a1 - a0);
+        // keep the thickness perpendicular to the line.
+        let half = (size / 2) * Math.sqrt(1 + gradient * gradient);
+        let aStart = Math.round(a0) + (skipStart ? 1 : 0);
+        let aEnd = Math.round(a1) - (skipEnd ? 1 : 0);
+        let a, b, low, high, c, coverage;
+        for (a = aStart; a <= aEnd; a++) {
+            b = b0 + gradient * (a - a0);
+            low = b - half;
+            high = b + half;
+            for (c = Math.floor(low + 0.5); c <= Math.ceil(high - 0.5); c++) {
+                coverage = Math.min(high, c + 0.5) - Math.max(low, c - 0.5);
+                if (coverage <= 0) continue;
+                if (steep) {
+                    this.blendPixel(arr, c, a, color, Math.min(1, coverage));
+                } else {
+                    this.blendPixel(arr, a, c, color, Math.min(1, coverage));
+                }
+            }
+        }
+    }
+
+    /**
+     * @private Paint one pixel, ignored when outside the canvas.
+     */
+    plotPixel(arr, x, y, color) {
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+        this.paintPixel(arr, 4 * (y * this.width + x), color);
+    }
+
+    /**
+     * @private Paint one pixel with its color alpha reduced by coverage (0.0 to 1.0), ignored when outside the canvas.
+     */
+    blendPixel(arr, x, y, color, coverage) {
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+        let x_offset = 4 * (y * this.width + x);
+        let c = (color instanceof CanvasColorGradient) ? color.getRowColors(this.height)[y] : color;
+        this.markDirty(x, y);
+        CanvasToolClass.compositePixel(arr, x_offset, c, coverage * c.aa / 255);
+    }
+
+    /**
+     * @private Paint the pixel at byte offset x_offset. A gradient gives the color of the pixel row.
+     */
+    paintPixel(arr, x_offset, color) {
+        let c = color;
+        let p = x_offset >> 2;
+        let y = Math.floor(p / this.width);
+        this.markDirty(p - y * this.width, y);
+        if (c instanceof CanvasColorGradient) {
+            c = c.getRowColors(this.height)[y];
+        }
+        if (c.aa === 255) {
+            arr[x_offset + 0] = c.rr; // R value
+            arr[x_offset + 1] = c.gg; // G value
+            arr[x_offset + 2] = c.bb; // B value
+            arr[x_offset + 3] = 255; // A value
+        } else {
+            CanvasToolClass.compositePixel(arr, x_offset, c, c.aa / 255);
+        }
+    }
+
+    /**
+     * @method Source-over alpha compositing of one color into the RGBA pixel at byte offset x_offset.
+     *
+     * @param {Object} arr - RGBA bytes, E.g. ImageData.data
+     * @param {integer} x_offset - byte offset of the pixel.
+     * @param {CanvasColor} color - the color to paint, its own alpha is ignored.
+     * @param {number} alpha - 0.0 (nothing) to 1.0 (replace).
+     */
+    static compositePixel(arr, x_offset, color, alpha) {
+        if (alpha <= 0) return;
+        if (alpha >= 1) {
+            arr[x_offset + 0] = color.rr;
+            arr[x_offset + 1] = color.gg;
+            arr[x_offset + 2] = color.bb;
+            arr[x_offset + 3] = 255;
+            return;
+        }
+        let below = (arr[x_offset + 3] / 255) * (1 - alpha);
+        let out = alpha + below;
+        arr[x_offset + 0] = (color.rr * alpha + arr[x_offset + 0] * below) / out;
+        arr[x_offset + 1] = (color.gg * alpha + arr[x_offset + 1] * below) / out;
+        arr[x_offset + 2] = (color.bb * alpha + arr[x_offset + 2] * below) / out;
+        arr[x_offset + 3] = out * 255;
+    }
+
+    /**
+     * @private The color of a draw call, or the fallback (theme) color when rr is not given.
+     * @returns {CanvasColor|CanvasColorGradient}
+     */
+    resolveColor(rr, gg, bb, fallback) {
+        if (typeof rr === 'undefined' || rr === null) {
+            return fallback;
+        }
+        return CanvasColor.from(rr, gg, bb);
+    }
+
+    /**
+     * @method Step 4. (overview) Draw a long signal as one min/max span per pixel column, like a DAW waveform.
+     *
+     * Unlike drawOnCanvas(), nothing is dropped: the samples iStart to iEnd are spread over the whole canvas width.
+     *
+     * @param {Object} source - Array of integer, typed array, {BoxDataStructure} or {CanvasPeakCache}. Values are expected
+     * in the same range as drawOnCanvas(), -N to +N where N is half of Canvas.height, or raw with setAmplitudeScaling().
+     * @param {integer} iStart - first sample to draw.
+     * @param {integer} iEnd - last sample to draw (exclusive). Use -1 for the end of the source.
+     * @param {boolean} showRms - Also draw the RMS span of each column in a lighter color over the min/max span.
+     * @param {integer|string|Object} rr -   RED part of pixel color to be drawn, or any color @see CanvasColor.from
+     * Omit the colors to use the theme trace color.
+     * @param {integer} gg - GREEN part of pixel color to be drawn.
+     * @param {integer} bb -  BLUE part of pixel color to be drawn.
+     *
+     * @returns {boolean} false if there is nothing to draw, otherwise an Error or true.
+     */
+    drawPeaksOnCanvas(source, iStart, iEnd, showRms, rr, gg, bb) {
+        // 1. set signature
+        let signature = 'drawPeaksOnCanvas';
+
+        // 2. make sure previously created Canvas Context is properly created.
+        if (this.dataFrame === null) {
+            throw this.generateError(signature, CanvasToolError.FRAME_NOT_OPEN, `Context.ImageData for canvas="${this.canvasId}" does not exist. Call drawBegin(document) to create one.`);
+        }
+
+        // 3. reduce the samples to one min/max/rms per column, using the cache when given one.
+        let input = this.resolveSamples(signature, source);
+        let cache = input.cache;
+        let samples = input.samples;
+        let size = input.size;
+        let first = Math.max(0, iStart);
+        let last = (iEnd < 0 || iEnd > size) ? size : iEnd;
+        if (last <= first) {
+            return false;
+        }
+
+        // 4. In multi-threaded environment, avoid data corruption; So ensure only a single instance of drawPeaksOnCanvas is running.
+        let color = this.resolveColor(rr, gg, bb, this.theme.trace);
+        this.enterBusy(signature);
+        try {
+            let peaks = (cache !== null) ? cache.getPeaks(first, last, this.width) :
+                CanvasPeakCache.computePeaks(samples, first, last, this.width);
+            peaks = this.scalePeaks(peaks, samples);
+
+            // 5. Draw each column, Y is centered the same way as drawOnCanvas().
+            let arr = this.dataFrame.data;
+            let center_y = this.height / 2;
+            let x, top, bottom, rms;
+            let lighter = showRms ? color.lighten() : null;
+            for (x = 0; x < peaks.columns; x++) {
+                top = Math.round(center_y + peaks.min[x]);
+                bottom = Math.round(center_y + peaks.max[x]);
+                this.fillColumn(arr, x, top, bottom, color);
+                if (showRms) {
+                    rms = peaks.rms[x];
+                    this.fillColumn(arr, x, Math.round(center_y - rms), Math.round(center_y + rms), lighter);
+                }
+            }
+
+            // 6. done drawing on Canvas
+            return true;
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * @method Step 4. (viewport) Draw the samples of the visible range, @see setViewport and setVisibleRange.
+     *
+     * Zoomed out (more than one sample per pixel) 'peaks' draws the min/max of each column. Zoomed in, the samples
+     * spread over several pixels and are drawn as a 'line'. Any other mode is a renderer, @see CanvasRendererRegistry:
+     * it gets the sample under each visible pixel column, like drawOnCanvas() gets one sample per column.
+     *
+     * @param {Object} source - Array of integer, typed array, {BoxDataStructure} or {CanvasPeakCache}. Values are expected
+     * in the same range as drawOnCanvas(), -N to +N where N is half of Canvas.height, or raw with setAmplitudeScaling().
+     * @param {string|boolean|Object} [mode] - 'auto' (default: 'peaks' zoomed out, 'line' zoomed in), 'peaks', 'line',
+     * the name of a registered renderer ('dots', 'bars', ...), a renderer {render(frame), range}, or false for the
+     * renderer of the canvas. @see setRenderer
+     * @param {integer|string|Object} rr -   RED part of pixel color to be drawn, or any color @see CanvasColor.from
+     * Omit the colors to use the theme trace color.
+     * @param {integer} gg - GREEN part of pixel color to be drawn.
+     * @param {integer} bb -  BLUE part of pixel color to be drawn.
+     *
+     * @returns {boolean} false if no sample is visible, otherwise an Error or true.
+     */
+    drawViewOnCanvas(source, mode, rr, gg, bb) {
+        // 1. set signature
+        let signature = 'drawViewOnCanvas';
+
+        // 2. make sure previously created Canvas Context is properly created.
+        if (this.dataFrame === null) {
+            throw this.generateError(signature, CanvasToolError.FRAME_NOT_OPEN, `Context.ImageData for canvas="${this.canvasId}" does not exist. Call drawBegin(document) to create one.`);
+        }
+
+        // 3. the visible pixel columns x0 to x1 (exclusive) that hold samples.
+        let input = this.resolveSamples(signature, source);
+        let range = this.getVisibleRange();
+        let start = range.startSample;
+        let spp = range.samplesPerPixel;
+        let x0 = Math.max(0, Math.ceil(-start / spp));
+        let x1 = Math.min(this.width, Math.ceil((input.size - start) / spp));
+        if (x1 <= x0) {
+            return false;
+        }
+        let drawMode = (mode === false) ? false : ((!mode || mode === 'auto') ? ((spp > 1) ? 'peaks' : 'line') : mode);
+        let renderer = (drawMode === 'peaks' || drawMode === 'line') ? null : this.resolveRenderer(signature, drawMode);
+
+        // 4. In multi-threaded environment, avoid data corruption; So ensure only a single instance of drawViewOnCanvas is running.
+        let color = this.resolveColor(rr, gg, bb, this.theme.trace);
+        this.enterBusy(signature);
+        try {
+            let arr = this.dataFrame.data;
+            let center_y = Math.floor(this.height / 2);
+            let samples = input.samples;
+            let x, i, y, prevX, prevY;
+
+            // 5. zoomed-out min/max per column
+            if (drawMode === 'peaks') {
+                let s0 = Math.max(0, Math.floor(start + x0 * spp));
+                let s1 = Math.min(input.size, Math.max(s0 + 1, Math.floor(start + x1 * spp)));
+                let peaks = (input.cache !== null) ? input.cache.getPeaks(s0, s1, x1 - x0) :
+                    CanvasPeakCache.computePeaks(samples, s0, s1, x1 - x0);
+                peaks = this.scalePeaks(peaks, samples);
+                for (x = 0; x < peaks.columns; x++) {
+                    this.fillColumn(arr, x0 + x, Math.round(center_y + peaks.min[x]), Math.round(center_y + peaks.max[x]), color);
+                }
+                return true;
+            }
+
+            // 6. a renderer draws the sample under each visible column, the whole source is the 'normalize' reference.
+            if (renderer !== null) {
+                let columns = new Float64Array(x1 - x0);
+                for (x = 0; x < columns.length; x++) {
+                    columns[x] = samples[Math.min(input.size - 1, Math.floor(start + (x0 + x) * spp))];
+                }
+                if (this.amplitudeScaler !== null) {
+                    columns = this.amplitudeScaler.scale(columns, columns.length, (renderer.range === 'bottom') ? this.height - 1 : center_y, samples);
+                }
+                let area = {left: x0, top: 0, width: x1 - x0, height: this.height};
+                renderer.render(this.createRenderFrame(columns.length, columns, color, this.rendererOptions || {}, area));
+                return true;
+            }
+
+            // 7. one point per column when zoomed out, one point per sample when zoomed in.
+            let points = [];
+            if (spp > 1) {
+                for (x = x0; x < x1; x++) {
+                    points.push(x, Math.floor(start + x * spp));
+                }
+            } else {
+                let first = Math.max(0, Math.floor(start));
+                let last = Math.min(input.size, Math.ceil(start + this.width * spp) + 1);
+                for (i = first; i < last; i++) {
+                    points.push(Math.round((i - start) / spp), i);
+                }
+            }
+
+            // 8. raw samples of the points go through the amplitude scaling, the whole source is the 'normalize' reference.
+            let values = new Float64Array(points.length / 2);
+            for (let k = 0; k < points.length; k += 2) {
+                values[k / 2] = samples[points[k + 1]];
+            }
+            if (this.amplitudeScaler !== null) {
+                values = this.amplitudeScaler.scale(values, values.length, center_y, samples);
+            }
+
+            // 9. join them, Y is centered the same way as drawOnCanvas().
+            for (let k = 0; k < points.length; k += 2) {
+                x = points[k];
+                y = Math.round(center_y + values[k / 2]);
+                if (k > 0) {
+                    this.drawSegment(arr, prevX, prevY, x, y, 1, color);
+                } else {
+                    this.plotPixel(arr, x, y, color);
+                }
+                prevX = x;
+                prevY = y;
+            }
+
+            // 10. done drawing on Canvas
+            return true;
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * @private Scale the min/max/rms of the peaks with the amplitude scaling, the whole source gives the full scale and
+     * the 'normalize' peak so every view of a file is drawn at the same level.
+     * @returns {Object} the peaks as given without setAmplitudeScaling(), otherwise scaled copies.
+     */
+    scalePeaks(peaks, samples) {
+        if (this.amplitudeScaler === null) {
+            return peaks;
+        }
+        let half = Math.floor(this.height / 2);
+        return {
+            columns: peaks.columns,
+            min: this.amplitudeScaler.scale(peaks.min, peaks.columns, half, samples),
+            max: this.amplitudeScaler.scale(peaks.max, peaks.columns, half, samples),
+            rms: this.amplitudeScaler.scale(peaks.rms, peaks.columns, half, samples)
+        };
+    }
+
+    /**
+     * @private
+     * @returns {Object} {cache, samples, size} of an Array, typed array, BoxDataStructure or CanvasPeakCache.
+     */
+    resolveSamples(signature, source) {
+        let cache = (source instanceof CanvasPeakCache) ? source : null;
+        let samples = (cache !== null) ? cache.samples : source;
+        if (cache === null && source !== null && typeof source === 'object' && source._name === 'BoxDataStructure') {
+            samples = source.data;
+        }
+        if (samples === null || typeof samples !== 'object' || typeof samples.length !== 'number') {
+            throw this.generateError(signature, CanvasToolError.INVALID_ARGUMENT, `source for canvas="${this.canvasId}" is not an Array, BoxDataStructure or CanvasPeakCache.`);
+        }
+        return {
+            cache: cache,
+            samples: samples,
+            size: (cache !== null) ? cache.size : samples.length
+        };
+    }
+
+    /**
+     * @private Fill the pixels of column x from y0 to y1 (inclusive), clipped to the canvas.
+     */
+    fillColumn(arr, x, y0, y1, color) {
+        if (x < 0 || x >= this.width) return;
+        let top = Math.max(0, Math.min(y0, y1));
+        let bottom = Math.min(this.height - 1, Math.max(y0, y1));
+        let width_4 = 4 * this.width;
+        let x_offset = top * width_4 + 4 * x;
+        for (let y = top; y <= bottom; y++, x_offset += width_4) {
+            this.paintPixel(arr, x_offset, color);
+        }
+    }
+
+    /**
+     * @method Step 4. (envelope) Draw the RMS or peak envelope of the samples, mirrored around the center line.
+     *
+     * Call it over drawOnCanvas() with the same samples. With setAmplitudeScaling() the envelope is scaled the same
+     * way as the samples; without it, the envelope is in the drawOnCanvas() range.
+     *
+     * @param {integer} n_bits - Total number of samples in bits, one per pixel column.
+     * @param {Object} bits - Array of number or typed array of samples.
+     * @param {Object} [options] - {type, window, attack, release, fill} @see CanvasAmplitudeScaler.computeEnvelope
+     * <br/>fill: fill between the two outlines with a lighter color, default false.
+     * @param {integer|string|Object} rr -   RED part of pixel color to be drawn, or any color @see CanvasColor.from
+     * Omit the colors to use the theme marker color.
+     * @param {integer} gg - GREEN part of pixel color to be drawn.
+     * @param {integer} bb -  BLUE part of pixel color to be drawn.
+     * @returns {boolean} false if n_bits < 1 or bits is null, otherwise an Error or true.
+     */
+    drawEnvelopeOnCanvas(n_bits, bits, options, rr, gg, bb) {
+        if (n_bits < 1 || bits === null) {
+            return false;
+        }
+
+        // 1. set signature
+        let signature = 'drawEnvelopeOnCanvas';
+
+        // 2. make sure previously created Canvas Context is properly created.
+        if (this.dataFrame === null) {
+            throw this.generateError(signature, CanvasToolError.FRAME_NOT_OPEN, `Context.ImageData for canvas="${this.canvasId}" does not exist. Call drawBegin(document) to create one.`);
+        }
+
+        // 3. the envelope, scaled like the samples.
+        let opts = options || {};
+        let half = Math.floor(this.height / 2);
+        let envelope;
+        if (this.amplitudeScaler !== null) {
+            envelope = this.amplitudeScaler.envelope(bits, n_bits, half, opts);
+        } else {
+            envelope = CanvasAmplitudeScaler.computeEnvelope(bits, n_bits, opts);
+        }
+
+        // 4. In multi-threaded environment, avoid data corruption; So ensure only a single instance of drawEnvelopeOnCanvas is running.
+        let color = this.resolveColor(rr, gg, bb, this.theme.marker);
+        this.enterBusy(signature);
+        try {
+            // 5. Outline above and below the center line, each column joined to the previous one.
+            let arr = this.dataFrame.data;
+            let center_y = this.height / 2;
+            let lighter = opts.fill ? color.lighten() : null;
+            let x, value, top, bottom, lastTop = -1, lastBottom = -1;
+            for (x = 0; x < envelope.length && x < this.width; x++) {
+                value = Math.min(half, Math.round(envelope[x]));
+                top = Math.round(center_y - value);
+                bottom = Math.min(this.height - 1, Math.round(center_y + value));
+                if (lighter !== null && bottom - top > 1) {
+                    this.fillColumn(arr, x, top + 1, bottom - 1, lighter);
+                }
+                this.fillColumn(arr, x, (lastTop < 0) ? top : lastTop, top, color);
+                this.fillColumn(arr, x, (lastBottom < 0) ? bottom : lastBottom, bottom, color);
+                lastTop = top;
+                lastBottom = bottom;
+            }
+
+            // 6. done drawing on Canvas
+            return true;
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * @method Step 4. (XY) Plot two signals against each other, E.g. left and right of a stereo pair (goniometer).
+     *
+     * Without rotation, left goes along X and right up along Y. With rotate the pair is turned 45 degrees to mid / side:
+     * a mono signal is a vertical line, out of phase signals lean to the horizontal.
+     *
+     * @param {Object} left - Array, typed array or BoxDataStructure (read from its offset @see extractDataForBoxDataStructure).
+     * @param {Object} right - same as left.
+     * @param {integer} n_bits - how many sample pairs.
+     * @param {Object} [options] - {mode, rotate, decay, meter}
+     * <br/>mode: 'dots' (default) or 'line', connected segments.
+     * <br/>rotate: mid / side view, default false.
+     * <br/>decay: 0 to 1, fade what is drawn already toward the theme background instead of clearing it, E.g. 0.6 keeps
+     * 60% of the previous frames like a phosphor screen. Default none, call drawClearBackground() first.
+     * <br/>meter: draw the phase correlation (-1 to +1) along the bottom, default false. @see phaseCorrelation
+     * @param {integer|string|Object} rr -   RED part of pixel color to be drawn, or any color @see CanvasColor.from
+     * Omit the colors to use the theme trace color.
+     * @param {integer} gg - GREEN part of pixel color to be drawn.
+     * @param {integer} bb -  BLUE part of pixel color to be drawn.
+     * @returns {boolean} false if n_bits < 1, otherwise an Error or true.
+     */
+    drawXYOnCanvas(left, right, n_bits, options, rr, gg, bb) {
+        if (n_bits < 1 || left === null || right === null) {
+            return false;
+        }
+
+        // 1. set signature
+        let signature = 'drawXYOnCanvas';
+
+        // 2. make sure previously created Canvas Context is properly created.
+        if (this.dataFrame === null) {
+            throw this.generateError(signature, CanvasToolError.FRAME_NOT_OPEN, `Context.ImageData for canvas="${this.canvasId}" does not exist. Call drawBegin(document) to create one.`);
+        }
+        let opts = options || {};
+        if (typeof opts.mode !== 'undefined' && opts.mode !== 'dots' && opts.mode !== 'line') {
+            throw this.generateError(signature, CanvasToolError.INVALID_ARGUMENT, `mode="${opts.mode}" is not 'dots' or 'line'.`);
+        }
+        let lefts = CanvasToolClass.readWindow(left, n_bits);
+        let rights = CanvasToolClass.readWindow(right, n_bits);
+        if (lefts === null || rights === null) {
+            throw this.generateError(signature, CanvasToolError.INVALID_ARGUMENT, `left and right for canvas="${this.canvasId}" must be Arrays, typed arrays or BoxDataStructures.`);
+        }
+        let n = Math.min(n_bits, lefts.length, rights.length);
+
+        // 3. both channels scaled alike (the louder one gives the 'normalize' peak), to the half of the smaller side.
+        let half = Math.floor(Math.min(this.width, this.height) / 2) - 1;
+        if (this.amplitudeScaler !== null) {
+            let reference = (CanvasAmplitudeScaler.findPeak(lefts, n) >= CanvasAmplitudeScaler.findPeak(rights, n)) ? lefts : rights;
+            lefts = this.amplitudeScaler.scale(lefts, n, half, reference);
+            rights = this.amplitudeScaler.scale(rights, n, half, reference);
+        }
+
+        // 4. In multi-threaded environment, avoid data corruption; So ensure only a single instance of drawXYOnCanvas is running.
+        let color = this.resolveColor(rr, gg, bb, this.theme.trace);
+        this.enterBusy(signature);
+        try {
+            let arr = this.dataFrame.data;
+            let background = (this.theme.background instanceof CanvasColor) ? this.theme.background : new CanvasColor(0, 0, 0);
+            let i, x, y, l, r, lastX = 0, lastY = 0;
+
+            // 5. phosphor persistence, every pixel fades toward the background.
+            if (opts.decay >= 0 && opts.decay < 1) {
+                this.markDirtyRect(0, 0, this.width, this.height);
+                let bg = [background.rr, background.gg, background.bb];
+                for (i = 0; i < 4 * this.width * this.height; i += 4) {
+                    arr[i + 0] = bg[0] + (arr[i + 0] - bg[0]) * opts.decay; // R value
+                    arr[i + 1] = bg[1] + (arr[i + 1] - bg[1]) * opts.decay; // G value
+                    arr[i + 2] = bg[2] + (arr[i + 2] - bg[2]) * opts.decay; // B value
+                }
+            }
+
+            // 6. one point per pair, Y grows upward.
+            let center_x = Math.floor(this.width / 2);
+            let center_y = Math.floor(this.height / 2);
+            for (i = 0; i < n; i++) {
+                l = Math.max(-half, Math.min(half, lefts[i]));
+                r = Math.max(-half, Math.min(half, rights[i]));
+                if (opts.rotate) {
+                    x = Math.round(center_x + (r - l) * Math.SQRT1_2);
+                    y = Math.round(center_y - (l + r) * Math.SQRT1_2);
+                } else {
+                    x = Math.round(center_x + l);
+                    y = Math.round(center_y - r);
+                }
+                if (opts.mode === 'line' && i > 0) {
+                    this.drawSegment(arr, lastX, lastY, x, y, 1, color);
+                } else {
+                    this.plotPixel(arr, x, y, color);
+                }
+                lastX = x;
+                lastY = y;
+            }
+
+            // 7. correlation meter: a -1 to +1 scale along the bottom, the reading as text and a marker.
+            if (opts.meter) {
+                let correlation = CanvasToolClass.phaseCorrelation(lefts, rights, n);
+                let text = `${(correlation >= 0) ? '+' : ''}${correlation.toFixed(2)}`;
+                let size = CanvasBitmapFont.measureText(text, 1);
+                let top = this.height - size.height - 4;
+                let scaleLeft = size.width + 4;
+                let scaleRight = this.width - 3;
+                for (y = top - 1; y < this.height; y++) {
+                    this.fillRow(arr, y, 0, this.width - 1, background);
+                }
+                this.plotText(arr, 1, top, text, color, 1);
+                if (scaleRight - scaleLeft >= 8) {
+                    y = top + Math.floor(size.height / 2);
+                    this.fillRow(arr, y, scaleLeft, scaleRight, this.theme.grid);
+                    x = Math.round((scaleLeft + scaleRight) / 2);
+                    this.fillColumn(arr, x, y - 2, y + 2, this.theme.grid);
+                    x = Math.round(scaleLeft + (correlation + 1) / 2 * (scaleRight - scaleLeft));
+                    this.fillColumn(arr, x, y - 3, y + 3, (correlation < 0) ? this.theme.marker : color);
+                    this.fillColumn(arr, x + 1, y - 3, y + 3, (correlation < 0) ? this.theme.marker : color);
+                }
+            }
+
+            // 8. done drawing on Canvas
+            return true;
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * @method Phase correlation of two signals: +1 in phase (mono), 0 unrelated, -1 out of phase.
+     *
+     * @param {Object} left - Array, typed array or BoxDataStructure.
+     * @param {Object} right - same as left.
+     * @param {integer} n_bits - how many sample pairs.
+     * @returns {number} -1 to +1, 0 when one of the signals is silent.
+     */
+    static phaseCorrelation(left, right, n_bits) {
+        let lefts = CanvasToolClass.readWindow(left, n_bits);
+        let rights = CanvasToolClass.readWindow(right, n_bits);
+        if (lefts === null || rights === null) {
+            return 0;
+        }
+        let n = Math.min(n_bits, lefts.length, rights.length);
+        let sumLR = 0, sumLL = 0, sumRR = 0;
+        for (let i = 0; i < n; i++) {
+            sumLR += lefts[i] * rights[i];
+            sumLL += lefts[i] * lefts[i];
+            sumRR += rights[i] * rights[i];
+        }
+        let norm = Math.sqrt(sumLL * sumRR);
+        return (norm > 0) ? Math.max(-1, Math.min(1, sumLR / norm)) : 0;
+    }
+
+    /**
+     * @private
+     * @returns {Object} n_bits samples of an Array or typed array as is, of a BoxDataStructure from its offset
+     * (wrapping around), or null.
+     */
+    static readWindow(source, n_bits) {
+        if (source !== null && typeof source === 'object' && source._name === 'BoxDataStructure') {
+            let n = Math.min(n_bits, source.size);
+            let window = new Array(n);
+            let start = source.offset || 0;
+            for (let i = 0; i < n; i++) {
+                window[i] = source.data[(start + i) % source.size];
+            }
+            return window;
+        }
+        if (source !== null && typeof source === 'object' && typeof source.length === 'number') {
+            return source;
+        }
+        return null;
+    }
+
+    /**
+     * @method Step 4. (spectrum) Analyze the samples and draw the frequency bins as bars, with peak-hold caps.
+     *
+     * Uses the same bars as drawOnCanvas(n_bits, bits, true, ...), so it can draw width / 8 bars.
+     *
+     * @param {CanvasSpectrumAnalyzer} analyzer - the analyzer of this canvas, it keeps the peak caps between frames.
+     * @param {integer} n_bits - number of samples in bits.
+     * @param {Object} bits - Array of number or typed array, E.g. from extractDataForBoxDataStructure().
+     * @param {integer|string|Object} rr -   RED part of pixel color to be drawn, or any color @see CanvasColor.from
+     * Omit the colors to use the theme trace color. The caps use a lighter color.
+     * @param {integer} gg - GREEN part of pixel color to be drawn.
+     * @param {integer} bb -  BLUE part of pixel color to be drawn.
+     *
+     * @returns {boolean} false if n_bits < 1 or bits is null, otherwise an Error or true.
+     */
+    drawSpectrumOnCanvas(analyzer, n_bits, bits, rr, gg, bb) {
+        if (n_bits < 1 || bits === null) {
+            return false;
+        }
+
+        // 1. set signature
+        let signature = 'drawSpectrumOnCanvas';
+
+        // 2. make sure previously created Canvas Context is properly created.
+        if (this.dataFrame === null) {
+            throw this.generateError(signature, CanvasToolError.FRAME_NOT_OPEN, `Context.ImageData for canvas="${this.canvasId}" does not exist. Call drawBegin(document) to create one.`);
+        }
+        if (!(analyzer instanceof CanvasSpectrumAnalyzer)) {
+            throw this.generateError(signature, CanvasToolError.INVALID_ARGUMENT, `analyzer for canvas="${this.canvasId}" is not a CanvasSpectrumAnalyzer.`);
+        }
+
+        // 3. FFT then one bar per 8 pixel, the bar renderer draws from the bottom up.
+        let color = this.resolveColor(rr, gg, bb, this.theme.trace);
+        let renderer = this.resolveRenderer(signature, 'bars');
+        analyzer.analyze(n_bits, bits);
+        let nBars = Math.floor(this.width / 8);
+        let bars = analyzer.getBars(nBars, this.height - 1);
+
+        // 4. In multi-threaded environment, avoid data corruption; So ensure only a single instance of drawSpectrumOnCanvas is running.
+        this.enterBusy(signature);
+        try {
+            // 4.1 the bar heights are pixel rows already, they skip the amplitude scaling of drawOnCanvas().
+            renderer.render(this.createRenderFrame(nBars, bars.heights, color, {}));
+
+            // 5. peak caps, 2 pixel wide like the bars.
+            let arr = this.dataFrame.data;
+            let lighter = color.lighten();
+            let i, y;
+            for (i = 0; i < nBars; i++) {
+                if (bars.peaks[i] < 1) continue;
+                y = this.height - bars.peaks[i];
+                this.plotPixel(arr, 8 * i, y, lighter);
+                this.plotPixel(arr, 8 * i + 1, y, lighter);
+            }
+
+            // 6. done drawing on Canvas
+            return true;
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * @method Step 4. (spectrogram) Scroll the canvas one column to the left and paint the newest FFT frame in the last column.
+     *
+     * Low frequencies are at the bottom. Call setPersistentFrame(true) once, so the history is kept in memory between frames
+     * instead of being read back from the canvas on each drawBegin(). Do not call drawClearBackground() between frames.
+     *
+     * @param {CanvasSpectrumAnalyzer} analyzer - the analyzer, its minDb / maxDb give the color range.
+     * @param {integer} n_bits - number of samples in bits.
+     * @param {Object} bits - Array of number or typed array, E.g. from extractDataForBoxDataStructure().
+     * @param {string|Array|Object} colorMap - 'viridis', 'magma', 'grayscale' or custom colors. @see CanvasColorMap.from
+     *
+     * @returns {boolean} false if n_bits < 1 or bits is null, otherwise an Error or true.
+     */
+    drawSpectrogramOnCanvas(analyzer, n_bits, bits, colorMap) {
+        if (n_bits < 1 || bits === null) {
+            return false;
+        }
+
+        // 1. set signature
+        let signature = 'drawSpectrogramOnCanvas';
+
+        // 2. make sure previously created Canvas Context is properly created.
+        if (this.dataFrame === null) {
+            throw this.generateError(signature, CanvasToolError.FRAME_NOT_OPEN, `Context.ImageData for canvas="${this.canvasId}" does not exist. Call drawBegin(document) to create one.`);
+        }
+        if (!(analyzer instanceof CanvasSpectrumAnalyzer)) {
+            throw this.generateError(signature, CanvasToolError.INVALID_ARGUMENT, `analyzer for canvas="${this.canvasId}" is not a CanvasSpectrumAnalyzer.`);
+        }
+        let lut = CanvasColorMap.from(colorMap).lut;
+
+        // 3. In multi-threaded environment, avoid data corruption; So ensure only a single instance of drawSpectrogramOnCanvas is running.
+        this.enterBusy(signature);
+        try {
+            // 4. one level per pixel row, lowest frequency first.
+            analyzer.analyze(n_bits, bits);
+            let levels = analyzer.getLevels(this.height);
+
+            // 5. scroll every row one pixel to the left.
+            let arr = this.dataFrame.data;
+            this.markDirtyRect(0, 0, this.width, this.height);
+            let width_4 = 4 * this.width;
+            let y, row, x_offset, index;
+            for (y = 0, row = 0; y < this.height; y++, row += width_4) {
+                arr.copyWithin(row, row + 4, row + width_4);
+            }
+
+            // 6. paint the newest column.
+            for (y = 0; y < this.height; y++) {
+                index = Math.round(levels[this.height - 1 - y] * 255) * 3;
+                x_offset = y * width_4 + width_4 - 4;
+                arr[x_offset + 0] = lut[index + 0]; // R value
+                arr[x_offset + 1] = lut[index + 1]; // G value
+                arr[x_offset + 2] = lut[index + 2]; // B value
+                arr[x_offset + 3] = 255; // A value
+            }
+
+            // 7. done drawing on Canvas
+            return true;
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * @method Split the canvas into horizontal lanes, E.g. one per channel of a stereo or 8-channel recording.
+     *
+     * @param {integer|Array} lanes - number of lanes, or an Array with one {label, color, scale, weight} per lane.
+     * <br/>label: text drawn in the label gutter, default none.
+     * <br/>color: color of the trace (CSS string, {rr, gg, bb, aa}, ...), default the theme trace color.
+     * <br/>scale: multiply the values before plotting, default 1.
+     * <br/>weight: relative height of the lane, default 1.
+     * @param {integer} [gutter] - width in pixel of the label gutter on the left, default 0 (no labels).
+     * @returns {Array} the computed lanes, @see getLanes
+     * @throws {CanvasToolDataError} if there is no lane or they do not fit in the canvas.
+     */
+    setLanes(lanes, gutter) {
+        let signature = 'setLanes';
+        let configs = lanes;
+        if (typeof lanes === 'number') {
+            configs = [];
+            for (let i = 0; i < lanes; i++) configs.push({});
+        }
+        if (!Array.isArray(configs) || configs.length < 1 || configs.length > this.height) {
+            throw this.generateError(signature, CanvasToolError.INVALID_ARGUMENT, `lanes for canvas="${this.canvasId}" must be 1 to ${this.height} lanes.`);
+        }
+        let left = Math.max(0, Math.floor(gutter) || 0);
+        if (left >= this.width) {
+            throw this.generateError(signature, CanvasToolError.INVALID_ARGUMENT, `gutter=${gutter} is wider than canvas="${this.canvasId}".`);
+        }
+
+        let total = 0;
+        configs.forEach((config) => {
+            total += (config && config.weight > 0) ? config.weight : 1;
+        });
+
+        // Each lane gets its share of the height, the last lane takes the rounding left over.
+        let computed = [];
+        let top = 0,
+            sum = 0;
+        configs.forEach((config, index) => {
+            let lane = config || {};
+            sum += (lane.weight > 0) ? lane.weight : 1;
+            let bottom = (index === configs.length - 1) ? this.height : Math.round(sum * this.height / total);
+            computed.push({
+                index: index,
+                label: (typeof lane.label === 'undefined') ? '' : String(lane.label),
+                color: (typeof lane.color === 'undefined' || lane.color === null) ? null : CanvasColor.from(lane.color),
+                scale: (typeof lane.scale === 'number') ? lane.scale : 1,
+                top: top,
+                height: bottom - top,
+                center: top + Math.floor((bottom - top) / 2),
+                left: left
+            });
+            top = bottom;
+        });
+
+        this.lanes = computed;
+        this.laneGutter = left;
+        this.laneConfigs = configs;
+        return this.getLanes();
+    }
+
+    /**
+     * @returns {Array} copy of the lanes {index, label, color, scale, top, height, center, left}, or an empty Array.
+     * color is null when the lane uses the theme trace color.
+     */
+    getLanes() {
+        return this.lanes.map((lane) => Object.assign({}, lane));
+    }
+
+    /**
+     * @method Step 4. (lane) Draw the content of given Array of Integer into one lane, centered on the lane center line.
+     *
+     * @param {integer} laneIndex - 0 to number of lanes - 1. @see setLanes
+     * @param {integer} n_bits - Total number of integer in bits. Mapped to X from the right of the label gutter.
+     * @param {Object} bits - Array of integer -N to +N where N is half of the lane height (before the lane scale).
+     * @param {boolean|string|Object} isBar - How to draw bits in the lane, the same as drawOnCanvas(): true for 'bars'
+     * from the bottom of the lane, false for the renderer of the canvas, or a renderer name or object.
+     *
+     * @returns {boolean} false if n_bits < 1 or bits is null, otherwise an Error or true.
+     */
+    drawLaneOnCanvas(laneIndex, n_bits, bits, isBar) {
+        if (n_bits < 1 || bits === null) {
+            return false;
+        }
+
+        // 1. set signature
+        let signature = 'drawLaneOnCanvas';
+
+        // 2. make sure previously created Canvas Context is properly created, and the lane exist.
+        if (this.dataFrame === null) {
+            throw this.generateError(signature, CanvasToolError.FRAME_NOT_OPEN, `Context.ImageData for canvas="${this.canvasId}" does not exist. Call drawBegin(document) to create one.`);
+        }
+        let lane = this.lanes[laneIndex];
+        if (typeof lane === 'undefined') {
+            throw this.generateError(signature, CanvasToolError.INVALID_ARGUMENT, `lane ${laneIndex} does not exist for canvas="${this.canvasId}". Call setLanes() first.`);
+        }
+
+        let renderer = this.resolveRenderer(signature, isBar);
+
+        // 2.1 raw samples go through the amplitude scaling, to the lane height, then the lane scale.
+        if (this.amplitudeScaler !== null) {
+            bits = this.amplitudeScaler.scale(bits, n_bits, (renderer.range === 'bottom') ? lane.height - 1 : Math.floor(lane.height / 2));
+        }
+        if (lane.scale !== 1) {
+            let scaled = new Float64Array(Math.min(n_bits, bits.length));
+            for (let i = 0; i < scaled.length; i++) {
+                scaled[i] = bits[i] * lane.scale;
+            }
+            bits = scaled;
+        }
+
+        // 3. In multi-threaded environment, avoid data corruption; So ensure only a single instance of drawLaneOnCanvas is running.
+        this.enterBusy(signature);
+        try {
+            // 4. The renderer draws into a frame clipped to the lane, right of the label gutter.
+            let arr = this.dataFrame.data;
+            let color = (lane.color !== null) ? lane.color : this.theme.trace;
+            let area = {left: lane.left, top: lane.top, width: this.width - lane.left, height: lane.height};
+            renderer.render(this.createRenderFrame(n_bits, bits, color, this.rendererOptions || {}, area));
+
+            // 5. lane label in the gutter
+            if (lane.left > 0 && lane.label.length > 0) {
+                this.plotText(arr, 1, lane.top + 1, lane.label, color, 1);
+            }
+
+            // 6. done drawing on Canvas
+            return true;
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * @method Step 4. (lanes) Draw one Array of Integer per lane, E.g. one per channel.
+     *
+     * @param {Array} channels - Array of bits (Array of integer or typed array), channels[i] goes into lane i.
+     * @param {boolean|string|Object} isBar - How to draw each lane. @see drawLaneOnCanvas
+     * @returns {boolean} true if at least one lane was drawn.
+     */
+    drawLanesOnCanvas(channels, isBar) {
+        let drawn = false;
+        let count = Math.min(channels.length, this.lanes.length);
+        for (let i = 0; i < count; i++) {
+            if (channels[i] && this.drawLaneOnCanvas(i, channels[i].length, channels[i], isBar)) {
+                drawn = true;
+            }
+        }
+        return drawn;
+    }
+
+    /**
+     * @method Draw a text with the built-in bitmap font. @see CanvasBitmapFont
+     *
+     * @param {integer} x - left of the text.
+     * @param {integer} y - top of the text.
+     * @param {string} text - the text.
+     * @param {integer|string|Object} rr -   RED part of pixel color to be drawn, or any color @see CanvasColor.from
+     * Omit the colors to use the theme trace color.
+     * @param {integer} gg - GREEN part of pixel color to be drawn.
+     * @param {integer} bb -  BLUE part of pixel color to be drawn.
+     * @param {integer} [scale] - pixel size of each font dot, default 1.
+     * @returns {boolean} true, otherwise an Error.
+     */
+    drawTextOnCanvas(x, y, text, rr, gg, bb, scale) {
+        let signature = 'drawTextOnCanvas';
+
+        if (this.dataFrame === null) {
+            throw this.generateError(signature, CanvasToolError.FRAME_NOT_OPEN, `Context.ImageData for canvas="${this.canvasId}" does not exist. Call drawBegin(document) to create one.`);
+        }
+        let color = this.resolveColor(rr, gg, bb, this.theme.trace);
+        this.enterBusy(signature);
+        try {
+            this.plotText(this.dataFrame.data, Math.round(x), Math.round(y), String(text), color, Math.max(1, Math.floor(scale) || 1));
+            return true;
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * @private Draw a text at (x, y) top left, each font dot is a scale x scale square.
+     */
+    plotText(arr, x, y, text, color, scale) {
+        let i, row, col, rows, dx, dy, left;
+        for (i = 0; i < text.length; i++) {
+            rows = CanvasBitmapFont.getGlyph(text.charAt(i));
+            left = x + i * CanvasBitmapFont.ADVANCE * scale;
+            for (row = 0; row < CanvasBitmapFont.HEIGHT; row++) {
+                for (col = 0; col < CanvasBitmapFont.WIDTH; col++) {
+                    if ((rows[row] & (0x10 >> col)) === 0) continue;
+                    for (dy = 0; dy < scale; dy++) {
+                        for (dx = 0; dx < scale; dx++) {
+                            this.plotPixel(arr, left + col * scale + dx, y + row * scale + dy, color);
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * @method Step 4. (overlay) Draw gridlines, the zero line and time / amplitude tick labels over what is drawn so far.
+     *
+     * Call it after the drawOnCanvas() family and before drawEnd(). Ticks fall on 1, 2, 5 x 10^n steps.
+     *
+     * @param {Object} [options] - {sampleRate, startSample, samplesPerPixel, amplitudeScale, xTicks, yTicks, zeroLine, labels, color, labelColor}
+     * <br/>sampleRate: samples per second, time labels are in s / ms. Use 0 (default) for labels in samples.
+     * <br/>startSample: sample at X = 0, default the visible range @see setViewport, setVisibleRange.
+     * <br/>samplesPerPixel: samples per pixel column, default the visible range.
+     * <br/>amplitudeScale: value of one pixel row, default 1 (the same as drawOnCanvas).
+     * <br/>xTicks, yTicks: about how many gridlines, default one per 100 / 32 pixel.
+     * <br/>zeroLine: draw the center line, default true.
+     * <br/>labels: draw the tick labels, default true.
+     * <br/>color: gridline color, default the theme grid color. labelColor: default the grid color made opaque.
+     * @returns {boolean} true, otherwise an Error.
+     */
+    drawGridOnCanvas(options) {
+        // 1. set signature
+        let signature = 'drawGridOnCanvas';
+
+        // 2. make sure previously created Canvas Context is properly created.
+        if (this.dataFrame === null) {
+            throw this.generateError(signature, CanvasToolError.FRAME_NOT_OPEN, `Context.ImageData for canvas="${this.canvasId}" does not exist. Call drawBegin(document) to create one.`);
+        }
+
+        // 3. options and colors.
+        let opts = options || {};
+        let range = this.getVisibleRange();
+        let sampleRate = opts.sampleRate > 0 ? opts.sampleRate : 0;
+        let start = (typeof opts.startSample === 'number') ? opts.startSample : range.startSample;
+        let spp = opts.samplesPerPixel > 0 ? opts.samplesPerPixel : range.samplesPerPixel;
+        let amplitudeScale = opts.amplitudeScale > 0 ? opts.amplitudeScale : 1;
+        let xTicks = opts.xTicks > 0 ? opts.xTicks : Math.max(1, Math.round(this.width / 100));
+        let yTicks = opts.yTicks > 0 ? opts.yTicks : Math.max(1, Math.round(this.height / 32));
+        let color = this.resolveColor(opts.color, undefined, undefined, this.theme.grid);
+        let solid = (color instanceof CanvasColor) ? new CanvasColor(color.rr, color.gg, color.bb, 255) : color;
+        let labelColor = this.resolveColor(opts.labelColor, undefined, undefined, solid);
+        let zeroColor = (color instanceof CanvasColor) ? new CanvasColor(color.rr, color.gg, color.bb, Math.min(255, 2 * color.aa)) : color;
+
+        // 4. In multi-threaded environment, avoid data corruption; So ensure only a single instance of drawGridOnCanvas is running.
+        this.enterBusy(signature);
+        try {
+            let arr = this.dataFrame.data;
+            let center_y = Math.floor(this.height / 2);
+            let labelHeight = CanvasBitmapFont.HEIGHT;
+            let x, y, k, value, text;
+
+            // 5. vertical gridlines on time (or sample) ticks.
+            let unit = (sampleRate > 0) ? 1 / sampleRate : 1;
+            let span = this.width * spp * unit;
+            let step = CanvasToolClass.niceStep(span / xTicks);
+            let first = Math.ceil((start * unit) / step);
+            for (k = first; ; k++) {
+                value = k * step;
+                x = Math.round((value / unit - start) / spp);
+                if (x >= this.width) break;
+                if (x < 0) continue;
+                this.fillColumn(arr, x, 0, this.height - 1, color);
+                if (opts.labels !== false) {
+                    text = (sampleRate > 0) ? CanvasToolClass.formatTime(value, step) : CanvasToolClass.formatNumber(value, step);
+                    if (x + 2 + CanvasBitmapFont.measureText(text, 1).width < this.width) {
+                        this.plotText(arr, x + 2, this.height - labelHeight - 1, text, labelColor, 1);
+                    }
+                }
+            }
+
+            // 6. horizontal gridlines on amplitude ticks, both sides of the center line.
+            step = CanvasToolClass.niceStep((this.height / 2) * amplitudeScale / yTicks);
+            for (k = 1; ; k++) {
+                value = k * step;
+                y = Math.round(value / amplitudeScale);
+                if (y >= this.height / 2) break;
+                this.fillRow(arr, center_y + y, 0, this.width - 1, color);
+                this.fillRow(arr, center_y - y, 0, this.width - 1, color);
+                if (opts.labels !== false) {
+                    this.plotText(arr, 2, center_y + y + 2, CanvasToolClass.formatNumber(value, step), labelColor, 1);
+                    this.plotText(arr, 2, center_y - y - labelHeight - 1, CanvasToolClass.formatNumber(-value, step), labelColor, 1);
+                }
+            }
+
+            // 7. zero line
+            if (opts.zeroLine !== false) {
+                this.fillRow(arr, center_y, 0, this.width - 1, zeroColor);
+            }
+
+            // 8. done drawing on Canvas
+            return true;
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * @private Fill the pixels of row y from x0 to x1 (inclusive), clipped to the canvas.
+     */
+    fillRow(arr, y, x0, x1, color) {
+        if (y < 0 || y >= this.height) return;
+        let left = Math.max(0, Math.min(x0, x1));
+        let right = Math.min(this.width - 1, Math.max(x0, x1));
+        let x_offset = 4 * (y * this.width + left);
+        for (let x = left; x <= right; x++, x_offset += 4) {
+            this.paintPixel(arr, x_offset, color);
+        }
+    }
+
+    /**
+     * @method Round a step up to 1, 2 or 5 x 10^n.
+     *
+     * @param {number} raw - the wanted step.
+     * @returns {number} the nice step.
+     */
+    static niceStep(raw) {
+        if (!(raw > 0)) return 1;
+        let power = Math.pow(10, Math.floor(Math.log10(raw)));
+        let fraction = raw / power;
+        let nice = (fraction <= 1) ? 1 : (fraction <= 2) ? 2 : (fraction <= 5) ? 5 : 10;
+        return nice * power;
+    }
+
+    /**
+     * @method Format a tick value with just enough decimals for its step.
+     *
+     * @param {number} value - the tick value.
+     * @param {number} step - the tick step.
+     * @returns {string}
+     */
+    static formatNumber(value, step) {
+        let decimals = Math.max(0, Math.min(6, -Math.floor(Math.log10(step))));
+        return value.toFixed(decimals);
+    }
+
+    /**
+     * @method Format a time tick in seconds, as s or ms.
+     *
+     * @param {number} seconds - the tick value.
+     * @param {number} step - the tick step in seconds.
+     * @returns {string}
+     */
+    static formatTime(seconds, step) {
+        if (step < 1) {
+            return CanvasToolClass.formatNumber(seconds * 1000, step * 1000) + 'ms';
+        }
+        return CanvasToolClass.formatNumber(seconds, step) + 's';
+    }
+
+    /**
+     * @method Step 5. Draw the marker on the given X position using the provide colors.
+     *
+     * @param {integer} x_coor - The marker coordinate 0 to width - 1.
+     * @param {integer|string|Object} rr -   RED part of pixel color to be drawn, or any color @see CanvasColor.from
+     * Omit the colors to use the theme marker color.
      * @param {integer} gg - GREEN part of pixel color to be drawn.
      * @param {integer} bb -  BLUE part of pixel color to be drawn.
      *
-     * @returns {boolean} false if n_bits < 1 or bits is null, otherwise an Error or true.
+     * @returns {boolean} false if x_coor is not 0 to width - 1, otherwise an Error or true.
+     */
+    drawCanvasMarker(x_coor, rr, gg, bb) {
+        // 5.0. set signature
+        let signature = 'drawCanvasMarker';
+
+        // 5.0.1 the marker is on the canvas, nothing is wrapped around.
+        if (!(x_coor >= 0 && x_coor < this.width)) {
+            return false;
+        }
+
+        // 5.1. make sure previously created Canvas Context is properly created.
+        if (this.dataContext === null) {
+            throw this.generateError(signature, CanvasToolError.FRAME_NOT_OPEN, `Context.ImageData for canvas="${this.canvasId}" does not exist. Call drawBegin(document) to create one.`);
+        }
+
+        // 5.2. In multi-threaded environment, avoid data corruption; So ensure only a single instance of drawEnd is running.
+        let color = this.resolveColor(rr, gg, bb, this.theme.marker);
+        this.enterBusy(signature);
+        try {
+            // 5.3 Draw at this X position, full height, 2 pixel wide unless it is the last column.
+            let x = Math.floor(x_coor);
+            let arr = this.dataFrame.data;
+            this.fillColumn(arr, x, 0, this.height - 1, color);
+            if (x + 1 < this.width) {
+                this.fillColumn(arr, x + 1, 0, this.height - 1, color);
+            }
+
+            // 5.4 done drawing Marker on Canvas
+            return true;
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * @method Step 6. Commit the drawing to Canvas Context via Context.putImageData(), or discard it.
+     *
+     * @param {boolean} [isCommit] - false to discard the frame, the canvas keeps its previous pixels. Default true.
+     * @throws Error if (@private {dataContext}) was already drawn.
+     *
+     * @returns true, otherwise Error
+     */
+    drawEnd(isCommit) {
+        // 6.1. set signature
+        let signature = 'drawEnd';
+
+        // 6.2. make sure previously created Canvas Context is properly created.
+        if (this.dataContext === null) {
+            throw this.generateError(signature, CanvasToolError.FRAME_NOT_OPEN, `Context.ImageData for canvas="${this.canvasId}" does not exist. Call drawBegin(document) to create one.`);
+        }
+
+        // 6.3. In multi-threaded environment, avoid data corruption; So ensure only a single instance of drawEnd is running.
+        this.enterBusy(signature);
+        try {
+            let isDiscard = (isCommit === false);
+            if (!isDiscard) {
+                // 6.4 Render the attached annotations and the interaction over the frame. A kept frame is a history,
+                // so the pixels under the overlays are saved first and put back once the frame is on the canvas.
+                let hasOverlay = (this.annotations !== null || this.interaction !== null);
+                let plain = (hasOverlay && this.keepFrame) ? new Uint8ClampedArray(this.dataFrame.data) : null;
+                if (this.overlayRect !== null) {
+                    // the overlays of the previous frame are still on the canvas, not in the kept frame.
+                    this.markDirtyRect(this.overlayRect.x0, this.overlayRect.y0, this.overlayRect.x1, this.overlayRect.y1);
+                }
+                let drawn = {x0: this.dirtyX0, y0: this.dirtyY0, x1: this.dirtyX1, y1: this.dirtyY1};
+                this.dirtyX0 = this.width;
+                this.dirtyY0 = this.height;
+                this.dirtyX1 = 0;
+                this.dirtyY1 = 0;
+                if (this.annotations !== null) {
+                    this.drawAnnotations(this.dataFrame.data);
+                }
+                if (this.interaction !== null) {
+                    this.drawInteraction(this.dataFrame.data);
+                }
+                let overlay = this.getDirtyRect();
+                this.overlayRect = null;
+                if (plain !== null && overlay !== null) {
+                    this.overlayRect = {x0: this.dirtyX0, y0: this.dirtyY0, x1: this.dirtyX1, y1: this.dirtyY1};
+                    this.overlayRect.under = this.copyRect(plain, this.overlayRect);
+                }
+                this.markDirtyRect(drawn.x0, drawn.y0, drawn.x1, drawn.y1);
+
+                // 6.5 Draw the changed pixels into the Canvas, nothing when no pixel was changed.
+                let dirty = this.getDirtyRect();
+                if (dirty !== null) {
+                    this.dataContext.putImageData(this.dataFrame, this.border, this.border, dirty.x, dirty.y, dirty.width, dirty.height);
+                }
+                if (plain !== null) {
+                    this.dataFrame.data.set(plain);
+                }
+                this.isInvalid = false;
+            }
+
+            // 6.6 Clear these var to signifiy drawing into the Canvas is completed. A discarded frame was drawn
+            // into, so it is not kept: the next drawBegin() reads the canvas back, and puts the pixels saved under the
+            // overlays (overlayRect) back over the overlays of the last committed frame.
+            this.keptFrame = (this.keepFrame && !isDiscard) ? this.dataFrame : null;
+            this.dataFrame = null;
+            this.dataContext = null;
+            this.sizeFrame = 0;
+
+            // 6.7 apply a resize() asked for while the frame was open.
+            if (this.pendingSize !== null) {
+                this.applySize(this.pendingSize.width, this.pendingSize.height, this.pendingSize.border);
+            }
+
+            // 6.8 close the session, queued frames start once drawEnd() is done.
+            if (this.session !== null) {
+                this.session.open = false;
+                this.session = null;
+            }
+            if (this.frameQueue.length > 0) {
+                Promise.resolve().then(() => this.runQueuedFrames());
+            }
+            return true;
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * @private Render the interaction overlay: the selection, then the crosshair and the tooltip of the hover.
+     */
+    drawInteraction(arr) {
+        let overlay = this.interaction.getOverlay();
+        let color = (overlay.color !== null) ? overlay.color : this.theme.marker;
+        let x;
+
+        // 1. selection, shaded like a region.
+        if (overlay.selection !== null) {
+            let shade = (color instanceof CanvasColor) ? new CanvasColor(color.rr, color.gg, color.bb, 64) : color;
+            for (x = overlay.selection.start.x; x <= overlay.selection.end.x; x++) {
+                this.fillColumn(arr, x, 0, this.height - 1, shade);
+            }
+        }
+        let hover = overlay.hover;
+        if (hover === null) {
+            return;
+        }
+
+        // 2. crosshair through the pointer.
+        if (overlay.crosshair) {
+            this.fillColumn(arr, hover.x, 0, this.height - 1, color);
+            this.fillRow(arr, hover.y, 0, this.width - 1, color);
+        }
+
+        // 3. tooltip next to the pointer, on the other side when it would leave the canvas.
+        if (overlay.tooltip && overlay.text.length > 0) {
+            let size = CanvasBitmapFont.measureText(overlay.text, 1);
+            let tx = (hover.x + 4 + size.width < this.width) ? hover.x + 4 : hover.x - 4 - size.width;
+            let ty = (hover.y + 4 + size.height < this.height) ? hover.y + 4 : hover.y - 4 - size.height;
+            for (let y = ty - 1; y <= ty + size.height; y++) {
+                this.fillRow(arr, y, tx - 1, tx + size.width, this.theme.background);
+            }
+            this.plotText(arr, tx, ty, overlay.text, (color instanceof CanvasColor) ? new CanvasColor(color.rr, color.gg, color.bb, 255) : color, 1);
+        }
+    }
+
+    /**
+     * @private Render the attached annotations: regions first, then markers, then the playhead on top.
+     */
+    drawAnnotations(arr) {
+        let annotations = this.annotations;
+        let marker = this.theme.marker;
+        let shade = (marker instanceof CanvasColor) ? new CanvasColor(marker.rr, marker.gg, marker.bb, 64) : marker;
+        let labelY = 2;
+        let opaque = (c) => (c instanceof CanvasColor) ? new CanvasColor(c.rr, c.gg, c.bb, 255) : c;
+        let x, x0, x1, color;
+
+        // 1. regions, clipped to the canvas
+        annotations.getRegions().forEach((region) => {
+            x0 = Math.max(0, this.sampleToPixel(region.start));
+            x1 = Math.min(this.width - 1, Math.max(x0, this.sampleToPixel(region.end) - 1));
+            if (x0 >= this.width || this.sampleToPixel(region.end) < 0) return;
+            color = region.color || shade;
+            for (x = x0; x <= x1; x++) {
+                this.fillColumn(arr, x, 0, this.height - 1, color);
+            }
+            if (region.label) {
+                this.plotText(arr, x0 + 2, labelY, region.label, opaque(color), 1);
+            }
+        });
+
+        // 2. markers, 1 pixel wide; the label goes below the region labels.
+        annotations.getMarkers().forEach((m) => {
+            x = this.sampleToPixel(m.sample);
+            if (x < 0 || x >= this.width) return;
+            color = m.color || marker;
+            this.fillColumn(arr, x, 0, this.height - 1, color);
+            if (m.label) {
+                this.plotText(arr, x + 2, labelY + CanvasBitmapFont.HEIGHT + 3, m.label, opaque(color), 1);
+            }
+        });
+
+        // 3. playhead, 2 pixel wide like drawCanvasMarker
+        let playhead = annotations.getPlayhead();
+        if (playhead !== null) {
+            x = this.sampleToPixel(playhead.sample);
+            color = playhead.color || marker;
+            if (x >= 0 && x < this.width) this.fillColumn(arr, x, 0, this.height - 1, color);
+            if (x + 1 >= 0 && x + 1 < this.width) this.fillColumn(arr, x + 1, 0, this.height - 1, color);
+        }
+    }
+
+    /**
+     * @private Set the busy flag, or throw CANVAS_BUSY if it is already set. The caller resets it in a finally block.
+     */
+    enterBusy(signature) {
+        if (this.isBusy === true) {
+            throw this.generateError(signature, CanvasToolError.CANVAS_BUSY, `canvas="${this.canvasId}" is still in progress.`);
+        }
+        this.isBusy = true;
+    }
+
+    /**
+     * @method Mark busy flag.
+     *
+     * @deprecated Kept for compatibility only, the draw methods no longer use it. Use withFrame() or queueFrame()
+     * to draw one frame at a time; setting the flag from outside makes the next draw method throw CANVAS_BUSY.
+     *
+     * @param {boolean} flag boolean Busy flag to set.
+     * @returns boolean Previous Busy flag
+     */
+    setBusy(flag) {
+        let before = this.isBusy;
+        this.isBusy = flag;
+        return before;
+    }
+
+}
+
+/**
+ * Logger used when an instance has no logger of its own. @see CanvasToolClass.setDefaultLogger
+ */
+CanvasToolClass.defaultLogger = (typeof console !== 'undefined') ? console : null;
+
+/**
+ * @class CanvasToolError - Error thrown by CanvasToolClass and its helpers.
+ *
+ * Use {code} to tell errors apart, E.g. <code>if (e.code === CanvasToolError.CANVAS_BUSY) ...</code>.
+ * Sub classes group the codes: CanvasToolStateError (frame life cycle), CanvasToolElementError (the canvas element or
+ * its context) and CanvasToolDataError (invalid input data).
+ */
+class CanvasToolError extends Error {
+    /**
+     * @constructor
+     *
+     * @param {string} code - stable error code, E.g. CanvasToolError.FRAME_ALREADY_OPEN
+     * @param {string} message - human readable message.
+     * @param {string} [canvasId] - the canvas involved, if any.
+     * @param {string} [method] - name of the failing method.
+     * @param {*} [cause] - the underlying exception, if any.
+     */
+    constructor(code, message, canvasId, method, cause) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.canvasId = (typeof canvasId === 'undefined') ? null : canvasId;
+        this.method = (typeof method === 'undefined') ? null : method;
+        this.cause = cause;
+    }
+
+    /**
+     * Create the CanvasToolError sub class that matches the given code.
+     *
+     * @param {string} code - stable error code.
+     * @param {string} message - human readable message.
+     * @param {string} [canvasId] - the canvas involved, if any.
+     * @param {string} [method] - name of the failing method.
+     * @param {*} [cause] - the underlying exception, if any.
+     * @returns {CanvasToolError}
+     */
+    static create(code, message, canvasId, method, cause) {
+        let ErrorClass = CanvasToolError.classByCode[code] || CanvasToolError;
+        return new ErrorClass(code, message, canvasId, method, cause);
+    }
+}
+
+/** @class CanvasToolStateError - The draw life cycle was not respected (frame open, not open, busy). */
+class CanvasToolStateError extends CanvasToolError {}
+
+/** @class CanvasToolElementError - The canvas element, its 2d context or its ImageData is not available. */
+class CanvasToolElementError extends CanvasToolError {}
+
+/** @class CanvasToolDataError - The given data (BoxDataStructure, surface, ...) is not valid. */
+class CanvasToolDataError extends CanvasToolError {}
+
+CanvasToolError.FRAME_ALREADY_OPEN = 'FRAME_ALREADY_OPEN';
+CanvasToolError.FRAME_NOT_OPEN = 'FRAME_NOT_OPEN';
+CanvasToolError.CANVAS_BUSY = 'CANVAS_BUSY';
+CanvasToolError.CANVAS_NOT_FOUND = 'CANVAS_NOT_FOUND';
+CanvasToolError.CONTEXT_UNAVAILABLE = 'CONTEXT_UNAVAILABLE';
+CanvasToolError.IMAGE_DATA_FAILED = 'IMAGE_DATA_FAILED';
+CanvasToolError.INVALID_SURFACE = 'INVALID_SURFACE';
+CanvasToolError.INVALID_BOX_DATA = 'INVALID_BOX_DATA';
+CanvasToolError.INVALID_ARGUMENT = 'INVALID_ARGUMENT';
+CanvasToolError.INVALID_WAV = 'INVALID_WAV';
+CanvasToolError.UNSUPPORTED_WAV = 'UNSUPPORTED_WAV';
+CanvasToolError.SESSION_CLOSED = 'SESSION_CLOSED';
+CanvasToolError.INVALID_SCENE = 'INVALID_SCENE';
+
+/** @private Which sub class to create for a given code. */
+CanvasToolError.classByCode = {
+    FRAME_ALREADY_OPEN: CanvasToolStateError,
+    FRAME_NOT_OPEN: CanvasToolStateError,
+    CANVAS_BUSY: CanvasToolStateError,
+    SESSION_CLOSED: CanvasToolStateError,
+    CANVAS_NOT_FOUND: CanvasToolElementError,
+    CONTEXT_UNAVAILABLE: CanvasToolElementError,
+    IMAGE_DATA_FAILED: CanvasToolElementError,
+    INVALID_SURFACE: CanvasToolDataError,
+    INVALID_BOX_DATA: CanvasToolDataError,
+    INVALID_ARGUMENT: CanvasToolDataError,
+    INVALID_WAV: CanvasToolDataError,
+    UNSUPPORTED_WAV: CanvasToolDataError,
+    INVALID_SCENE: CanvasToolDataError
+};
+
+/**
+ * @class CanvasSurfaceContext - Minimal headless stand-in for CanvasRenderingContext2D.
+ * Only getImageData() and putImageData() are implemented, which is all CanvasToolClass needs.
+ */
+class CanvasSurfaceContext {
+    /**
+     * @constructor
+     *
+     * @param {Object} surface - ImageData-like {width, height, data} @see CanvasToolClass.createSurface
+     */
+    constructor(surface) {
+        /** @private */
+        this.surface = surface;
+    }
+
+    /**
+     * Copy a rectangle out of the surface. Pixels outside the surface are transparent black, same as the Canvas API.
+     *
+     * @param {integer} sx - left
+     * @param {integer} sy - top
+     * @param {integer} sw - width
+     * @param {integer} sh - height
+     * @returns {Object} ImageData-like {width, height, data}
+     */
+    getImageData(sx, sy, sw, sh) {
+        let frame = CanvasToolClass.createSurface(sw, sh);
+        let src = this.surface.data;
+        let dst = frame.data;
+        let x0 = Math.max(0, sx),
+            x1 = Math.min(this.surface.width, sx + sw);
+        let y, srcStart, dstStart;
+        if (x1 <= x0) return frame;
+        for (y = Math.max(0, sy); y < Math.min(this.surface.height, sy + sh); y++) {
+            srcStart = (y * this.surface.width + x0) * 4;
+            dstStart = ((y - sy) * sw + (x0 - sx)) * 4;
+            dst.set(src.subarray(srcStart, srcStart + (x1 - x0) * 4), dstStart);
+        }
+        return frame;
+    }
+
+    /**
+     * Copy an ImageData-like rectangle into the surface at (dx, dy), clipped to the surface. Like the Canvas API, the
+     * dirty rectangle limits the copy to that part of imageData.
+     *
+     * @param {Object} imageData - ImageData-like {width, height, data}
+     * @param {integer} dx - left
+     * @param {integer} dy - top
+     * @param {integer} [dirtyX] - left of the part of imageData to copy, default 0.
+     * @param {integer} [dirtyY] - top of the part to copy, default 0.
+     * @param {integer} [dirtyWidth] - width of the part to copy, default imageData.width.
+     * @param {integer} [dirtyHeight] - height of the part to copy, default imageData.height.
+     */
+    putImageData(imageData, dx, dy, dirtyX, dirtyY, dirtyWidth, dirtyHeight) {
+        let src = imageData.data;
+        let dst = this.surface.data;
+        let rx = (typeof dirtyX === 'number') ? dirtyX : 0;
+        let ry = (typeof dirtyY === 'number') ? dirtyY : 0;
+        let rw = (typeof dirtyWidth === 'number') ? dirtyWidth : imageData.width;
+        let rh = (typeof dirtyHeight === 'number') ? dirtyHeight : imageData.height;
+        if (rw < 0) {
+            rx += rw;
+            rw = -rw;
+        }
+        if (rh < 0) {
+            ry += rh;
+            rh = -rh;
+        }
+        let x0 = Math.max(0, dx + Math.max(0, rx)),
+            x1 = Math.min(this.surface.width, dx + Math.min(imageData.width, rx + rw));
+        let y0 = Math.max(0, dy + Math.max(0, ry)),
+            y1 = Math.min(this.surface.height, dy + Math.min(imageData.height, ry + rh));
+        let y, srcStart, dstStart;
+        if (x1 <= x0) return;
+        for (y = y0; y < y1; y++) {
+            srcStart = ((y - dy) * imageData.width + (x0 - dx)) * 4;
+            dstStart = (y * this.surface.width + x0) * 4;
+            dst.set(src.subarray(srcStart, srcStart + (x1 - x0) * 4), dstStart);
+        }
+    }
+}
+
+/**
+ * @class CanvasWavDecoder - Decode a WAV/RIFF file into one BoxDataStructure per channel.
+ *
+ * Supports PCM 8, 16, 24 and 32-bit integer and IEEE float 32 or 64-bit samples, mono or multichannel,
+ * including WAVE_FORMAT_EXTENSIBLE files. Samples are converted to the Int16Array used by BoxDataStructure.
+ */
+class CanvasWavDecoder {
+    /**
+     * @method Decode a WAV file.
+     *
+     * @param {ArrayBuffer|Object} _wav - The whole WAV file as ArrayBuffer, Node Buffer, Uint8Array or DataView.
+     * @param {integer} _canvasWidth - The width suitable for CanvasToolClass processing. @see CanvasToolClass.createBoxDataStructure
+     * @returns {Object} {format, sampleRate, channels, bitsPerSample, frames, duration, boxes} where boxes is an Array of
+     * {BoxDataStructure}, one per channel. Each BoxDataStructure also carries channel, sampleRate and duration.
+     * @throws {CanvasToolDataError} code INVALID_WAV if the file is not a WAV file, or UNSUPPORTED_WAV for other encodings.
+     */
+    static decode(_wav, _canvasWidth) {
+        let view;
+        if (_wav instanceof ArrayBuffer) {
+            view = new DataView(_wav);
+        } else if (ArrayBuffer.isView(_wav)) {
+            view = new DataView(_wav.buffer, _wav.byteOffset, _wav.byteLength);
+        } else {
+            throw CanvasToolClass.generateClassError('CanvasWavDecoder', CanvasToolError.INVALID_WAV, 'decode', 'expecting an ArrayBuffer, Buffer or typed array.');
+        }
+
+        // 1. RIFF header
+        if (view.byteLength < 12 ||
+            CanvasWavDecoder.readTag(view, 0) !== 'RIFF' ||
+            CanvasWavDecoder.readTag(view, 8) !== 'WAVE'
+        ) {
+            throw CanvasToolClass.generateClassError('CanvasWavDecoder', CanvasToolError.INVALID_WAV, 'decode', 'missing RIFF/WAVE header.');
+        }
+
+        // 2. walk the chunks, only "fmt " and "data" are needed.
+        let fmt = null;
+        let dataOffset = -1,
+            dataSize = 0;
+        let position = 12;
+        let tag, size;
+        while (position + 8 <= view.byteLength) {
+            tag = CanvasWavDecoder.readTag(view, position);
+            size = view.getUint32(position + 4, true);
+            position += 8;
+            if (tag === 'fmt ') {
+                fmt = CanvasWavDecoder.readFormat(view, position, size);
+            } else if (tag === 'data') {
+                dataOffset = position;
+                // 2.1 streamed or truncated files may declare more than they hold.
+                dataSize = Math.min(size, view.byteLength - position);
+                break;
+            }
+            // 2.2 chunks are word aligned.
+            position += size + (size & 1);
+        }
+
+        if (fmt === null) {
+            throw CanvasToolClass.generateClassError('CanvasWavDecoder', CanvasToolError.INVALID_WAV, 'decode', 'missing "fmt " chunk.');
+        }
+        if (dataOffset < 0) {
+            throw CanvasToolClass.generateClassError('CanvasWavDecoder', CanvasToolError.INVALID_WAV, 'decode', 'missing "data" chunk.');
+        }
+
+        // 3. is this an encoding we can read?
+        let isPcm = fmt.audioFormat === CanvasWavDecoder.WAVE_FORMAT_PCM &&
+            (fmt.bitsPerSample === 8 || fmt.bitsPerSample === 16 || fmt.bitsPerSample === 24 || fmt.bitsPerSample === 32);
+        let isFloat = fmt.audioFormat === CanvasWavDecoder.WAVE_FORMAT_IEEE_FLOAT &&
+            (fmt.bitsPerSample === 32 || fmt.bitsPerSample === 64);
+        if (!isPcm && !isFloat) {
+            throw CanvasToolClass.generateClassError('CanvasWavDecoder', CanvasToolError.UNSUPPORTED_WAV, 'decode', `format ${fmt.audioFormat} with ${fmt.bitsPerSample} bits per sample is not supported.`);
+        }
+        if (fmt.channels < 1 || fmt.sampleRate < 1) {
+            throw CanvasToolClass.generateClassError('CanvasWavDecoder', CanvasToolError.INVALID_WAV, 'decode', `invalid channels=${fmt.channels} sampleRate=${fmt.sampleRate}.`);
+        }
+
+        // 4. de-interleave and convert each channel to Int16.
+        let bytesPerSample = fmt.bitsPerSample / 8;
+        let blockAlign = Math.max(fmt.blockAlign, bytesPerSample * fmt.channels);
+        let frames = Math.floor(dataSize / blockAlign);
+        let duration = frames / fmt.sampleRate;
+        let boxes = [];
+        let channel, frame, offset, data, boxData;
+        for (channel = 0; channel < fmt.channels; channel++) {
+            data = new Int16Array(frames);
+            offset = dataOffset + channel * bytesPerSample;
+            for (frame = 0; frame < frames; frame++, offset += blockAlign) {
+                data[frame] = CanvasWavDecoder.readSample(view, offset, fmt.bitsPerSample, isFloat);
+            }
+            boxData = CanvasToolClass.createBoxDataStructure(data, frames, _canvasWidth);
+            boxData.channel = channel;
+            boxData.sampleRate = fmt.sampleRate;
+            boxData.duration = duration;
+            boxes.push(boxData);
+        }
+
+        return {
+            format: isFloat ? 'float' : 'pcm',
+            sampleRate: fmt.sampleRate,
+            channels: fmt.channels,
+            bitsPerSample: fmt.bitsPerSample,
+            frames: frames,
+            duration: duration,
+            boxes: boxes
+        };
+    }
+
+    /**
+     * @private
+     * @returns {string} the 4 characters chunk tag at offset.
+     */
+    static readTag(view, offset) {
+        return String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+    }
+
+    /**
+     * @private
+     * @returns {Object} the "fmt " chunk. For WAVE_FORMAT_EXTENSIBLE, audioFormat is taken from the sub format GUID.
+     */
+    static readFormat(view, offset, size) {
+        if (size < 16 || offset + 16 > view.byteLength) {
+            throw CanvasToolClass.generateClassError('CanvasWavDecoder', CanvasToolError.INVALID_WAV, 'decode', '"fmt " chunk is too short.');
+        }
+        let fmt = {
+            audioFormat: view.getUint16(offset, true),
+            channels: view.getUint16(offset + 2, true),
+            sampleRate: view.getUint32(offset + 4, true),
+            blockAlign: view.getUint16(offset + 12, true),
+            bitsPerSample: view.getUint16(offset + 14, true)
+        };
+        if (fmt.audioFormat === CanvasWavDecoder.WAVE_FORMAT_EXTENSIBLE && size >= 40 && offset + 26 <= view.byteLength) {
+            fmt.audioFormat = view.getUint16(offset + 24, true);
+        }
+        return fmt;
+    }
+
+    /**
+     * @private
+     * @returns {integer} one sample scaled to -32768 to +32767.
+     */
+    static readSample(view, offset, bitsPerSample, isFloat) {
+        let value;
+        if (isFloat) {
+            value = (bitsPerSample === 32) ? view.getFloat32(offset, true) : view.getFloat64(offset, true);
+            value = Math.round(value * 32767);
+            if (value > 32767) return 32767;
+            if (value < -32768) return -32768;
+            return value;
+        }
+        switch (bitsPerSample) {
+            case 8:
+                // 8-bit WAV is unsigned.
+                return (view.getUint8(offset) - 128) << 8;
+            case 16:
+                return view.getInt16(offset, true);
+            case 24:
+                // keep the upper 16 of the signed 24 bits.
+                return view.getInt16(offset + 1, true);
+            default:
+                return view.getInt32(offset, true) >> 16;
+        }
+    }
+
+}
+
+CanvasWavDecoder.WAVE_FORMAT_PCM = 0x0001;
+CanvasWavDecoder.WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+CanvasWavDecoder.WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+/**
+ * @class CanvasPeakCache - Multi-resolution min/max/RMS summary of a long signal.
+ *
+ * Level 0 keeps one peak per {baseBlock} samples, each next level combines {factor} peaks of the level below. So
+ * re-drawing an hour long recording at any zoom only touches about (canvas width * factor) peaks.
+ */
+class CanvasPeakCache {
+    /**
+     * @constructor
+     *
+     * @param {Object} samples - Array of number or typed array (E.g. the data of a BoxDataStructure).
+     * @param {integer} [baseBlock] - samples per peak on the finest level, default 64.
+     * @param {integer} [factor] - how many peaks of a level are merged into one of the next level, default 4.
+     */
+    constructor(samples, baseBlock, factor) {
+        /** @private */
+        this.samples = samples;
+        /** @private */
+        this.size = samples.length;
+        /** @private */
+        this.baseBlock = (baseBlock > 1) ? Math.floor(baseBlock) : 64;
+        /** @private */
+        this.factor = (factor > 1) ? Math.floor(factor) : 4;
+        /** @private */
+        this.levels = [];
+        this.build();
+    }
+
+    /**
+     * @private Compute every level, finest first.
+     */
+    build() {
+        let spp = this.baseBlock;
+        let n = Math.ceil(this.size / spp);
+        let level = CanvasPeakCache.createLevel(spp, n);
+        let i, j, end, value, min, max, sum;
+        for (i = 0; i < n; i++) {
+            min = Infinity;
+            max = -Infinity;
+            sum = 0;
+            for (j = i * spp, end = Math.min(this.size, j + spp); j < end; j++) {
+                value = this.samples[j];
+                if (value < min) min = value;
+                if (value > max) max = value;
+                sum += value * value;
+            }
+            level.min[i] = min;
+            level.max[i] = max;
+            level.sumSq[i] = sum;
+        }
+        this.levels.push(level);
+
+        let below;
+        while (n > 1) {
+            below = level;
+            spp *= this.factor;
+            n = Math.ceil(below.length / this.factor);
+            level = CanvasPeakCache.createLevel(spp, n);
+            for (i = 0; i < n; i++) {
+                min = Infinity;
+                max = -Infinity;
+                sum = 0;
+                for (j = i * this.factor, end = Math.min(below.length, j + this.factor); j < end; j++) {
+                    if (below.min[j] < min) min = below.min[j];
+                    if (below.max[j] > max) max = below.max[j];
+                    sum += below.sumSq[j];
+                }
+                level.min[i] = min;
+                level.max[i] = max;
+                level.sumSq[i] = sum;
+            }
+            this.levels.push(level);
+        }
+    }
+
+    /**
+     * @private
+     */
+    static createLevel(samplesPerPeak, length) {
+        return {
+            samplesPerPeak: samplesPerPeak,
+            length: length,
+            min: new Float32Array(length),
+            max: new Float32Array(length),
+            sumSq: new Float64Array(length)
+        };
+    }
+
+    /**
+     * @returns {integer} number of samples summarized.
+     */
+    getSize() {
+        return this.size;
+    }
+
+    /**
+     * Reduce samples iStart to iEnd (exclusive) into {columns} min/max/rms values, using the coarsest level that still
+     * has at least one peak per column. Falls back to the raw samples when zoomed in closer than baseBlock.
+     *
+     * @param {integer} iStart - first sample.
+     * @param {integer} iEnd - last sample (exclusive).
+     * @param {integer} columns - number of pixel columns.
+     * @returns {Object} {columns, min, max, rms} where min, max, rms are Float32Array of length columns.
+     */
+    getPeaks(iStart, iEnd, columns) {
+        let perColumn = (iEnd - iStart) / columns;
+        let level = null;
+        let i;
+        for (i = this.levels.length - 1; i >= 0; i--) {
+            if (this.levels[i].samplesPerPeak <= perColumn) {
+                level = this.levels[i];
+                break;
+            }
+        }
+        if (level === null) {
+            return CanvasPeakCache.computePeaks(this.samples, iStart, iEnd, columns);
+        }
+
+        let peaks = CanvasPeakCache.createPeaks(columns);
+        let spp = level.samplesPerPeak;
+        let x, j, p0, p1, min, max, sum, count;
+        for (x = 0; x < columns; x++) {
+            p0 = Math.floor((iStart + x * perColumn) / spp);
+            p1 = Math.max(p0 + 1, Math.floor((iStart + (x + 1) * perColumn) / spp));
+            p1 = Math.min(p1, level.length);
+            min = Infinity;
+            max = -Infinity;
+            sum = 0;
+            for (j = p0; j < p1; j++) {
+                if (level.min[j] < min) min = level.min[j];
+                if (level.max[j] > max) max = level.max[j];
+                sum += level.sumSq[j];
+            }
+            count = Math.min(this.size, p1 * spp) - p0 * spp;
+            CanvasPeakCache.setPeak(peaks, x, min, max, sum, count);
+        }
+        return peaks;
+    }
+
+    /**
+     * Reduce samples iStart to iEnd (exclusive) into {columns} min/max/rms values, straight from the samples.
+     *
+     * @param {Object} samples - Array of number or typed array.
+     * @param {integer} iStart - first sample.
+     * @param {integer} iEnd - last sample (exclusive).
+     * @param {integer} columns - number of pixel columns.
+     * @returns {Object} {columns, min, max, rms} @see getPeaks
+     */
+    static computePeaks(samples, iStart, iEnd, columns) {
+        let peaks = CanvasPeakCache.createPeaks(columns);
+        let perColumn = (iEnd - iStart) / columns;
+        let x, j, s0, s1, value, min, max, sum;
+        for (x = 0; x < columns; x++) {
+            s0 = iStart + Math.floor(x * perColumn);
+            s1 = Math.min(iEnd, Math.max(s0 + 1, iStart + Math.floor((x + 1) * perColumn)));
+            min = Infinity;
+            max = -Infinity;
+            sum = 0;
+            for (j = s0; j < s1; j++) {
+                value = samples[j];
+                if (value < min) min = value;
+                if (value > max) max = value;
+                sum += value * value;
+            }
+            CanvasPeakCache.setPeak(peaks, x, min, max, sum, s1 - s0);
+        }
+        return peaks;
+    }
+
+    /**
+     * @private
+     */
+    static createPeaks(columns) {
+        return {
+            columns: columns,
+            min: new Float32Array(columns),
+            max: new Float32Array(columns),
+            rms: new Float32Array(columns)
+        };
+    }
+
+    /**
+     * @private Empty columns (past the end of the samples) are stored as 0.
+     */
+    static setPeak(peaks, x, min, max, sum, count) {
+        if (count < 1 || min > max) {
+            peaks.min[x] = 0;
+            peaks.max[x] = 0;
+            peaks.rms[x] = 0;
+            return;
+        }
+        peaks.min[x] = min;
+        peaks.max[x] = max;
+        peaks.rms[x] = Math.sqrt(sum / count);
+    }
+}
+
+/**
+ * @class CanvasColor - RGBA color, each part 0 to 255.
+ *
+ * Accepts CSS color strings ('#0c6e26', '#fff8', 'rgb(12, 110, 38)', 'rgba(255, 0, 0, 0.5)', 'gold'),
+ * [rr, gg, bb, aa] arrays and {rr, gg, bb, aa} or {r, g, b, a} objects. @see CanvasColor.from
+ */
+class CanvasColor {
+    /**
+     * @constructor
+     *
+     * @param {integer} rr -   RED part, 0 to 255.
+     * @param {integer} gg - GREEN part, 0 to 255.
+     * @param {integer} bb -  BLUE part, 0 to 255.
+     * @param {integer} [aa] - ALPHA part, 0 (transparent) to 255 (opaque, default).
+     */
+    constructor(rr, gg, bb, aa) {
+        this.rr = CanvasColor.clamp(rr);
+        this.gg = CanvasColor.clamp(gg);
+        this.bb = CanvasColor.clamp(bb);
+        this.aa = (typeof aa === 'undefined') ? 255 : CanvasColor.clamp(aa);
+    }
+
+    /**
+     * @private
+     * @returns {integer} 0 to 255.
+     */
+    static clamp(value) {
+        let v = Math.round(Number(value));
+        if (!(v > 0)) return 0;
+        return (v > 255) ? 255 : v;
+    }
+
+    /**
+     * @method Get a color out of anything that describes one.
+     *
+     * @param {*} value - CanvasColor, CanvasColorGradient, CSS color string, [rr, gg, bb, aa], {rr, gg, bb, aa},
+     * {r, g, b, a} (a is 0.0 to 1.0 like CSS) or the RED part when gg and bb are given.
+     * @param {integer} [gg] - GREEN part when value is the RED part.
+     * @param {integer} [bb] - BLUE part when value is the RED part.
+     * @returns {CanvasColor|CanvasColorGradient}
+     * @throws {CanvasToolDataError} if the value is not a color.
+     */
+    static from(value, gg, bb) {
+        if (value instanceof CanvasColor || value instanceof CanvasColorGradient) {
+            return value;
+        }
+        if (typeof value === 'number') {
+            return new CanvasColor(value, gg, bb);
+        }
+        if (typeof value === 'string') {
+            let color = CanvasColor.parse(value);
+            if (color !== null) return color;
+        } else if (Array.isArray(value) && value.length >= 3) {
+            return new CanvasColor(value[0], value[1], value[2], value[3]);
+        } else if (value !== null && typeof value === 'object') {
+            if (typeof value.rr === 'number') {
+                return new CanvasColor(value.rr, value.gg, value.bb, value.aa);
+            }
+            if (typeof value.r === 'number') {
+                return new CanvasColor(value.r, value.g, value.b, (typeof value.a === 'number') ? value.a * 255 : 255);
+            }
+        }
+        throw CanvasToolClass.generateClassError('CanvasColor', CanvasToolError.INVALID_ARGUMENT, 'from', `"${value}" is not a color.`);
+    }
+
+    /**
+     * @method Parse a CSS color: #rgb, #rgba, #rrggbb, #rrggbbaa, rgb(), rgba() or a color name.
+     *
+     * @param {string} text - the CSS color.
+     * @returns {CanvasColor} or null if it is not a color.
+     */
+    static parse(text) {
+        let css = text.trim().toLowerCase();
+        if (Object.prototype.hasOwnProperty.call(CanvasColor.names, css)) {
+            css = CanvasColor.names[css];
+        }
+        let match = /^#([0-9a-f]{3,8})$/.exec(css);
+        if (match !== null) {
+            let hex = match[1];
+            if (hex.length === 3 || hex.length === 4) {
+                hex = hex.split('').map((c) => c + c).join('');
+            }
+            if (hex.length !== 6 && hex.length !== 8) return null;
+            return new CanvasColor(
+                parseInt(hex.substr(0, 2), 16),
+                parseInt(hex.substr(2, 2), 16),
+                parseInt(hex.substr(4, 2), 16),
+                (hex.length === 8) ? parseInt(hex.substr(6, 2), 16) : 255);
+        }
+        match = /^rgba?\(\s*([\d.]+%?)\s*[,\s]\s*([\d.]+%?)\s*[,\s]\s*([\d.]+%?)\s*(?:[,/]\s*([\d.]+%?)\s*)?\)$/.exec(css);
+        if (match !== null) {
+            let part = (s) => s.endsWith('%') ? parseFloat(s) * 2.55 : parseFloat(s);
+            let alpha = 255;
+            if (typeof match[4] !== 'undefined') {
+                alpha = match[4].endsWith('%') ? parseFloat(match[4]) * 2.55 : parseFloat(match[4]) * 255;
+            }
+            return new CanvasColor(part(match[1]), part(match[2]), part(match[3]), alpha);
+        }
+        return null;
+    }
+
+    /**
+     * @returns {CanvasColor} this color mixed half way with white, same alpha.
+     */
+    lighten() {
+        return new CanvasColor((this.rr + 255) >> 1, (this.gg + 255) >> 1, (this.bb + 255) >> 1, this.aa);
+    }
+
+    /**
+     * @returns {string} CSS rgba() text.
+     */
+    toString() {
+        return `rgba(${this.rr}, ${this.gg}, ${this.bb}, ${Math.round(this.aa / 255 * 1000) / 1000})`;
+    }
+}
+
+/** CSS color names understood by CanvasColor.parse */
+CanvasColor.names = {
+    transparent: '#00000000',
+    black: '#000000',
+    white: '#ffffff',
+    red: '#ff0000',
+    lime: '#00ff00',
+    green: '#008000',
+    darkgreen: '#006400',
+    blue: '#0000ff',
+    navy: '#000080',
+    yellow: '#ffff00',
+    gold: '#ffd700',
+    orange: '#ffa500',
+    cyan: '#00ffff',
+    aqua: '#00ffff',
+    teal: '#008080',
+    magenta: '#ff00ff',
+    fuchsia: '#ff00ff',
+    purple: '#800080',
+    maroon: '#800000',
+    olive: '#808000',
+    silver: '#c0c0c0',
+    gray: '#808080',
+    grey: '#808080',
+    cadetblue: '#5f9ea0'
+};
+
+/**
+ * @class CanvasColorGradient - Vertical gradient, from the top (offset 0.0) to the bottom (offset 1.0) of the canvas.
+ * Can be given wherever a color is expected; each row is painted with its own color.
+ */
+class CanvasColorGradient {
+    /**
+     * @constructor
+     *
+     * @param {Array} stops - Array of [offset, color] where offset is 0.0 (top) to 1.0 (bottom) and color anything
+     * CanvasColor.from accepts. E.g. [[0, 'red'], [0.5, 'yellow'], [1, 'lime']]
+     */
+    constructor(stops) {
+        /** @private sorted [{offset, color}] */
+        this.stops = stops.map((stop) => ({
+            offset: Math.max(0, Math.min(1, Number(stop[0]))),
+            color: CanvasColor.from(stop[1])
+        })).sort((a, b) => a.offset - b.offset);
+        /** @private row colors of the last height asked */
+        this.rows = null;
+    }
+
+    /**
+     * @param {number} t - 0.0 (top) to 1.0 (bottom).
+     * @returns {CanvasColor} the interpolated color.
+     */
+    colorAt(t) {
+        let stops = this.stops;
+        if (t <= stops[0].offset) return stops[0].color;
+        let i, a, b, k;
+        for (i = 1; i < stops.length; i++) {
+            if (t <= stops[i].offset) {
+                a = stops[i - 1];
+                b = stops[i];
+                k = (b.offset > a.offset) ? (t - a.offset) / (b.offset - a.offset) : 1;
+                return new CanvasColor(
+                    a.color.rr + (b.color.rr - a.color.rr) * k,
+                    a.color.gg + (b.color.gg - a.color.gg) * k,
+                    a.color.bb + (b.color.bb - a.color.bb) * k,
+                    a.color.aa + (b.color.aa - a.color.aa) * k);
+            }
+        }
+        return stops[stops.length - 1].color;
+    }
+
+    /**
+     * @param {integer} height - number of rows.
+     * @returns {Array} one CanvasColor per row, cached for the last height.
+     */
+    getRowColors(height) {
+        if (this.rows === null || this.rows.length !== height) {
+            this.rows = [];
+            for (let y = 0; y < height; y++) {
+                this.rows.push(this.colorAt((height > 1) ? y / (height - 1) : 0));
+            }
+        }
+        return this.rows;
+    }
+
+    /**
+     * @returns {CanvasColorGradient} the same gradient mixed half way with white.
+     */
+    lighten() {
+        return new CanvasColorGradient(this.stops.map((stop) => [stop.offset, stop.color.lighten()]));
+    }
+}
+
+/**
+ * @class CanvasTheme - Named set of colors for background, trace, marker and grid.
+ */
+class CanvasTheme {
+    /**
+     * @method Get a theme by name, or complete a partial one with the 'classic' colors.
+     *
+     * @param {string|Object} value - theme name ('classic', 'green', 'light', 'scope') or {background, trace, marker, grid}.
+     * @returns {Object} {name, background, trace, marker, grid} where each color is a CanvasColor or CanvasColorGradient.
+     * @throws {CanvasToolDataError} if the theme name is unknown or a color is invalid.
+     */
+    static from(value) {
+        let theme = value;
+        let name = 'custom';
+        if (typeof value === 'string') {
+            if (!Object.prototype.hasOwnProperty.call(CanvasTheme.themes, value)) {
+                throw CanvasToolClass.generateClassError('CanvasTheme', CanvasToolError.INVALID_ARGUMENT, 'from', `theme "${value}" does not exist.`);
+            }
+            name = value;
+            theme = CanvasTheme.themes[value];
+        }
+        let base = CanvasTheme.themes.classic;
+        let pick = (key) => CanvasColor.from((theme && typeof theme[key] !== 'undefined') ? theme[key] : base[key]);
+        return {
+            name: (theme && typeof theme.name === 'string') ? theme.name : name,
+            background: pick('background'),
+            trace: pick('trace'),
+            marker: pick('marker'),
+            grid: pick('grid')
+        };
+    }
+
+    /**
+     * @method Add or replace a named theme.
+     *
+     * @param {string} name - theme name.
+     * @param {Object} theme - {background, trace, marker, grid}, missing colors come from 'classic'.
+     */
+    static register(name, theme) {
+        CanvasTheme.themes[name] = Object.assign({}, theme);
+    }
+}
+
+/** Named themes. 'classic' and 'green' match drawClearBackground(false) and drawClearBackground(true). */
+CanvasTheme.themes = {
+    classic: {
+        background: '#000000',
+        trace: '#ffffff',
+        marker: '#ff0000',
+        grid: 'rgba(255, 255, 255, 0.25)'
+    },
+    green: {
+        background: 'rgb(12, 110, 38)',
+        trace: '#ffffff',
+        marker: '#ffd700',
+        grid: 'rgba(255, 255, 255, 0.3)'
+    },
+    light: {
+        background: '#ffffff',
+        trace: '#1f4e79',
+        marker: '#d62728',
+        grid: 'rgba(0, 0, 0, 0.15)'
+    },
+    scope: {
+        background: '#0b1a0b',
+        trace: '#39ff14',
+        marker: '#ffbf00',
+        grid: 'rgba(57, 255, 20, 0.2)'
+    }
+};
+
+/**
+ * @class CanvasBitmapFont - Built-in 5x7 pixel font, so labels can be drawn straight into the ImageData (also headless).
+ */
+class CanvasBitmapFont {
+    /**
+     * @method Get the rows of a character.
+     *
+     * @param {string} ch - one character. Unknown characters are drawn as '?'.
+     * @returns {Array} 7 integers, one per row from the top. Bit 4 is the left most pixel.
+     */
+    static getGlyph(ch) {
+        let cached = CanvasBitmapFont.cache[ch];
+        if (typeof cached !== 'undefined') return cached;
+        let hex = CanvasBitmapFont.glyphs[ch];
+        if (typeof hex === 'undefined') {
+            hex = CanvasBitmapFont.glyphs['?'];
+        }
+        let rows = [];
+        for (let i = 0; i < hex.length; i += 2) {
+            rows.push(parseInt(hex.substr(i, 2), 16));
+        }
+        CanvasBitmapFont.cache[ch] = rows;
+        return rows;
+    }
+
+    /**
+     * @method Size of a text in pixel.
+     *
+     * @param {string} text - the text.
+     * @param {integer} [scale] - pixel size of each font dot, default 1.
+     * @returns {Object} {width, height}
+     */
+    static measureText(text, scale) {
+        let size = Math.max(1, Math.floor(scale) || 1);
+        let length = String(text).length;
+        return {
+            width: (length > 0) ? (length * CanvasBitmapFont.ADVANCE - 1) * size : 0,
+            height: CanvasBitmapFont.HEIGHT * size
+        };
+    }
+}
+
+CanvasBitmapFont.WIDTH = 5;
+CanvasBitmapFont.HEIGHT = 7;
+CanvasBitmapFont.ADVANCE = 6;
+/** @private parsed glyphs */
+CanvasBitmapFont.cache = {};
+/** @private 7 rows of 5 bits per character, as hex */
+CanvasBitmapFont.glyphs = {
+    '0': '0e11131519110e',
+    '1': '040c040404040e',
+    '2': '0e11010204081f',
+    '3': '1f02040201110e',
+    '4': '02060a121f0202',
+    '5': '1f101e0101110e',
+    '6': '0608101e11110e',
+    '7': '1f010204080808',
+    '8': '0e11110e11110e',
+    '9': '0e11110f01020c',
+    'A': '0e11111f111111',
+    'B': '1e11111e11111e',
+    'C': '0e11101010110e',
+    'D': '1c12111111121c',
+    'E': '1f10101e10101f',
+    'F': '1f10101e101010',
+    'G': '0e11101711110f',
+    'H': '1111111f111111',
+    'I': '0e04040404040e',
+    'J': '0702020202120c',
+    'K': '11121418141211',
+    'L': '1010101010101f',
+    'M': '111b1515111111',
+    'N': '11111915131111',
+    'O': '0e11111111110e',
+    'P': '1e11111e101010',
+    'Q': '0e11111115120d',
+    'R': '1e11111e141211',
+    'S': '0f10100e01011e',
+    'T': '1f040404040404',
+    'U': '1111111111110e',
+    'V': '11111111110a04',
+    'W': '1111111515150a',
+    'X': '11110a040a1111',
+    'Y': '11110a04040404',
+    'Z': '1f01020408101f',
+    'a': '00000e010f110f',
+    'b': '1010161911111e',
+    'c': '00000e1010110e',
+    'd': '01010d1311110f',
+    'e': '00000e111f100e',
+    'f': '0609081c080808',
+    'g': '000f11110f010e',
+    'h': '10101619111111',
+    'i': '04000c0404040e',
+    'j': '0200060202120c',
+    'k': '10101214181412',
+    'l': '0c04040404040e',
+    'm': '00001a15151111',
+    'n': '00001619111111',
+    'o': '00000e1111110e',
+    'p': '00001e111e1010',
+    'q': '00000d130f0101',
+    'r': '00001619101010',
+    's': '00000e100e011e',
+    't': '08081c08080906',
+    'u': '0000111111130d',
+    'v': '00001111110a04',
+    'w': '0000111115150a',
+    'x': '0000110a040a11',
+    'y': '000011110f010e',
+    'z': '00001f0204081f',
+    ' ': '00000000000000',
+    '.': '00000000000c0c',
+    ',': '000000000c0408',
+    ':': '000c0c000c0c00',
+    '-': '0000001f000000',
+    '+': '0004041f040400',
+    '/': '00010204081000',
+    '%': '18190204081303',
+    '(': '02040808080402',
+    ')': '08040202020408',
+    '=': '00001f001f0000',
+    '_': '0000000000001f',
+    '#': '0a0a1f0a1f0a0a',
+    '?': '0e110102040004',
+    '!': '04040404040004',
+    '\'': '04040800000000',
+    '<': '02040810080402',
+    '>': '08040201020408',
+    '[': '0e08080808080e',
+    ']': '0e02020202020e',
+    '*': '0004150e150400',
+    '~': '00000815020000',
+    '|': '04040404040404'
+};
+
+/**
+ * @class CanvasColorMap - 256 entries color lookup table, used to paint levels (E.g. spectrogram dB) as colors.
+ */
+class CanvasColorMap {
+    /**
+     * @constructor
+     *
+     * @param {Array} stops - Array of [rr, gg, bb] colors, evenly spaced from level 0 to level 255 and linearly interpolated.
+     */
+    constructor(stops) {
+        /** @private [r, g, b, r, g, b, ...] for level 0 to 255 */
+        this.lut = new Uint8ClampedArray(256 * 3);
+        let last = stops.length - 1;
+        let i, position, index, t, a, b;
+        for (i = 0; i < 256; i++) {
+            position = (last > 0) ? (i / 255) * last : 0;
+            index = Math.min(Math.floor(position), Math.max(0, last - 1));
+            t = position - index;
+            a = stops[index];
+            b = stops[Math.min(index + 1, last)];
+            this.lut[i * 3 + 0] = Math.round(a[0] + (b[0] - a[0]) * t);
+            this.lut[i * 3 + 1] = Math.round(a[1] + (b[1] - a[1]) * t);
+            this.lut[i * 3 + 2] = Math.round(a[2] + (b[2] - a[2]) * t);
+        }
+    }
+
+    /**
+     * @method Get a color map by name, or wrap custom colors.
+     *
+     * @param {string|Array|Object} value - 'viridis', 'magma', 'grayscale', an Array of [rr, gg, bb] stops, a 768 bytes
+     * lookup table (256 x RGB) or a CanvasColorMap.
+     * @returns {CanvasColorMap}
+     * @throws {CanvasToolDataError} if the value is not a known color map.
+     */
+    static from(value) {
+        if (value instanceof CanvasColorMap) return value;
+        if (typeof value === 'string' && Object.prototype.hasOwnProperty.call(CanvasColorMap.stops, value)) {
+            return new CanvasColorMap(CanvasColorMap.stops[value]);
+        }
+        if (ArrayBuffer.isView(value) && value.length === 256 * 3) {
+            let map = new CanvasColorMap([[0, 0, 0]]);
+            map.lut.set(value);
+            return map;
+        }
+        if (Array.isArray(value) && value.length > 0) {
+            return new CanvasColorMap(value);
+        }
+        throw CanvasToolClass.generateClassError('CanvasColorMap', CanvasToolError.INVALID_ARGUMENT, 'from', `"${value}" is not a color map.`);
+    }
+}
+
+/** Named color map stops, sampled from the matplotlib maps. */
+CanvasColorMap.stops = {
+    viridis: [
+        [68, 1, 84], [71, 44, 122], [59, 81, 139], [44, 113, 142], [33, 144, 141],
+        [39, 173, 129], [92, 200, 99], [170, 220, 50], [253, 231, 37]
+    ],
+    magma: [
+        [0, 0, 4], [28, 16, 68], [79, 18, 123], [129, 37, 129], [181, 54, 122],
+        [229, 80, 100], [251, 135, 97], [254, 194, 135], [252, 253, 191]
+    ],
+    grayscale: [
+        [0, 0, 0], [255, 255, 255]
+    ]
+};
+
+/**
+ * @class CanvasSpectrumAnalyzer - Windowed FFT of a block of samples, reduced to bars for the bar renderer.
+ *
+ * Keeps peak-hold state between frames, so create one analyzer per canvas.
+ */
+class CanvasSpectrumAnalyzer {
+    /**
+     * @constructor
+     *
+     * @param {integer} fftSize - FFT length, a power of 2 E.g. 1024. Shorter blocks are zero padded.
+     * @param {Object} [options] - {window, sampleRate, fullScale, minDb, maxDb, logFrequency, minFrequency, peakHoldFrames, peakDecay}
+     * <br/>window: 'hann' (default), 'hamming', 'blackman' or 'none'.
+     * <br/>sampleRate: default 44100, used by the logarithmic frequency scale.
+     * <br/>fullScale: sample value of 0 dB, default 32768 (Int16 data).
+     * <br/>minDb, maxDb: amplitude range mapped to the bar height, default -90 to 0.
+     * <br/>logFrequency: true for a logarithmic frequency axis starting at minFrequency (default 20 Hz).
+     * <br/>peakHoldFrames: frames a peak cap stays before falling, default 15. Use 0 for no peak caps.
+     * <br/>peakDecay: how fast a peak cap falls, in dB per frame, default 1.5.
+     * @throws {CanvasToolDataError} if fftSize is not a power of 2.
+     */
+    constructor(fftSize, options) {
+        let opts = options || {};
+        if (!(fftSize >= 2) || (fftSize & (fftSize - 1)) !== 0) {
+            throw CanvasToolClass.generateClassError('CanvasSpectrumAnalyzer', CanvasToolError.INVALID_ARGUMENT, 'constructor', `fftSize=${fftSize} is not a power of 2.`);
+        }
+        /** @private */
+        this.fftSize = fftSize;
+        /** @private */
+        this.sampleRate = opts.sampleRate || 44100;
+        /** @private */
+        this.fullScale = opts.fullScale || 32768;
+        /** @private */
+        this.minDb = (typeof opts.minDb === 'number') ? opts.minDb : -90;
+        /** @private */
+        this.maxDb = (typeof opts.maxDb === 'number') ? opts.maxDb : 0;
+        /** @private */
+        this.logFrequency = opts.logFrequency === true;
+        /** @private */
+        this.minFrequency = opts.minFrequency || 20;
+        /** @private */
+        this.peakHoldFrames = (typeof opts.peakHoldFrames === 'number') ? opts.peakHoldFrames : 15;
+        /** @private */
+        this.peakDecay = (typeof opts.peakDecay === 'number') ? opts.peakDecay : 1.5;
+        /** @private */
+        this.windowName = opts.window || 'hann';
+        /** @private */
+        this.window = CanvasSpectrumAnalyzer.createWindow(this.windowName, fftSize);
+        /** @private */
+        this.real = new Float64Array(fftSize);
+        /** @private */
+        this.imag = new Float64Array(fftSize);
+        /** @private dB per bin of the last analyze() */
+        this.decibels = new Float32Array(fftSize / 2);
+        /** @private peak-hold state, per bar */
+        this.peakDb = null;
+        /** @private */
+        this.peakAge = null;
+
+        // Scale so a full scale sine reads 0 dB whatever the window.
+        let sum = 0;
+        for (let i = 0; i < fftSize; i++) sum += this.window[i];
+        /** @private */
+        this.scale = 2 / (sum * this.fullScale);
+        this.decibels.fill(this.minDb);
+    }
+
+    /**
+     * @method Create the window function.
+     *
+     * @param {string} name - 'hann', 'hamming', 'blackman' or 'none'.
+     * @param {integer} size - window length.
+     * @returns {Float64Array}
+     */
+    static createWindow(name, size) {
+        let w = new Float64Array(size);
+        let n, t;
+        for (n = 0; n < size; n++) {
+            t = (size > 1) ? (2 * Math.PI * n) / (size - 1) : 0;
+            switch (name) {
+                case 'hamming':
+                    w[n] = 0.54 - 0.46 * Math.cos(t);
+                    break;
+                case 'blackman':
+                    w[n] = 0.42 - 0.5 * Math.cos(t) + 0.08 * Math.cos(2 * t);
+                    break;
+                case 'none':
+                    w[n] = 1;
+                    break;
+                default:
+                    // hann
+                    w[n] = 0.5 - 0.5 * Math.cos(t);
+                    break;
+            }
+        }
+        return w;
+    }
+
+    /**
+     * @method In place radix-2 FFT.
+     *
+     * @param {Float64Array} re - real part, length is a power of 2.
+     * @param {Float64Array} im - imaginary part, same length.
+     */
+    static fft(re, im) {
+        let n = re.length;
+        let i, j, k, bit, t;
+        // bit reversal
+        for (i = 1, j = 0; i < n; i++) {
+            for (bit = n >> 1; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                t = re[i];
+                re[i] = re[j];
+                re[j] = t;
+                t = im[i];
+                im[i] = im[j];
+                im[j] = t;
+            }
+        }
+        // butterflies
+        let len, half, angle, wr, wi, cr, ci, xr, xi, tmp;
+        for (len = 2; len <= n; len <<= 1) {
+            half = len >> 1;
+            angle = -2 * Math.PI / len;
+            wr = Math.cos(angle);
+            wi = Math.sin(angle);
+            for (i = 0; i < n; i += len) {
+                cr = 1;
+                ci = 0;
+                for (k = 0; k < half; k++) {
+                    xr = re[i + k + half] * cr - im[i + k + half] * ci;
+                    xi = re[i + k + half] * ci + im[i + k + half] * cr;
+                    re[i + k + half] = re[i + k] - xr;
+                    im[i + k + half] = im[i + k] - xi;
+                    re[i + k] += xr;
+                    im[i + k] += xi;
+                    tmp = cr * wr - ci * wi;
+                    ci = cr * wi + ci * wr;
+                    cr = tmp;
+                }
+            }
+        }
+    }
+
+    /**
+     * @method Window and FFT a block of samples.
+     *
+     * @param {integer} n_bits - number of samples in bits. Only the first fftSize are used.
+     * @param {Object} bits - Array of number or typed array. E.g. the bits from CanvasToolClass.extractDataForBoxDataStructure()
+     * @returns {Float32Array} magnitude in dB per frequency bin (fftSize / 2 bins), clipped at minDb.
+     */
+    analyze(n_bits, bits) {
+        let n = Math.min(n_bits, this.fftSize);
+        let i, magnitude, db;
+        for (i = 0; i < this.fftSize; i++) {
+            this.real[i] = (i < n) ? bits[i] * this.window[i] : 0;
+            this.imag[i] = 0;
+        }
+        CanvasSpectrumAnalyzer.fft(this.real, this.imag);
+        for (i = 0; i < this.decibels.length; i++) {
+            magnitude = Math.sqrt(this.real[i] * this.real[i] + this.imag[i] * this.imag[i]) * this.scale;
+            db = (magnitude > 0) ? 20 * Math.log10(magnitude) : this.minDb;
+            this.decibels[i] = Math.max(this.minDb, db);
+        }
+        return this.decibels;
+    }
+
+    /**
+     * @method Take a window out of a BoxDataStructure and analyze it. @see CanvasToolClass.extractDataForBoxDataStructure
+     *
+     * @param {Object} _boxDataStructure - {BoxDataStructure}
+     * @param {integer} iStart - same as extractDataForBoxDataStructure.
+     * @param {integer} iEnd - same as extractDataForBoxDataStructure.
+     * @param {integer} nextOffset - same as extractDataForBoxDataStructure.
+     * @returns {Float32Array} magnitude in dB per frequency bin, or null when the BoxDataStructure has nothing to extract.
+     */
+    analyzeBoxData(_boxDataStructure, iStart, iEnd, nextOffset) {
+        let alias = CanvasToolClass.extractDataForBoxDataStructure(_boxDataStructure, iStart, iEnd, nextOffset);
+        if (!alias[0]) return null;
+        return this.analyze(alias[3], alias[2]);
+    }
+
+    /**
+     * @method Reduce the last analysis to bars, and update the peak-hold caps.
+     *
+     * @param {integer} nBars - number of bars.
+     * @param {integer} height - bar height in pixel of maxDb.
+     * @returns {Object} {heights, peaks} two Array of nBars integer 0 to height. peaks is all 0 when peak-hold is off.
+     */
+    getBars(nBars, height) {
+        if (this.peakDb === null || this.peakDb.length !== nBars) {
+            this.peakDb = new Float32Array(nBars).fill(this.minDb);
+            this.peakAge = new Uint16Array(nBars);
+        }
+        let range = this.maxDb - this.minDb;
+        let heights = new Array(nBars);
+        let peaks = new Array(nBars);
+        let i, db;
+        for (i = 0; i < nBars; i++) {
+            // 1. loudest bin of this bar wins
+            db = this.getBandDb(i, nBars);
+            heights[i] = Math.round(Math.max(0, Math.min(1, (db - this.minDb) / range)) * height);
+
+            // 3. peak hold, then decay
+            if (this.peakHoldFrames <= 0) {
+                peaks[i] = 0;
+                continue;
+            }
+            if (db >= this.peakDb[i]) {
+                this.peakDb[i] = db;
+                this.peakAge[i] = 0;
+            } else if (this.peakAge[i] < this.peakHoldFrames) {
+                this.peakAge[i]++;
+            } else {
+                this.peakDb[i] = Math.max(db, this.peakDb[i] - this.peakDecay);
+            }
+            peaks[i] = Math.round(Math.max(0, Math.min(1, (this.peakDb[i] - this.minDb) / range)) * height);
+        }
+        return {
+            heights: heights,
+            peaks: peaks
+        };
+    }
+
+    /**
+     * @method Reduce the last analysis to {count} levels, lowest frequency first, without touching the peak caps.
+     *
+     * @param {integer} count - number of levels, E.g. the canvas height for a spectrogram column.
+     * @returns {Float32Array} level 0.0 (minDb) to 1.0 (maxDb) per band.
+     */
+    getLevels(count) {
+        let levels = new Float32Array(count);
+        let range = this.maxDb - this.minDb;
+        for (let i = 0; i < count; i++) {
+            levels[i] = Math.max(0, Math.min(1, (this.getBandDb(i, count) - this.minDb) / range));
+        }
+        return levels;
+    }
+
+    /**
+     * @private Loudest dB of the bins in band i of {count} bands, on a linear or logarithmic frequency axis.
+     */
+    getBandDb(i, count) {
+        let bins = this.decibels.length;
+        let b0, b1, b, lowLog, highLog;
+        if (this.logFrequency) {
+            let binWidth = this.sampleRate / this.fftSize;
+            lowLog = Math.log(Math.max(this.minFrequency, binWidth));
+            highLog = Math.log(this.sampleRate / 2);
+            b0 = Math.floor(Math.exp(lowLog + (highLog - lowLog) * i / count) / binWidth);
+            b1 = Math.floor(Math.exp(lowLog + (highLog - lowLog) * (i + 1) / count) / binWidth);
+        } else {
+            b0 = Math.floor(i * bins / count);
+            b1 = Math.floor((i + 1) * bins / count);
+        }
+        b0 = Math.min(b0, bins - 1);
+        b1 = Math.min(Math.max(b1, b0 + 1), bins);
+        let db = this.minDb;
+        for (b = b0; b < b1; b++) {
+            if (this.decibels[b] > db) db = this.decibels[b];
+        }
+        return db;
+    }
+
+    /**
+     * @method Forget the peak-hold caps.
+     */
+    resetPeaks() {
+        this.peakDb = null;
+        this.peakAge = null;
+    }
+
+    /**
+     * @returns {Object} the settings {fftSize, window, sampleRate, ...}, without the peak-hold state.
+     */
+    toJSON() {
+        return {
+            fftSize: this.fftSize,
+            window: this.windowName,
+            sampleRate: this.sampleRate,
+            fullScale: this.fullScale,
+            minDb: this.minDb,
+            maxDb: this.maxDb,
+            logFrequency: this.logFrequency,
+            minFrequency: this.minFrequency,
+            peakHoldFrames: this.peakHoldFrames,
+            peakDecay: this.peakDecay
+        };
+    }
+
+    /**
+     * @method Create an analyzer with the settings saved by toJSON().
+     *
+     * @param {Object} json - the toJSON() data.
+     * @returns {CanvasSpectrumAnalyzer}
+     */
+    static fromJSON(json) {
+        return new CanvasSpectrumAnalyzer(json && json.fftSize, json);
+    }
+}
+
+/**
+ * @class CanvasAnnotations - Named markers, shaded regions and a playhead, positioned in samples.
+ *
+ * Attach it with CanvasToolClass.setAnnotations(); drawEnd() then renders it over every frame, mapped to pixels with
+ * the visible range of the box. Use toJSON() / CanvasAnnotations.fromJSON() to save and restore it.
+ */
+class CanvasAnnotations {
+    /**
+     * @constructor
+     */
+    constructor() {
+        /** @private */
+        this.markers = [];
+        /** @private */
+        this.regions = [];
+        /** @private */
+        this.playhead = null;
+    }
+
+    /**
+     * @method Add a marker, or move the marker of that name.
+     *
+     * @param {string} name - unique name of the marker.
+     * @param {number} sample - position in samples.
+     * @param {Object} [style] - {color, label}. color is any CanvasColor.from value, default the theme marker color.
+     * label defaults to none.
+     * @returns {Object} the marker {name, sample, color, label}.
+     */
+    setMarker(name, sample, style) {
+        let marker = {
+            name: CanvasAnnotations.checkName('setMarker', name),
+            sample: CanvasAnnotations.checkSample('setMarker', sample),
+            color: CanvasAnnotations.checkColor('setMarker', style && style.color),
+            label: (style && typeof style.label === 'string') ? style.label : ''
+        };
+        CanvasAnnotations.replace(this.markers, marker);
+        return marker;
+    }
+
+    /**
+     * @returns {Object} the marker {name, sample, color, label}, or null.
+     */
+    getMarker(name) {
+        return CanvasAnnotations.find(this.markers, name);
+    }
+
+    /**
+     * @returns {Array} all markers.
+     */
+    getMarkers() {
+        return this.markers;
+    }
+
+    /**
+     * @returns {boolean} true if the marker existed.
+     */
+    removeMarker(name) {
+        return CanvasAnnotations.remove(this.markers, name);
+    }
+
+    /**
+     * @method Add a region (selection, loop range, detected event), or change the region of that name.
+     *
+     * @param {string} name - unique name of the region.
+     * @param {number} start - first sample.
+     * @param {number} end - last sample (exclusive). start and end are swapped when reversed.
+     * @param {Object} [style] - {color, label}. Use a color with alpha, default the theme marker color at 25%.
+     * @returns {Object} the region {name, start, end, color, label}.
+     */
+    setRegion(name, start, end, style) {
+        let a = CanvasAnnotations.checkSample('setRegion', start);
+        let b = CanvasAnnotations.checkSample('setRegion', end);
+        let region = {
+            name: CanvasAnnotations.checkName('setRegion', name),
+            start: Math.min(a, b),
+            end: Math.max(a, b),
+            color: CanvasAnnotations.checkColor('setRegion', style && style.color),
+            label: (style && typeof style.label === 'string') ? style.label : ''
+        };
+        CanvasAnnotations.replace(this.regions, region);
+        return region;
+    }
+
+    /**
+     * @returns {Object} the region {name, start, end, color, label}, or null.
+     */
+    getRegion(name) {
+        return CanvasAnnotations.find(this.regions, name);
+    }
+
+    /**
+     * @returns {Array} all regions.
+     */
+    getRegions() {
+        return this.regions;
+    }
+
+    /**
+     * @returns {boolean} true if the region existed.
+     */
+    removeRegion(name) {
+        return CanvasAnnotations.remove(this.regions, name);
+    }
+
+    /**
+     * @method Move the playhead.
+     *
+     * @param {number|null} sample - position in samples, or null to hide the playhead.
+     * @param {Object} [style] - {color}, default the theme marker color.
+     * @returns {Object} the playhead {sample, color}, or null.
+     */
+    setPlayhead(sample, style) {
+        if (sample === null || typeof sample === 'undefined') {
+            this.playhead = null;
+        } else {
+            this.playhead = {
+                sample: CanvasAnnotations.checkSample('setPlayhead', sample),
+                color: CanvasAnnotations.checkColor('setPlayhead', style && style.color)
+            };
+        }
+        return this.playhead;
+    }
+
+    /**
+     * @returns {Object} the playhead {sample, color}, or null.
+     */
+    getPlayhead() {
+        return this.playhead;
+    }
+
+    /**
+     * @method Remove all markers, regions and the playhead.
+     */
+    clear() {
+        this.markers = [];
+        this.regions = [];
+        this.playhead = null;
+    }
+
+    /**
+     * @returns {Object} plain data for JSON.stringify(), colors as CSS rgba() strings.
+     */
+    toJSON() {
+        let color = (c) => (c === null) ? null : c.toString();
+        return {
+            markers: this.markers.map((m) => ({name: m.name, sample: m.sample, color: color(m.color), label: m.label})),
+            regions: this.regions.map((r) => ({name: r.name, start: r.start, end: r.end, color: color(r.color), label: r.label})),
+            playhead: (this.playhead === null) ? null : {sample: this.playhead.sample, color: color(this.playhead.color)}
+        };
+    }
+
+    /**
+     * @method Restore annotations saved with toJSON().
+     *
+     * @param {Object|string} json - the toJSON() data, or its JSON text.
+     * @returns {CanvasAnnotations}
+     * @throws {CanvasToolDataError} if the data is not valid.
+     */
+    static fromJSON(json) {
+        let data = json;
+        if (typeof json === 'string') {
+            try {
+                data = JSON.parse(json);
+            } catch (e) {
+                throw CanvasToolClass.generateClassError('CanvasAnnotations', CanvasToolError.INVALID_ARGUMENT, 'fromJSON', `invalid JSON: ${e.message}`, e);
+            }
+        }
+        if (data === null || typeof data !== 'object') {
+            throw CanvasToolClass.generateClassError('CanvasAnnotations', CanvasToolError.INVALID_ARGUMENT, 'fromJSON', 'expected an object.');
+        }
+        let annotations = new CanvasAnnotations();
+        (data.markers || []).forEach((m) => annotations.setMarker(m.name, m.sample, m));
+        (data.regions || []).forEach((r) => annotations.setRegion(r.name, r.start, r.end, r));
+        if (data.playhead) {
+            annotations.setPlayhead(data.playhead.sample, data.playhead);
+        }
+        return annotations;
+    }
+
+    /**
+     * @private
+     */
+    static find(list, name) {
+        for (let i = 0; i < list.length; i++) {
+            if (list[i].name === name) return list[i];
+        }
+        return null;
+    }
+
+    /**
+     * @private Replace the item of the same name, or append it.
+     */
+    static replace(list, item) {
+        for (let i = 0; i < list.length; i++) {
+            if (list[i].name === item.name) {
+                list[i] = item;
+                return;
+            }
+        }
+        list.push(item);
+    }
+
+    /**
+     * @private
+     */
+    static remove(list, name) {
+        for (let i = 0; i < list.length; i++) {
+            if (list[i].name === name) {
+                list.splice(i, 1);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @private
+     */
+    static checkName(method, name) {
+        if (typeof name !== 'string' || name.length === 0) {
+            throw CanvasToolClass.generateClassError('CanvasAnnotations', CanvasToolError.INVALID_ARGUMENT, method, `name="${name}" must be a non empty string.`);
+        }
+        return name;
+    }
+
+    /**
+     * @private
+     */
+    static checkSample(method, sample) {
+        if (typeof sample !== 'number' || !isFinite(sample)) {
+            throw CanvasToolClass.generateClassError('CanvasAnnotations', CanvasToolError.INVALID_ARGUMENT, method, `sample="${sample}" must be a finite number.`);
+        }
+        return sample;
+    }
+
+    /**
+     * @private
+     * @returns {CanvasColor} or null for the theme color.
+     */
+    static checkColor(method, color) {
+        if (typeof color === 'undefined' || color === null) {
+            return null;
+        }
+        let c = CanvasColor.from(color);
+        if (!(c instanceof CanvasColor)) {
+            throw CanvasToolClass.generateClassError('CanvasAnnotations', CanvasToolError.INVALID_ARGUMENT, method, 'a gradient can not be saved, use a single color.');
+        }
+        return c;
+    }
+
+}
+
+/**
+ * @class CanvasViewport - The visible part of a long signal: a start sample and a samples per pixel ratio.
+ *
+ * samplesPerPixel above 1 is zoomed out, below 1 (fractional) is zoomed in, one sample spread over several pixels.
+ * The start is kept inside the signal, and the whole signal starts at X = 0 when it is narrower than the canvas.
+ */
+class CanvasViewport {
+    /**
+     * @constructor
+     *
+     * @param {integer|Object} totalSamples - number of samples, or a BoxDataStructure.
+     * @param {integer} width - canvas width in pixel.
+     * @param {Object} [options] - {minSamplesPerPixel, maxSamplesPerPixel}. Zoom in up to 1/32 sample per pixel
+     * and out up to the whole signal by default.
+     */
+    constructor(totalSamples, width, options) {
+        let opts = options || {};
+        /** @private */
+        this.totalSamples = 0;
+        /** @private */
+        this.width = 1;
+        /** @private */
+        this.minSamplesPerPixel = (opts.minSamplesPerPixel > 0) ? opts.minSamplesPerPixel : 1 / 32;
+        /** @private */
+        this.maxSamplesPerPixel = (opts.maxSamplesPerPixel > 0) ? opts.maxSamplesPerPixel : null;
+        /** @private */
+        this.start = 0;
+        /** @private */
+        this.samplesPerPixel = 1;
+        this.setWidth(width);
+        this.setTotalSamples(totalSamples);
+        this.fitAll();
+    }
+
+    /**
+     * @returns {number} sample at X = 0.
+     */
+    getStart() {
+        return this.start;
+    }
+
+    /**
+     * @returns {number} samples per pixel column.
+     */
+    getSamplesPerPixel() {
+        return this.samplesPerPixel;
+    }
+
+    /**
+     * @returns {number} sample right after the last column.
+     */
+    getEnd() {
+        return this.start + this.width * this.samplesPerPixel;
+    }
+
+    /**
+     * @returns {integer} canvas width in pixel.
+     */
+    getWidth() {
+        return this.width;
+    }
+
+    /**
+     * @returns {integer} number of samples of the signal.
+     */
+    getTotalSamples() {
+        return this.totalSamples;
+    }
+
+    /**
+     * @method Change the canvas width, the start and zoom are kept.
+     *
+     * @param {integer} width - canvas width in pixel.
+     */
+    setWidth(width) {
+        if (!(width >= 1)) {
+            throw CanvasToolClass.generateClassError('CanvasViewport', CanvasToolError.INVALID_ARGUMENT, 'setWidth', `width="${width}" must be 1 or more.`);
+        }
+        this.width = Math.floor(width);
+        this.clamp();
+    }
+
+    /**
+     * @method Change the signal length (E.g. a growing recording), the start and zoom are kept.
+     *
+     * @param {integer|Object} totalSamples - number of samples, or a BoxDataStructure.
+     */
+    setTotalSamples(totalSamples) {
+        let size = (totalSamples !== null && typeof totalSamples === 'object') ? totalSamples.size : totalSamples;
+        if (typeof size !== 'number' || !(size >= 0)) {
+            throw CanvasToolClass.generateClassError('CanvasViewport', CanvasToolError.INVALID_ARGUMENT, 'setTotalSamples', `totalSamples="${size}" must be a number of samples or a BoxDataStructure.`);
+        }
+        this.totalSamples = Math.floor(size);
+        this.clamp();
+    }
+
+    /**
+     * @method Show samples from start with samplesPerPixel; both are clamped.
+     *
+     * @param {number} start - sample at X = 0.
+     * @param {number} samplesPerPixel - samples per pixel column.
+     */
+    setRange(start, samplesPerPixel) {
+        if (!isFinite(start) || !(samplesPerPixel > 0)) {
+            throw CanvasToolClass.generateClassError('CanvasViewport', CanvasToolError.INVALID_ARGUMENT, 'setRange', `start="${start}" samplesPerPixel="${samplesPerPixel}" is not a valid range.`);
+        }
+        this.start = start;
+        this.samplesPerPixel = samplesPerPixel;
+        this.clamp();
+    }
+
+    /**
+     * @method Zoom keeping the sample under X = anchor in place (E.g. the mouse position).
+     *
+     * @param {number} anchor - X in pixel, 0 to width.
+     * @param {number} factor - above 1 zooms in, below 1 zooms out. E.g. 2 shows half as many samples.
+     */
+    zoomAt(anchor, factor) {
+        if (!(factor > 0) || !isFinite(anchor)) {
+            throw CanvasToolClass.generateClassError('CanvasViewport', CanvasToolError.INVALID_ARGUMENT, 'zoomAt', `anchor="${anchor}" factor="${factor}" is not valid.`);
+        }
+        let sample = this.pixelToSample(anchor);
+        this.samplesPerPixel = this.limitSamplesPerPixel(this.samplesPerPixel / factor);
+        this.start = sample - anchor * this.samplesPerPixel;
+        this.clamp();
+    }
+
+    /**
+     * @method Scroll by a number of samples, negative to the left.
+     *
+     * @param {number} samples - how far to scroll.
+     */
+    panBy(samples) {
+        if (!isFinite(samples)) {
+            throw CanvasToolClass.generateClassError('CanvasViewport', CanvasToolError.INVALID_ARGUMENT, 'panBy', `samples="${samples}" is not a number.`);
+        }
+        this.start += samples;
+        this.clamp();
+    }
+
+    /**
+     * @method Show the whole signal.
+     */
+    fitAll() {
+        this.start = 0;
+        this.samplesPerPixel = this.limitSamplesPerPixel(Math.max(1, this.totalSamples) / this.width);
+        this.clamp();
+    }
+
+    /**
+     * @returns {number} the (fractional) sample drawn at X.
+     */
+    pixelToSample(x) {
+        return this.start + x * this.samplesPerPixel;
+    }
+
+    /**
+     * @returns {integer} the X (may be outside of 0 to width-1) where sample is drawn.
+     */
+    sampleToPixel(sample) {
+        return Math.floor((sample - this.start) / this.samplesPerPixel);
+    }
+
+    /**
+     * @returns {Object} {iStart, iEnd} integer sample range (iEnd exclusive) that is visible.
+     */
+    getVisibleSamples() {
+        return {
+            iStart: Math.max(0, Math.floor(this.start)),
+            iEnd: Math.min(this.totalSamples, Math.ceil(this.getEnd()))
+        };
+    }
+
+    /**
+     * @private
+     */
+    limitSamplesPerPixel(spp) {
+        let fit = Math.max(1, this.totalSamples) / this.width;
+        let max = (this.maxSamplesPerPixel !== null) ? this.maxSamplesPerPixel : Math.max(fit, this.minSamplesPerPixel);
+        return Math.min(max, Math.max(this.minSamplesPerPixel, spp));
+    }
+
+    /**
+     * @private Keep the zoom in its limits and the start inside the signal.
+     */
+    clamp() {
+        this.samplesPerPixel = this.limitSamplesPerPixel(this.samplesPerPixel);
+        let visible = this.width * this.samplesPerPixel;
+        let maxStart = Math.max(0, this.totalSamples - visible);
+        this.start = Math.min(maxStart, Math.max(0, this.start));
+    }
+
+}
+
+/**
+ * @class CanvasStreamBuffer - Fixed capacity circular history of a live signal (microphone, WebSocket, Node stream).
+ *
+ * Every sample is written twice, at i and i + capacity, so the latest samples are always one contiguous
+ * Int16Array view: latest() and getView() return subarrays, no sample is copied per frame.
+ */
+class CanvasStreamBuffer {
+    /**
+     * @constructor
+     *
+     * @param {integer} capacity - how many of the latest samples are kept.
+     * @param {Object} [options] - {floatScale}: Float32Array / Float64Array chunks are multiplied by floatScale,
+     * default 32767 (-1.0 to +1.0 becomes the Int16 range). Use E.g. canvas height / 2 to push drawable values.
+     */
+    constructor(capacity, options) {
+        if (!(capacity >= 1)) {
+            throw CanvasToolClass.generateClassError('CanvasStreamBuffer', CanvasToolError.INVALID_ARGUMENT, 'constructor', `capacity="${capacity}" must be 1 or more.`);
+        }
+        let opts = options || {};
+        /** @private */
+        this.capacity = Math.floor(capacity);
+        /** @private */
+        this.floatScale = (typeof opts.floatScale === 'number') ? opts.floatScale : 32767;
+        /** @private */
+        this.data = new Int16Array(2 * this.capacity);
+        /** @private */
+        this.writePosition = 0;
+        /** @private */
+        this.pendingByte = -1;
+    }
+
+    /**
+     * @returns {integer} how many samples can be kept.
+     */
+    getCapacity() {
+        return this.capacity;
+    }
+
+    /**
+     * @returns {integer} how many samples are kept, up to the capacity.
+     */
+    getSize() {
+        return Math.min(this.writePosition, this.capacity);
+    }
+
+    /**
+     * @returns {integer} total number of samples pushed so far; the next sample gets this position.
+     */
+    getWritePosition() {
+        return this.writePosition;
+    }
+
+    /**
+     * @method Append a chunk of samples; the oldest samples are overwritten once the capacity is reached.
+     *
+     * @param {Object} chunk - Int16Array, Float32Array, Float64Array (scaled by floatScale), Array of number, or raw
+     * 16 bit little endian PCM as ArrayBuffer, Uint8Array or Node Buffer. An odd trailing byte is kept for the next chunk.
+     * A NaN sample is pushed as 0, +/-Infinity as 32767 / -32768.
+     * @returns {integer} number of samples appended.
+     */
+    push(chunk) {
+        if (chunk instanceof ArrayBuffer || chunk instanceof Uint8Array) {
+            return this.pushBytes(chunk instanceof ArrayBuffer ? new Uint8Array(chunk) : chunk);
+        }
+        if (chunk === null || typeof chunk !== 'object' || typeof chunk.length !== 'number') {
+            throw CanvasToolClass.generateClassError('CanvasStreamBuffer', CanvasToolError.INVALID_ARGUMENT, 'push', 'chunk is not an Array, typed array, ArrayBuffer or Buffer.');
+        }
+        let scale = (chunk instanceof Float32Array || chunk instanceof Float64Array) ? this.floatScale : 1;
+        // samples that would be overwritten in this same chunk are only counted.
+        let first = Math.max(0, chunk.length - this.capacity);
+        this.writePosition += first;
+        for (let i = first; i < chunk.length; i++) {
+            this.write(chunk[i] * scale);
+        }
+        return chunk.length;
+    }
+
+    /**
+     * @private Append 16 bit little endian PCM bytes.
+     */
+    pushBytes(bytes) {
+        let i = 0;
+        let count = 0;
+        if (this.pendingByte >= 0 && bytes.length > 0) {
+            this.write(((bytes[0] << 8) | this.pendingByte) << 16 >> 16);
+            this.pendingByte = -1;
+            i = 1;
+            count++;
+        }
+        for (; i + 1 < bytes.length; i += 2, count++) {
+            this.write(((bytes[i + 1] << 8) | bytes[i]) << 16 >> 16);
+        }
+        if (i < bytes.length) {
+            this.pendingByte = bytes[i];
+        }
+        return count;
+    }
+
+    /**
+     * @private Write one sample at both mapped places; NaN becomes 0, anything else is clipped to the Int16 range.
+     */
+    write(value) {
+        let v = Math.round(value);
+        if (Number.isNaN(v)) v = 0;
+        if (v < -32768) v = -32768;
+        if (v > 32767) v = 32767;
+        let i = this.writePosition % this.capacity;
+        this.data[i] = v;
+        this.data[i + this.capacity] = v;
+        this.writePosition++;
+    }
+
+    /**
+     * @method Zero-copy view of the latest samples, oldest first. Only valid until the next push().
+     *
+     * @param {integer} [count] - how many samples, default (and at most) getSize().
+     * @returns {Int16Array}
+     */
+    latest(count) {
+        let size = this.getSize();
+        let n = (typeof count === 'number') ? Math.max(0, Math.min(size, Math.floor(count))) : size;
+        let end = (this.writePosition % this.capacity) + this.capacity;
+        return this.data.subarray(end - n, end);
+    }
+
+    /**
+     * @method Zero-copy view of count samples from an absolute position (@see getWritePosition).
+     *
+     * @param {integer} position - position of the first sample.
+     * @param {integer} count - how many samples, at most the capacity.
+     * @returns {Int16Array} or null if part of it was overwritten or not written yet.
+     */
+    getView(position, count) {
+        let n = Math.floor(count);
+        if (!(n >= 0) || n > this.capacity || position < this.writePosition - this.getSize() || position + n > this.writePosition) {
+            return null;
+        }
+        let begin = position % this.capacity;
+        return this.data.subarray(begin, begin + n);
+    }
+
+    /**
+     * @method Wrap the latest samples in a BoxDataStructure, so every draw method can use the stream.
+     *
+     * @param {integer} count - how many of the latest samples.
+     * @param {integer} _canvasWidth - Canvas.width.
+     * @returns {Object} BoxDataStructure over a zero-copy view.
+     */
+    toBoxDataStructure(count, _canvasWidth) {
+        let view = this.latest(count);
+        return CanvasToolClass.createBoxDataStructure(view, view.length, _canvasWidth);
+    }
+
+    /**
+     * @method Forget every sample.
+     */
+    clear() {
+        this.data.fill(0);
+        this.writePosition = 0;
+        this.pendingByte = -1;
+    }
+
+    /**
+     * @method Push every 'data' chunk of a stream (Node Readable, or any emitter with on / off).
+     *
+     * @param {Object} readable - the stream.
+     * @returns {Function} call it to detach from the stream.
+     */
+    attachStream(readable) {
+        if (readable === null || typeof readable !== 'object' || typeof readable.on !== 'function') {
+            throw CanvasToolClass.generateClassError('CanvasStreamBuffer', CanvasToolError.INVALID_ARGUMENT, 'attachStream', 'readable has no on() method.');
+        }
+        let onData = (chunk) => this.push(chunk);
+        readable.on('data', onData);
+        return () => {
+            if (typeof readable.off === 'function') {
+                readable.off('data', onData);
+            } else if (typeof readable.removeListener === 'function') {
+                readable.removeListener('data', onData);
+            }
+        };
+    }
+
+}
+
+/**
+ * @class CanvasDrawSession - One open frame of a CanvasToolClass, returned by drawBegin().
+ *
+ * It has the draw methods of the box and ends with commit() or discard(). Once closed, every call throws
+ * SESSION_CLOSED, so a session kept by mistake can not draw into a later frame. @see CanvasToolClass.withFrame
+ */
+class CanvasDrawSession {
+    /**
+     * @constructor
+     *
+     * @param {CanvasToolClass} box - the box the frame belongs to.
+     */
+    constructor(box) {
+        /** @private */
+        this.box = box;
+        /** @private */
+        this.open = true;
+    }
+
+    /**
+     * @returns {CanvasToolClass} the box the frame belongs to.
+     */
+    getCanvasTool() {
+        return this.box;
+    }
+
+    /**
+     * @returns {boolean} false once committed or discarded.
+     */
+    isOpen() {
+        return this.open;
+    }
+
+    /**
+     * @method Put the frame into the canvas and close the session. @see CanvasToolClass.drawEnd
+     * @returns {boolean} true, otherwise an Error.
+     */
+    commit() {
+        this.checkOpen('commit');
+        return this.box.drawEnd(true);
+    }
+
+    /**
+     * @method Drop the frame, the canvas keeps its previous pixels, and close the session.
+     * @returns {boolean} true, otherwise an Error.
+     */
+    discard() {
+        this.checkOpen('discard');
+        return this.box.drawEnd(false);
+    }
+
+    /**
+     * @private
+     */
+    checkOpen(method) {
+        if (!this.open) {
+            throw this.box.generateError(method, CanvasToolError.SESSION_CLOSED, `session for canvas="${this.box.canvasId}" is already closed.`);
+        }
+    }
+}
+
+/** Draw methods of CanvasToolClass that a session forwards while it is open. */
+CanvasDrawSession.drawMethods = [
+    'drawClearBackground',
+    'drawOnCanvas',
+    'drawLineOnCanvas',
+    'drawPeaksOnCanvas',
+    'drawViewOnCanvas',
+    'drawEnvelopeOnCanvas',
+    'drawXYOnCanvas',
+    'drawSpectrumOnCanvas',
+    'drawSpectrogramOnCanvas',
+    'drawLaneOnCanvas',
+    'drawLanesOnCanvas',
+    'drawTextOnCanvas',
+    'drawGridOnCanvas',
+    'drawCanvasMarker'
+];
+CanvasDrawSession.drawMethods.forEach((name) => {
+    CanvasDrawSession.prototype[name] = function () {
+        this.checkOpen(name);
+        return this.box[name].apply(this.box, arguments);
+    };
+});
+
+/**
+ * @class CanvasWorkerHost - Worker side of the worker rendering mode, owns the CanvasToolClass boxes.
+ *
+ * js-sdk-canvas-worker-1.0.1.js creates one and feeds it every message. A box draws into the OffscreenCanvas it was
+ * given, or into a headless surface when none was given (E.g. Node worker_threads).
+ * Messages {type, canvasId, id, ...} are answered with {type: 'result' | 'error', canvasId, id, value | error}.
+ */
+class CanvasWorkerHost {
+    /**
+     * @constructor
+     *
+     * @param {Object} port - where replies are posted: {postMessage(message, transfer)}, E.g. self or parentPort.
+     */
+    constructor(port) {
+        /** @private */
+        this.port = port;
+        /** @private canvasId -> {box, document} */
+        this.boxes = {};
+    }
+
+    /**
+     * @method Handle one message of a CanvasWorkerClient.
+     *
+     * @param {Object} message - {type: 'create' | 'call' | 'frame' | 'readPixels' | 'destroy', canvasId, id, ...}
+     */
+    handleMessage(message) {
+        let value, transfer = [];
+        try {
+            switch (message.type) {
+                case 'create':
+                    value = this.create(message);
+                    break;
+                case 'call':
+                    value = this.call(message.canvasId, message.method, message.args || []);
+                    break;
+                case 'frame':
+                    value = this.frame(message.canvasId, message.calls || []);
+                    break;
+                case 'readPixels':
+                    value = this.readPixels(message.canvasId);
+                    transfer = [value.data.buffer];
+                    break;
+                case 'destroy':
+                    value = delete this.boxes[message.canvasId];
+                    break;
+                default:
+                    throw CanvasToolClass.generateClassError('CanvasWorkerHost', CanvasToolError.INVALID_ARGUMENT, 'handleMessage', `unknown message type="${message.type}".`);
+            }
+        } catch (e) {
+            this.port.postMessage({type: 'error', canvasId: message.canvasId, id: message.id, error: CanvasWorkerHost.serializeError(e)});
+            return;
+        }
+        this.port.postMessage({type: 'result', canvasId: message.canvasId, id: message.id, value: value}, transfer);
+    }
+
+    /**
+     * @private Create the box of message.canvasId, with message.canvas (OffscreenCanvas) or a headless surface.
+     */
+    create(message) {
+        let box, doc = null;
+        let canvas = message.canvas || null;
+        if (canvas !== null) {
+            box = new CanvasToolClass(message.canvasId, message.width, message.height, message.border);
+            // a pseudo document, so drawBegin() finds the OffscreenCanvas like a HTML canvas.
+            doc = {
+                getElementById: (id) => (id === message.canvasId) ? canvas : null
+            };
+        } else {
+            let border = message.border || 0;
+            box = new CanvasToolClass(message.canvasId, message.width, message.height, border,
+                CanvasToolClass.createSurface(message.width + 2 * border, message.height + 2 * border));
+        }
+        // the page gets every error of a call, logging it in the worker too would report it twice.
+        box.setLogging(false);
+        this.boxes[message.canvasId] = {box: box, document: doc, canvas: canvas, analyzer: null, analyzerKey: null};
+        return true;
+    }
+
+    /**
+     * @private
+     * @returns {Object} {box, document, canvas, analyzer, analyzerKey} of canvasId.
+     */
+    getEntry(method, canvasId) {
+        let entry = this.boxes[canvasId];
+        if (!entry) {
+            throw CanvasToolClass.generateClassError('CanvasWorkerHost', CanvasToolError.INVALID_ARGUMENT, method, `canvas="${canvasId}" was not created in this worker.`);
+        }
+        return entry;
+    }
+
+    /**
+     * @private Call one method of the box. Only CanvasWorkerHost.methods can be called.
+     */
+    call(canvasId, method, args) {
+        let entry = this.getEntry('call', canvasId);
+        let value;
+        if (CanvasWorkerHost.methods.indexOf(method) < 0) {
+            throw CanvasToolClass.generateClassError('CanvasWorkerHost', CanvasToolError.INVALID_ARGUMENT, 'call', `method="${method}" can not be called through a worker.`);
+        }
+        let box = entry.box;
+        switch (method) {
+            case 'drawBegin':
+                // the session can not be posted back, the page uses drawEnd() or a frame instead.
+                return box.drawBegin(entry.document) !== null;
+            case 'setAnnotations':
+                box.setAnnotations((args[0] === null || typeof args[0] === 'undefined') ? null : CanvasAnnotations.fromJSON(args[0]));
+                return true;
+            case 'resize':
+                // the OffscreenCanvas follows the new size, its pixels are cleared.
+                value = box.resize(args[0], args[1], args[2]);
+                if (entry.canvas !== null) {
+                    let border = (typeof args[2] === 'number') ? args[2] : box.getBorder();
+                    entry.canvas.width = args[0] + 2 * border;
+                    entry.canvas.height = args[1] + 2 * border;
+                }
+                return value;
+            default:
+                return CanvasWorkerHost.toClone(box[method].apply(box, this.resolveArgs(entry, args)));
+        }
+    }
+
+    /**
+     * @private Draw one whole frame, committed when every call succeeds, discarded otherwise.
+     */
+    frame(canvasId, calls) {
+        let entry = this.getEntry('frame', canvasId);
+        return entry.box.withFrame(entry.document, (session) => calls.map((c) => {
+            if (CanvasDrawSession.drawMethods.indexOf(c.method) < 0) {
+                throw CanvasToolClass.generateClassError('CanvasWorkerHost', CanvasToolError.INVALID_ARGUMENT, 'frame', `method="${c.method}" is not a draw method.`);
+            }
+            return session[c.method].apply(session, this.resolveArgs(entry, c.args || []));
+        }));
+    }
+
+    /**
+     * @private Turn the analyzer settings posted by CanvasWorkerClient back into a CanvasSpectrumAnalyzer. The canvas
+     * keeps one analyzer while the settings stay the same, so its peak-hold caps go on from frame to frame.
+     */
+    resolveArgs(entry, args) {
+        return args.map((arg) => {
+            if (arg === null || typeof arg !== 'object' || arg._name !== 'CanvasSpectrumAnalyzer') {
+                return arg;
+            }
+            let key = JSON.stringify(arg.settings);
+            if (entry.analyzerKey !== key) {
+                entry.analyzer = CanvasSpectrumAnalyzer.fromJSON(arg.settings);
+                entry.analyzerKey = key;
+            }
+            return entry.analyzer;
+        });
+    }
+
+    /**
+     * @private
+     * @returns {Object} a copy {width, height, data} of the headless surface.
+     */
+    readPixels(canvasId) {
+        let surface = this.getEntry('readPixels', canvasId).box.getSurface();
+        if (surface === null) {
+            throw CanvasToolClass.generateClassError('CanvasWorkerHost', CanvasToolError.INVALID_ARGUMENT, 'readPixels', `canvas="${canvasId}" draws into an OffscreenCanvas, not a surface.`);
+        }
+        return {width: surface.width, height: surface.height, data: new Uint8ClampedArray(surface.data)};
+    }
+
+    /**
+     * @private Values that can be posted back: plain data, not class instances with methods.
+     */
+    static toClone(value) {
+        if (value === null || typeof value !== 'object') return value;
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * @private
+     * @returns {Object} {name, code, message, method, canvasId} of an Error.
+     */
+    static serializeError(e) {
+        return {
+            name: (e && e.name) || 'Error',
+            code: (e && e.code) || null,
+            message: (e && e.message) || String(e),
+            method: (e && e.method) || null,
+            canvasId: (e && e.canvasId) || null
+        };
+    }
+
+}
+
+/** Methods of CanvasToolClass a CanvasWorkerClient can call, besides the draw methods. */
+CanvasWorkerHost.methods = CanvasDrawSession.drawMethods.concat([
+    'drawBegin',
+    'drawEnd',
+    'invalidate',
+    'resize',
+    'setTheme',
+    'setLanes',
+    'setLogging',
+    'setPersistentFrame',
+    'setVisibleRange',
+    'setAnnotations',
+    'setAmplitudeScaling',
+    'setRenderer',
+    'getWidth',
+    'getHeight',
+    'getDirtyRect',
+    'toString'
+]);
+
+/**
+ * @class CanvasWorkerClient - Page side of the worker rendering mode: the draw API of CanvasToolClass, drawn in a worker.
+ *
+ * Every method posts a message and returns a Promise. Arguments must be plain data (numbers, strings, arrays, color
+ * strings or objects); typed arrays are copied once and posted as transferables, so the page keeps its own buffers.
+ * A CanvasSpectrumAnalyzer or CanvasColorMap can be given too, @see prepareArgs.
+ */
+class CanvasWorkerClient {
+    /**
+     * @constructor
+     *
+     * @param {Object} worker - a Worker running js-sdk-canvas-worker-1.0.1.js (browser Worker or Node worker_threads).
+     * @param {string} canvasId - ID of the canvas, also the name of the box in the worker.
+     * @param {integer} width - Canvas.width, without border.
+     * @param {integer} height - Canvas.height, without border.
+     * @param {integer} border - Canvas border.
+     * @param {Object} [canvas] - a HTML canvas (its control is transferred with transferControlToOffscreen()), an
+     * OffscreenCanvas, or omitted to draw into a headless surface in the worker.
+     */
+    constructor(worker, canvasId, width, height, border, canvas) {
+        /** @private */
+        this.worker = worker;
+        /** @private */
+        this.canvasId = canvasId;
+        /** @private */
+        this.nextId = 1;
+        /** @private id -> {resolve, reject} */
+        this.pending = {};
+        /** @private */
+        this.onMessage = (message) => this.handleReply(message);
+        if (typeof worker.on === 'function') {
+            worker.on('message', this.onMessage);
+        } else {
+            this.onEvent = (event) => this.onMessage(event.data);
+            worker.addEventListener('message', this.onEvent);
+        }
+
+        let offscreen = null;
+        if (canvas && typeof canvas.transferControlToOffscreen === 'function') {
+            offscreen = canvas.transferControlToOffscreen();
+        } else if (canvas) {
+            offscreen = canvas;
+        }
+        /** Resolved once the box exists in the worker. */
+        this.ready = this.post({type: 'create', width: width, height: height, border: border || 0, canvas: offscreen},
+            (offscreen !== null) ? [offscreen] : []);
+    }
+
+    /**
+     * @method Draw one whole frame in one message. fn gets a recorder with the draw methods of CanvasDrawSession;
+     * the worker runs the recorded calls in withFrame().
+     *
+     * @param {Function} fn - called with the recorder.
+     * @returns {Promise} resolved with the result of every call, rejected (frame discarded) on the first error.
+     */
+    withFrame(fn) {
+        let calls = [];
+        let recorder = {};
+        CanvasDrawSession.drawMethods.forEach((name) => {
+            recorder[name] = function () {
+                calls.push({method: name, args: Array.prototype.slice.call(arguments)});
+                return recorder;
+            };
+        });
+        let transfer = [];
+        try {
+            fn(recorder);
+            calls.forEach((c) => {
+                c.args = CanvasWorkerClient.prepareArgs(c.args, transfer);
+            });
+        } catch (e) {
+            // nothing was posted, the error of the callback rejects like a failing call would.
+            return Promise.reject(e);
+        }
+        return this.post({type: 'frame', calls: calls}, transfer);
+    }
+
+    /**
+     * @returns {Promise} resolved with {width, height, data} of the headless surface in the worker.
+     */
+    readPixels() {
+        return this.post({type: 'readPixels'}, []);
+    }
+
+    /**
+     * @method Remove the box from the worker and stop listening. The worker itself is not terminated.
+     * @returns {Promise}
+     */
+    destroy() {
+        return this.post({type: 'destroy'}, []).then((value) => {
+            if (typeof this.worker.off === 'function') {
+                this.worker.off('message', this.onMessage);
+            } else if (typeof this.worker.removeEventListener === 'function') {
+                this.worker.removeEventListener('message', this.onEvent);
+            }
+            return value;
+        });
+    }
+
+    /**
+     * @private Post a message for this canvas, the Promise settles with the reply of the same id.
+     */
+    post(message, transfer) {
+        message.canvasId = this.canvasId;
+        message.id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending[message.id] = {resolve: resolve, reject: reject};
+            this.worker.postMessage(message, transfer);
+        });
+    }
+
+    /**
+     * @private Settle the Promise of a reply; replies of other canvases are ignored.
+     */
+    handleReply(message) {
+        if (!message || message.canvasId !== this.canvasId || !this.pending[message.id]) {
+            return;
+        }
+        let pending = this.pending[message.id];
+        delete this.pending[message.id];
+        if (message.type === 'error') {
+            let e = message.error;
+            let error = (e.code !== null) ? CanvasToolError.create(e.code, e.message, e.canvasId, e.method) : new Error(e.message);
+            pending.reject(error);
+        } else {
+            pending.resolve(message.value);
+        }
+    }
+
+    /**
+     * @private Copy typed array arguments into their own buffer, and add it to the transfer list. Objects that lose
+     * their class in postMessage are sent as data: a CanvasSpectrumAnalyzer as its settings (the worker keeps its own
+     * analyzer and peak-hold state per canvas), a CanvasColorMap as its lookup table.
+     */
+    static prepareArgs(args, transfer) {
+        return args.map((arg) => {
+            if (arg instanceof CanvasSpectrumAnalyzer) {
+                return {_name: 'CanvasSpectrumAnalyzer', settings: arg.toJSON()};
+            }
+            if (arg instanceof CanvasColorMap) {
+                let lut = arg.lut.slice();
+                transfer.push(lut.buffer);
+                return lut;
+            }
+            if (ArrayBuffer.isView(arg)) {
+                let copy = arg.slice();
+                transfer.push(copy.buffer);
+                return copy;
+            }
+            return arg;
+        });
+    }
+}
+
+CanvasWorkerHost.methods.forEach((name) => {
+    CanvasWorkerClient.prototype[name] = function () {
+        let transfer = [];
+        let args = CanvasWorkerClient.prepareArgs(Array.prototype.slice.call(arguments), transfer);
+        return this.post({type: 'call', method: name, args: args}, transfer);
+    };
+});
+
+/**
+ * @class CanvasImageEncoder - Pure JavaScript PNG and binary PPM (P6) encoders, no canvas or DOM needed.
+ *
+ * PNG pixels are compressed with a small deflate (LZ77 and the fixed Huffman codes): the output is not as small as
+ * zlib's, but any PNG reader opens it. Images are ImageData-like {width, height, data} with RGBA bytes.
+ */
+class CanvasImageEncoder {
+    /**
+     * @method Encode an RGBA image as PNG.
+     *
+     * @param {Object} image - ImageData-like {width, height, data}.
+     * @returns {Uint8Array} the PNG file.
+     */
+    static encodePng(image) {
+        CanvasImageEncoder.checkImage('encodePng', image);
+        let out = [];
+        CanvasImageEncoder.pushBytes(out, CanvasImageEncoder.PNG_SIGNATURE);
+        CanvasImageEncoder.pushChunk(out, 'IHDR', CanvasImageEncoder.createHeader(image.width, image.height));
+        CanvasImageEncoder.pushChunk(out, 'IDAT', CanvasImageEncoder.zlib(CanvasImageEncoder.filterRows(image)));
+        CanvasImageEncoder.pushChunk(out, 'IEND', []);
+        return new Uint8Array(out);
+    }
+
+    /**
+     * @method Encode an image as binary PPM (P6), the alpha channel is dropped.
+     *
+     * @param {Object} image - ImageData-like {width, height, data}.
+     * @returns {Uint8Array} the PPM file.
+     */
+    static encodePpm(image) {
+        CanvasImageEncoder.checkImage('encodePpm', image);
+        let header = `P6\n${image.width} ${image.height}\n255\n`;
+        let size = image.width * image.height;
+        let out = new Uint8Array(header.length + 3 * size);
+        let i, j;
+        for (i = 0; i < header.length; i++) {
+            out[i] = header.charCodeAt(i);
+        }
+        for (i = 0, j = header.length; i < size; i++, j += 3) {
+            out[j + 0] = image.data[4 * i + 0];
+            out[j + 1] = image.data[4 * i + 1];
+            out[j + 2] = image.data[4 * i + 2];
+        }
+        return out;
+    }
+
+    /**
+     * @private
+     * @returns {Array} the 13 bytes of IHDR: 8 bit RGBA, no interlace.
+     */
+    static createHeader(width, height) {
+        let data = [];
+        CanvasImageEncoder.pushUint32(data, width);
+        CanvasImageEncoder.pushUint32(data, height);
+        data.push(8, 6, 0, 0, 0);
+        return data;
+    }
+
+    /**
+     * @private Filter every scan line with Sub or Up, whichever gives the smaller sum; the first byte of a line is its filter.
+     * @returns {Uint8Array}
+     */
+    static filterRows(image) {
+        let stride = 4 * image.width;
+        let src = image.data;
+        let out = new Uint8Array((stride + 1) * image.height);
+        let y, i, row, prev, line, sumSub, sumUp, a, b;
+        for (y = 0; y < image.height; y++) {
+            row = y * stride;
+            prev = row - stride;
+            sumSub = 0;
+            sumUp = 0;
+            for (i = 0; i < stride; i++) {
+                a = (src[row + i] - ((i >= 4) ? src[row + i - 4] : 0)) & 0xFF;
+                b = (src[row + i] - ((y > 0) ? src[prev + i] : 0)) & 0xFF;
+                sumSub += (a < 128) ? a : 256 - a;
+                sumUp += (b < 128) ? b : 256 - b;
+            }
+            line = y * (stride + 1);
+            if (sumSub <= sumUp) {
+                out[line] = 1;
+                for (i = 0; i < stride; i++) {
+                    out[line + 1 + i] = src[row + i] - ((i >= 4) ? src[row + i - 4] : 0);
+                }
+            } else {
+                out[line] = 2;
+                for (i = 0; i < stride; i++) {
+                    out[line + 1 + i] = src[row + i] - ((y > 0) ? src[prev + i] : 0);
+                }
+            }
+        }
+        return out;
+    }
+
+    /**
+     * @method Compress bytes into a zlib stream (RFC 1950) around deflate().
+     *
+     * @param {Uint8Array} bytes - what to compress.
+     * @returns {Array} the zlib stream bytes.
+     */
+    static zlib(bytes) {
+        let out = [0x78, 0x9C];
+        CanvasImageEncoder.pushBytes(out, CanvasImageEncoder.deflate(bytes));
+        CanvasImageEncoder.pushUint32(out, CanvasImageEncoder.adler32(bytes));
+        return out;
+    }
+
+    /**
+     * @method Compress bytes as one deflate block (RFC 1951) with the fixed Huffman codes and LZ77 matches.
+     *
+     * @param {Uint8Array} bytes - what to compress.
+     * @returns {Array} the deflate bytes.
+     */
+    static deflate(bytes) {
+        let writer = {out: [], bits: 0, count: 0};
+        let write = CanvasImageEncoder.writeBits;
+        let size = bytes.length;
+        let head = new Int32Array(1 << 15).fill(-1);
+        let prev = new Int32Array(32768);
+        let hash = (i) => ((bytes[i] << 10) ^ (bytes[i + 1] << 5) ^ bytes[i + 2]) & 0x7FFF;
+        let insert = (i) => {
+            if (i + 2 < size) {
+                let h = hash(i);
+                prev[i & 0x7FFF] = head[h];
+                head[h] = i;
+            }
+        };
+        let i = 0, j, candidate, chain, length, best, bestDistance, limit;
+
+        // BFINAL = 1, BTYPE = 01 (fixed Huffman codes)
+        write(writer, 1, 1);
+        write(writer, 1, 2);
+        while (i < size) {
+            best = 0;
+            bestDistance = 0;
+            if (i + 2 < size) {
+                candidate = head[hash(i)];
+                limit = Math.min(258, size - i);
+                for (chain = 0; candidate >= 0 && i - candidate <= 32768 && chain < 16; chain++) {
+                    for (length = 0; length < limit && bytes[candidate + length] === bytes[i + length]; length++);
+                    if (length > best) {
+                        best = length;
+                        bestDistance = i - candidate;
+                        if (length === limit) break;
+                    }
+                    candidate = prev[candidate & 0x7FFF];
+                }
+            }
+            if (best >= 3) {
+                CanvasImageEncoder.writeMatch(writer, best, bestDistance);
+                for (j = 0; j < best; j++) {
+                    insert(i + j);
+                }
+                i += best;
+            } else {
+                CanvasImageEncoder.writeLiteral(writer, bytes[i]);
+                insert(i);
+                i++;
+            }
+        }
+        CanvasImageEncoder.writeLiteral(writer, 256);
+        if (writer.count > 0) {
+            writer.out.push(writer.bits & 0xFF);
+        }
+        return writer.out;
+    }
+
+    /**
+     * @private Append count bits of value, least significant bit first.
+     */
+    static writeBits(writer, value, count) {
+        writer.bits |= value << writer.count;
+        writer.count += count;
+        while (writer.count >= 8) {
+            writer.out.push(writer.bits & 0xFF);
+            writer.bits >>>= 8;
+            writer.count -= 8;
+        }
+    }
+
+    /**
+     * @private Append a Huffman code, most significant bit first.
+     */
+    static writeCode(writer, code, length) {
+        let reversed = 0;
+        for (let k = 0; k < length; k++) {
+            reversed = (reversed << 1) | ((code >> k) & 1);
+        }
+        CanvasImageEncoder.writeBits(writer, reversed, length);
+    }
+
+    /**
+     * @private Append a literal/length symbol 0 to 287 with its fixed Huffman code.
+     */
+    static writeLiteral(writer, symbol) {
+        if (symbol < 144) {
+            CanvasImageEncoder.writeCode(writer, 0x30 + symbol, 8);
+        } else if (symbol < 256) {
+            CanvasImageEncoder.writeCode(writer, 0x190 + symbol - 144, 9);
+        } else if (symbol < 280) {
+            CanvasImageEncoder.writeCode(writer, symbol - 256, 7);
+        } else {
+            CanvasImageEncoder.writeCode(writer, 0xC0 + symbol - 280, 8);
+        }
+    }
+
+    /**
+     * @private Append a length (3 to 258) and distance (1 to 32768) pair.
+     */
+    static writeMatch(writer, length, distance) {
+        let k = CanvasImageEncoder.findBase(CanvasImageEncoder.LENGTH_BASE, length);
+        CanvasImageEncoder.writeLiteral(writer, 257 + k);
+        CanvasImageEncoder.writeBits(writer, length - CanvasImageEncoder.LENGTH_BASE[k], CanvasImageEncoder.LENGTH_EXTRA[k]);
+        k = CanvasImageEncoder.findBase(CanvasImageEncoder.DISTANCE_BASE, distance);
+        CanvasImageEncoder.writeCode(writer, k, 5);
+        CanvasImageEncoder.writeBits(writer, distance - CanvasImageEncoder.DISTANCE_BASE[k], CanvasImageEncoder.DISTANCE_EXTRA[k]);
+    }
+
+    /**
+     * @private
+     * @returns {integer} index of the last base that is not above value.
+     */
+    static findBase(bases, value) {
+        let k = bases.length - 1;
+        while (bases[k] > value) k--;
+        return k;
+    }
+
+    /**
+     * @method CRC-32 as used by PNG chunks.
+     *
+     * @param {Array} bytes - Array or Uint8Array.
+     * @param {integer} [start] - first byte, default 0.
+     * @param {integer} [end] - last byte (exclusive), default bytes.length.
+     * @returns {integer} unsigned CRC-32.
+     */
+    static crc32(bytes, start, end) {
+        let table = CanvasImageEncoder.crcTable;
+        if (table === null) {
+            table = CanvasImageEncoder.crcTable = new Int32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                table[n] = c;
+            }
+        }
+        let crc = -1;
+        let last = (typeof end === 'number') ? end : bytes.length;
+        for (let i = start || 0; i < last; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ -1) >>> 0;
+    }
+
+    /**
+     * @method Adler-32 checksum of a zlib stream.
+     *
+     * @param {Uint8Array} bytes
+     * @returns {integer} unsigned Adler-32.
+     */
+    static adler32(bytes) {
+        let a = 1, b = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            a = (a + bytes[i]) % 65521;
+            b = (b + a) % 65521;
+        }
+        return ((b << 16) | a) >>> 0;
+    }
+
+    /**
+     * @private Append a PNG chunk: length, type, data and the CRC of type and data.
+     */
+    static pushChunk(out, type, data) {
+        CanvasImageEncoder.pushUint32(out, data.length);
+        let start = out.length;
+        for (let i = 0; i < 4; i++) {
+            out.push(type.charCodeAt(i));
+        }
+        CanvasImageEncoder.pushBytes(out, data);
+        CanvasImageEncoder.pushUint32(out, CanvasImageEncoder.crc32(out, start, out.length));
+    }
+
+    /**
+     * @private Append a 32 bit big endian integer.
+     */
+    static pushUint32(out, value) {
+        out.push((value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF);
+    }
+
+    /**
+     * @private Append every byte, without the argument limit of push(...bytes).
+     */
+    static pushBytes(out, bytes) {
+        for (let i = 0; i < bytes.length; i++) {
+            out.push(bytes[i]);
+        }
+    }
+
+    /**
+     * @private
+     */
+    static checkImage(method, image) {
+        if (image === null || typeof image !== 'object' || !(image.width >= 1) || !(image.height >= 1) ||
+            !image.data || image.data.length < 4 * image.width * image.height) {
+            throw CanvasToolClass.generateClassError('CanvasImageEncoder', CanvasToolError.INVALID_ARGUMENT, method, 'image is not an ImageData-like {width, height, data}.');
+        }
+    }
+}
+
+CanvasImageEncoder.PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+CanvasImageEncoder.LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+CanvasImageEncoder.LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+CanvasImageEncoder.DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+CanvasImageEncoder.DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+/** @private built on first use */
+CanvasImageEncoder.crcTable = null;
+
+/**
+ * @class CanvasFrameRecorder - Collect successive frames and encode them as an animated GIF or APNG.
+ *
+ * GIF frames share one 256 color palette: the exact colors when the recording has no more than 256 of them
+ * (typical for waveforms), otherwise every color is reduced to 3-3-2 bits of red, green and blue.
+ */
+class CanvasFrameRecorder {
+    /**
+     * @constructor
+     *
+     * @param {Object} [options] - {delay, maxFrames, loop}: delay between frames in milli-seconds (default 100),
+     * the oldest frames are dropped past maxFrames (default 500), loop count (0, the default, loops forever).
+     */
+    constructor(options) {
+        let opts = options || {};
+        /** @private */
+        this.delay = (opts.delay > 0) ? opts.delay : 100;
+        /** @private */
+        this.maxFrames = (opts.maxFrames > 0) ? Math.floor(opts.maxFrames) : 500;
+        /** @private */
+        this.loop = (opts.loop >= 0) ? Math.floor(opts.loop) : 0;
+        /** @private {width, height, data, delay} */
+        this.frames = [];
+    }
+
+    /**
+     * @method Add a frame. All frames must have the size of the first one.
+     *
+     * @param {Object} source - a CanvasToolClass (@see CanvasToolClass.snapshot) or an ImageData-like {width, height, data}.
+     * @param {integer} [delay] - delay after this frame in milli-seconds, default the recorder delay.
+     * @returns {integer} the number of frames.
+     */
+    addFrame(source, delay) {
+        let image = (source instanceof CanvasToolClass) ? source.snapshot() : source;
+        CanvasImageEncoder.checkImage('addFrame', image);
+        if (this.frames.length > 0 && (image.width !== this.frames[0].width || image.height !== this.frames[0].height)) {
+            throw CanvasToolClass.generateClassError('CanvasFrameRecorder', CanvasToolError.INVALID_ARGUMENT, 'addFrame', `frame is ${image.width}x${image.height}, expected ${this.frames[0].width}x${this.frames[0].height}.`);
+        }
+        this.frames.push({
+            width: image.width,
+            height: image.height,
+            data: new Uint8ClampedArray(image.data.subarray(0, 4 * image.width * image.height)),
+            delay: (delay > 0) ? delay : this.delay
+        });
+        if (this.frames.length > this.maxFrames) {
+            this.frames.shift();
+        }
+        return this.frames.length;
+    }
+
+    /**
+     * @returns {integer} the number of frames.
+     */
+    getFrameCount() {
+        return this.frames.length;
+    }
+
+    /**
+     * @method Forget every frame.
+     */
+    clear() {
+        this.frames = [];
+    }
+
+    /**
+     * @method Encode the recording.
+     *
+     * @param {string} [format] - 'gif' (default) or 'apng'.
+     * @returns {Uint8Array} the file.
+     */
+    encode(format) {
+        if (format === 'apng' || format === 'png') return this.toApng();
+        if (!format || format === 'gif') return this.toGif();
+        throw CanvasToolClass.generateClassError('CanvasFrameRecorder', CanvasToolError.INVALID_ARGUMENT, 'encode', `format="${format}" is not 'gif' or 'apng'.`);
+    }
+
+    /**
+     * @method Encode the recording as an animated GIF (GIF89a), frame delays are rounded to 1/100 s.
+     *
+     * @returns {Uint8Array} the GIF file.
+     */
+    toGif() {
+        this.checkFrames('toGif');
+        let width = this.frames[0].width;
+        let height = this.frames[0].height;
+        let palette = CanvasFrameRecorder.createPalette(this.frames);
+        let out = [];
+        let i;
+
+        // 1. header, logical screen with a global color table of 256 colors.
+        for (i = 0; i < 6; i++) out.push('GIF89a'.charCodeAt(i));
+        out.push(width & 0xFF, width >> 8, height & 0xFF, height >> 8, 0xF7, 0, 0);
+        CanvasImageEncoder.pushBytes(out, palette.colors);
+
+        // 2. NETSCAPE2.0 application extension: loop count.
+        out.push(0x21, 0xFF, 0x0B);
+        for (i = 0; i < 11; i++) out.push('NETSCAPE2.0'.charCodeAt(i));
+        out.push(0x03, 0x01, this.loop & 0xFF, this.loop >> 8, 0x00);
+
+        // 3. every frame: graphic control (delay), image descriptor, LZW data in 255 bytes sub blocks.
+        this.frames.forEach((frame) => {
+            let delay = Math.max(1, Math.round(frame.delay / 10));
+            out.push(0x21, 0xF9, 0x04, 0x04, delay & 0xFF, delay >> 8, 0x00, 0x00);
+            out.push(0x2C, 0, 0, 0, 0, width & 0xFF, width >> 8, height & 0xFF, height >> 8, 0x00);
+            let data = CanvasFrameRecorder.lzw(palette.indexOf(frame), 8);
+            out.push(8);
+            for (let k = 0; k < data.length; k += 255) {
+                let n = Math.min(255, data.length - k);
+                out.push(n);
+                for (let m = 0; m < n; m++) out.push(data[k + m]);
+            }
+            out.push(0x00);
+        });
+        out.push(0x3B);
+        return new Uint8Array(out);
+    }
+
+    /**
+     * @method Encode the recording as an animated PNG (APNG), lossless with alpha.
+     *
+     * @returns {Uint8Array} the APNG file, a plain PNG of the first frame for readers without APNG support.
+     */
+    toApng() {
+        this.checkFrames('toApng');
+        let width = this.frames[0].width;
+        let height = this.frames[0].height;
+        let out = [];
+        let sequence = 0;
+        CanvasImageEncoder.pushBytes(out, CanvasImageEncoder.PNG_SIGNATURE);
+        CanvasImageEncoder.pushChunk(out, 'IHDR', CanvasImageEncoder.createHeader(width, height));
+        let control = [];
+        CanvasImageEncoder.pushUint32(control, this.frames.length);
+        CanvasImageEncoder.pushUint32(control, this.loop);
+        CanvasImageEncoder.pushChunk(out, 'acTL', control);
+        this.frames.forEach((frame, index) => {
+            // fcTL: sequence, size, offset 0,0, delay = frame.delay / 1000 s, dispose none, blend source.
+            let fc = [];
+            CanvasImageEncoder.pushUint32(fc, sequence++);
+            CanvasImageEncoder.pushUint32(fc, width);
+            CanvasImageEncoder.pushUint32(fc, height);
+            CanvasImageEncoder.pushUint32(fc, 0);
+            CanvasImageEncoder.pushUint32(fc, 0);
+            let delay = Math.min(65535, Math.round(frame.delay));
+            fc.push(delay >> 8, delay & 0xFF, 0x03, 0xE8, 0, 0);
+            CanvasImageEncoder.pushChunk(out, 'fcTL', fc);
+            let compressed = CanvasImageEncoder.zlib(CanvasImageEncoder.filterRows(frame));
+            if (index === 0) {
+                CanvasImageEncoder.pushChunk(out, 'IDAT', compressed);
+            } else {
+                let fd = [];
+                CanvasImageEncoder.pushUint32(fd, sequence++);
+                CanvasImageEncoder.pushBytes(fd, compressed);
+                CanvasImageEncoder.pushChunk(out, 'fdAT', fd);
+            }
+        });
+        CanvasImageEncoder.pushChunk(out, 'IEND', []);
+        return new Uint8Array(out);
+    }
+
+    /**
+     * @private
+     */
+    checkFrames(method) {
+        if (this.frames.length === 0) {
+            throw CanvasToolClass.generateClassError('CanvasFrameRecorder', CanvasToolError.INVALID_ARGUMENT, method, 'no frame was added.');
+        }
+    }
+
+    /**
+     * @private Build the 256 colors palette of all frames.
+     * @returns {Object} {colors: 768 RGB bytes, indexOf(frame): Uint8Array of palette indices}
+     */
+    static createPalette(frames) {
+        let exact = new Map();
+        let f, i, key, data;
+        scan:
+        for (f = 0; f < frames.length; f++) {
+            data = frames[f].data;
+            for (i = 0; i < data.length; i += 4) {
+                key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+                if (!exact.has(key)) {
+                    if (exact.size === 256) {
+                        exact = null;
+                        break scan;
+                    }
+                    exact.set(key, exact.size);
+                }
+            }
+        }
+        let colors = new Array(768).fill(0);
+        let lookup;
+        if (exact !== null) {
+            exact.forEach((index, color) => {
+                colors[3 * index + 0] = (color >> 16) & 0xFF;
+                colors[3 * index + 1] = (color >> 8) & 0xFF;
+                colors[3 * index + 2] = color & 0xFF;
+            });
+            lookup = (r, g, b) => exact.get((r << 16) | (g << 8) | b);
+        } else {
+            for (i = 0; i < 256; i++) {
+                colors[3 * i + 0] = Math.round(((i >> 5) & 7) * 255 / 7);
+                colors[3 * i + 1] = Math.round(((i >> 2) & 7) * 255 / 7);
+                colors[3 * i + 2] = Math.round((i & 3) * 255 / 3);
+            }
+            lookup = (r, g, b) => (Math.round(r * 7 / 255) << 5) | (Math.round(g * 7 / 255) << 2) | Math.round(b * 3 / 255);
+        }
+        return {
+            colors: colors,
+            indexOf: (frame) => {
+                let size = frame.width * frame.height;
+                let indices = new Uint8Array(size);
+                for (let p = 0; p < size; p++) {
+                    indices[p] = lookup(frame.data[4 * p], frame.data[4 * p + 1], frame.data[4 * p + 2]);
+                }
+                return indices;
+            }
+        };
+    }
+
+    /**
+     * @private GIF flavour of LZW: variable code size up to 12 bits, clear code when the table is full.
+     * @returns {Array} the packed codes, least significant bit first.
+     */
+    static lzw(indices, minCodeSize) {
+        let writer = {out: [], bits: 0, count: 0};
+        let clear = 1 << minCodeSize;
+        let end = clear + 1;
+        let table = new Map();
+        let next = end + 1;
+        let size = minCodeSize + 1;
+        let write = (code) => CanvasImageEncoder.writeBits(writer, code, size);
+        write(clear);
+        let prefix = indices[0];
+        let k, key;
+        for (let i = 1; i < indices.length; i++) {
+            k = indices[i];
+            key = (prefix << 8) | k;
+            if (table.has(key)) {
+                prefix = table.get(key);
+                continue;
+            }
+            write(prefix);
+            if (next < 4096) {
+                table.set(key, next++);
+                if (next > (1 << size) && size < 12) size++;
+            } else {
+                write(clear);
+                table.clear();
+                next = end + 1;
+                size = minCodeSize + 1;
+            }
+            prefix = k;
+        }
+        write(prefix);
+        write(end);
+        if (writer.count > 0) {
+            writer.out.push(writer.bits & 0xFF);
+        }
+        return writer.out;
+    }
+
+}
+
+/**
+ * @class CanvasAnimator - Drive the animation of several CanvasToolClass boxes at a target frame rate.
+ *
+ * Each box is registered with its source and how the source advances per frame. The animator ticks on a clock,
+ * requestAnimationFrame in the browser, setTimeout otherwise, or an injected clock for tests
+ * (@see CanvasAnimator.createManualClock). Ticks that come too late to keep the target rate count as dropped frames.
+ */
+class CanvasAnimator {
+    /**
+     * @constructor
+     *
+     * @param {Object} [options] - {fps, clock, document, onError}
+     * <br/>fps: target frames per second, default 30.
+     * <br/>clock: {now(), request(fn, delay), cancel(handle)}, default @see CanvasAnimator.createClock
+     * <br/>document: passed to drawBegin(), default the global document if any.
+     * <br/>onError: called with (error, box) when drawing a box fails, the animation goes on.
+     */
+    constructor(options) {
+        let opts = options || {};
+        /** @private */
+        this.interval = 1000 / ((opts.fps > 0) ? opts.fps : 30);
+        /** @private */
+        this.clock = opts.clock || CanvasAnimator.createClock();
+        /** @private */
+        this.document = (typeof opts.document !== 'undefined') ? opts.document : ((typeof document !== 'undefined') ? document : null);
+        /** @private */
+        this.onError = (typeof opts.onError === 'function') ? opts.onError : null;
+        /** @private */
+        this.entries = [];
+        /** @private */
+        this.handle = null;
+        /** @private */
+        this.running = false;
+        /** @private time the next frame is due */
+        this.nextTime = 0;
+        /** @private */
+        this.stats = {frames: 0, dropped: 0, errors: 0, fps: 0, lastFrameTime: 0};
+    }
+
+    /**
+     * @returns {boolean} true if add() can draw from source: BoxDataStructure, Array, typed array, CanvasStreamBuffer or function.
+     */
+    static isSource(source) {
+        if (source === null || (typeof source !== 'object' && typeof source !== 'function')) return false;
+        return typeof source === 'function' || typeof source.length === 'number' ||
+            source._name === 'BoxDataStructure' || source instanceof CanvasStreamBuffer;
+    }
+
+    /**
+     * @method Register a box, or replace the registration of that box.
+     *
+     * @param {CanvasToolClass} box - the box to animate.
+     * @param {Object|Function} source - what to draw each frame:
+     * <br/>BoxDataStructure, Array or typed array: a window of box width samples, moving by step each frame.
+     * <br/>CanvasStreamBuffer: its latest box width samples.
+     * <br/>function(info): returns the samples to draw, or null to skip the frame. info is {frame, time, box}.
+     * @param {Object} [options] - {step, startOffset, mode, color, background, draw}
+     * <br/>step: samples to move each frame, default 1. Or a function(offset, info) returning the next offset.
+     * <br/>startOffset: samples between the offset and the first drawn sample, default 1.
+     * <br/>mode: 'line' or a CanvasRendererRegistry name ('dots', 'bars', ...), default the renderer of the box.
+     * <br/>color: trace color, default the theme.
+     * <br/>background: @see drawClearBackground, default the theme background.
+     * <br/>draw: function(session, bits, n_bits, info) replacing clear + draw.
+     * @returns {Object} the registration {box, source, offset, ...}.
+     */
+    add(box, source, options) {
+        if (!(box instanceof CanvasToolClass)) {
+            throw CanvasToolClass.generateClassError('CanvasAnimator', CanvasToolError.INVALID_ARGUMENT, 'add', 'box is not a CanvasToolClass.');
+        }
+        let opts = options || {};
+        let src = source;
+        if (src !== null && typeof src === 'object' && typeof src.length === 'number') {
+            src = CanvasToolClass.createBoxDataStructure(src, src.length, box.getWidth());
+        }
+        if (!CanvasAnimator.isSource(src)) {
+            throw CanvasToolClass.generateClassError('CanvasAnimator', CanvasToolError.INVALID_ARGUMENT, 'add', 'source is not a BoxDataStructure, Array, CanvasStreamBuffer or function.');
+        }
+        let mode = opts.mode || null;
+        if (mode !== null && mode !== 'line' && !CanvasRendererRegistry.has(mode)) {
+            throw CanvasToolClass.generateClassError('CanvasAnimator', CanvasToolError.INVALID_ARGUMENT, 'add', `mode="${mode}" is not 'line' or one of ${CanvasRendererRegistry.names().join(', ')}.`);
+        }
+        let entry = {
+            box: box,
+            source: src,
+            offset: 0,
+            step: (typeof opts.step === 'function' || opts.step > 0) ? opts.step : 1,
+            startOffset: (opts.startOffset >= 1) ? opts.startOffset : 1,
+            mode: mode,
+            color: (typeof opts.color !== 'undefined') ? opts.color : null,
+            background: opts.background,
+            draw: (typeof opts.draw === 'function') ? opts.draw : null,
+            errors: 0
+        };
+        this.remove(box);
+        this.entries.push(entry);
+        return entry;
+    }
+
+    /**
+     * @returns {boolean} true if the box was registered.
+     */
+    remove(box) {
+        for (let i = 0; i < this.entries.length; i++) {
+            if (this.entries[i].box === box) {
+                this.entries.splice(i, 1);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @method Change the target frame rate.
+     *
+     * @param {number} fps - frames per second.
+     */
+    setFps(fps) {
+        if (!(fps > 0)) {
+            throw CanvasToolClass.generateClassError('CanvasAnimator', CanvasToolError.INVALID_ARGUMENT, 'setFps', `fps="${fps}" must be above 0.`);
+        }
+        this.interval = 1000 / fps;
+    }
+
+    /**
+     * @method Start (or resume) the animation.
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.nextTime = this.clock.now();
+        this.schedule(0);
+    }
+
+    /**
+     * @method Stop the animation after the current frame; start() or resume() continues from the same offsets.
+     */
+    pause() {
+        this.running = false;
+        if (this.handle !== null) {
+            this.clock.cancel(this.handle);
+            this.handle = null;
+        }
+    }
+
+    /**
+     * @method Same as start().
+     */
+    resume() {
+        this.start();
+    }
+
+    /**
+     * @returns {boolean} true while the animation runs.
+     */
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * @method Draw exactly one frame now, running or paused.
+     *
+     * @returns {integer} how many boxes were drawn.
+     */
+    step() {
+        return this.renderFrame(this.clock.now());
+    }
+
+    /**
+     * @returns {Object} {frames, dropped, errors, fps, lastFrameTime}: fps is measured over the recent frames.
+     */
+    getStats() {
+        return Object.assign({}, this.stats);
+    }
+
+    /**
+     * @private Ask the clock for the next tick.
+     */
+    schedule(delay) {
+        this.handle = this.clock.request((time) => this.tick(time), delay);
+    }
+
+    /**
+     * @private One clock tick: draw a frame when it is due, count the frames that were missed.
+     */
+    tick(time) {
+        this.handle = null;
+        if (!this.running) return;
+        let now = (typeof time === 'number') ? time : this.clock.now();
+        if (now >= this.nextTime) {
+            let late = Math.floor((now - this.nextTime) / this.interval);
+            if (late > 0) {
+                this.stats.dropped += late;
+                this.nextTime = now;
+            }
+            this.nextTime += this.interval;
+            this.renderFrame(now);
+        }
+        if (this.running) {
+            this.schedule(Math.max(0, this.nextTime - this.clock.now()));
+        }
+    }
+
+    /**
+     * @private Draw every registered box once, and move its source.
+     */
+    renderFrame(now) {
+        let info = {frame: this.stats.frames, time: now, box: null};
+        let drawn = 0;
+        this.entries.forEach((entry) => {
+            info.box = entry.box;
+            try {
+                if (this.renderEntry(entry, info)) drawn++;
+            } catch (e) {
+                entry.errors++;
+                this.stats.errors++;
+                if (this.onError !== null) this.onError(e, entry.box);
+            }
+        });
+        if (this.stats.lastFrameTime > 0 && now > this.stats.lastFrameTime) {
+            let fps = 1000 / (now - this.stats.lastFrameTime);
+            this.stats.fps = (this.stats.fps > 0) ? 0.9 * this.stats.fps + 0.1 * fps : fps;
+        }
+        this.stats.lastFrameTime = now;
+        this.stats.frames++;
+        return drawn;
+    }
+
+    /**
+     * @private
+     * @returns {boolean} true if the box was drawn.
+     */
+    renderEntry(entry, info) {
+        let bits = null, n_bits = 0;
+        let src = entry.source;
+        if (typeof src === 'function') {
+            bits = src(info);
+            n_bits = (bits !== null && typeof bits === 'object') ? bits.length : 0;
+        } else if (src instanceof CanvasStreamBuffer) {
+            bits = src.latest(entry.box.getWidth());
+            n_bits = bits.length;
+        } else {
+            if (entry.offset >= src.size - 1) entry.offset = 0;
+            let alias = CanvasToolClass.extractDataForBoxDataStructure(src, entry.offset, src.size - 1, entry.startOffset);
+            if (!alias[0]) {
+                entry.offset = 0;
+                return false;
+            }
+            bits = alias[2];
+            n_bits = alias[3];
+            // pixels map to the samples of this window, E.g. for a CanvasInteraction.
+            if (entry.box.getViewport() === null) {
+                entry.box.setVisibleRange(alias[1].offset, 1);
+            }
+            entry.offset = (typeof entry.step === 'function') ? entry.step(entry.offset, info) : (entry.offset + entry.step) % src.size;
+        }
+        if (n_bits < 1) {
+            return false;
+        }
+        entry.box.withFrame(this.document, (session) => {
+            if (entry.draw !== null) {
+                entry.draw(session, bits, n_bits, info);
+                return;
+            }
+            session.drawClearBackground(entry.background);
+            let color = entry.color;
+            if (entry.mode === 'line') {
+                session.drawLineOnCanvas(n_bits, bits, 1, false, color === null ? undefined : color);
+            } else {
+                session.drawOnCanvas(n_bits, bits, entry.mode !== null ? entry.mode : false, color === null ? undefined : color);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * @method The default clock: requestAnimationFrame when there is one, otherwise setTimeout.
+     *
+     * @returns {Object} {now(), request(fn, delay), cancel(handle)}
+     */
+    static createClock() {
+        let now = (typeof performance !== 'undefined' && typeof performance.now === 'function') ? () => performance.now() : () => Date.now();
+        if (typeof requestAnimationFrame === 'function') {
+            return {
+                now: now,
+                request: (fn) => requestAnimationFrame(fn),
+                cancel: (handle) => cancelAnimationFrame(handle)
+            };
+        }
+        return {
+            now: now,
+            request: (fn, delay) => setTimeout(() => fn(now()), delay),
+            cancel: (handle) => clearTimeout(handle)
+        };
+    }
+
+    /**
+     * @method A clock that only moves when told, for Node and tests.
+     *
+     * @returns {Object} {now(), request(fn), cancel(handle), advance(ms)}: advance() moves the time and runs the
+     * callbacks requested before it.
+     */
+    static createManualClock() {
+        let time = 0;
+        let nextHandle = 1;
+        let callbacks = new Map();
+        return {
+            now: () => time,
+            request: (fn) => {
+                callbacks.set(nextHandle, fn);
+                return nextHandle++;
+            },
+            cancel: (handle) => callbacks.delete(handle),
+            advance: (ms) => {
+                time += (ms > 0) ? ms : 0;
+                let due = Array.from(callbacks.values());
+                callbacks.clear();
+                due.forEach((fn) => fn(time));
+            }
+        };
+    }
+
+}
+
+/**
+ * @class CanvasInteraction - Pointer interaction on the canvas element of a CanvasToolClass box.
+ *
+ * Pointer positions are mapped to the drawing area (border and devicePixelRatio removed) and to a sample through the
+ * visible range of the box (@see setViewport, setVisibleRange). Listeners get 'hover', 'click', 'select' (a drag) and
+ * 'leave' events. While attached, drawEnd() draws the selection, a crosshair and a value tooltip over every frame.
+ */
+class CanvasInteraction {
+    /**
+     * @constructor
+     *
+     * @param {CanvasToolClass} box - the box drawn into the canvas.
+     * @param {Object} [options] - {source, crosshair, tooltip, color, minDrag, format}
+     * <br/>source: the drawn samples (Array, typed array or BoxDataStructure), to read the value under the pointer.
+     * <br/>crosshair, tooltip: draw them on hover, default true.
+     * <br/>color: overlay color, default the theme marker color.
+     * <br/>minDrag: pixels to move before a press becomes a selection, default 3.
+     * <br/>format: function(info) returning the tooltip text, default 'sample: value'.
+     */
+    constructor(box, options) {
+        if (!(box instanceof CanvasToolClass)) {
+            throw CanvasToolClass.generateClassError('CanvasInteraction', CanvasToolError.INVALID_ARGUMENT, 'constructor', 'box is not a CanvasToolClass.');
+        }
+        let opts = options || {};
+        /** @private */
+        this.box = box;
+        /** @private */
+        this.source = null;
+        /** @private */
+        this.crosshair = opts.crosshair !== false;
+        /** @private */
+        this.tooltip = opts.tooltip !== false;
+        /** @private */
+        this.color = (typeof opts.color === 'undefined' || opts.color === null) ? null : CanvasColor.from(opts.color);
+        /** @private */
+        this.minDrag = (opts.minDrag >= 0) ? opts.minDrag : 3;
+        /** @private */
+        this.format = (typeof opts.format === 'function') ? opts.format : CanvasInteraction.formatInfo;
+        /** @private */
+        this.listeners = {hover: [], click: [], select: [], leave: []};
+        /** @private */
+        this.canvas = null;
+        /** @private */
+        this.handlers = null;
+        /** @private */
+        this.hover = null;
+        /** @private */
+        this.dragStart = null;
+        /** @private */
+        this.selection = null;
+        this.setSource(opts.source);
+    }
+
+    /**
+     * @method Set the drawn samples, so events carry the value under the pointer.
+     *
+     * @param {Object} source - Array, typed array, BoxDataStructure, or null.
+     */
+    setSource(source) {
+        let src = (typeof source === 'undefined') ? null : source;
+        if (src !== null && !(typeof src === 'object' && (typeof src.length === 'number' || src._name === 'BoxDataStructure'))) {
+            throw CanvasToolClass.generateClassError('CanvasInteraction', CanvasToolError.INVALID_ARGUMENT, 'setSource', 'source is not an Array, typed array or BoxDataStructure.');
+        }
+        this.source = src;
+    }
+
+    /**
+     * @method Listen to an event. Each listener gets the info of @see locate, 'select' gets
+     * {start, end, startSample, endSample} with start <= end.
+     *
+     * @param {string} type - 'hover', 'click', 'select' or 'leave'.
+     * @param {Function} listener - function(info, event)
+     */
+    on(type, listener) {
+        this.checkType('on', type);
+        if (typeof listener !== 'function') {
+            throw CanvasToolClass.generateClassError('CanvasInteraction', CanvasToolError.INVALID_ARGUMENT, 'on', 'listener is not a function.');
+        }
+        this.listeners[type].push(listener);
+    }
+
+    /**
+     * @returns {boolean} true if the listener was removed.
+     */
+    off(type, listener) {
+        this.checkType('off', type);
+        let index = this.listeners[type].indexOf(listener);
+        if (index < 0) {
+            return false;
+        }
+        this.listeners[type].splice(index, 1);
+        return true;
+    }
+
+    /**
+     * @method Listen to the pointer events of the canvas element, and draw the overlay on the box.
+     *
+     * @param {Object} canvas - the HTML canvas element of the box.
+     * @returns {Function} detach function.
+     */
+    attach(canvas) {
+        if (canvas === null || typeof canvas !== 'object' || typeof canvas.addEventListener !== 'function') {
+            throw CanvasToolClass.generateClassError('CanvasInteraction', CanvasToolError.INVALID_ARGUMENT, 'attach', 'canvas is not an element.');
+        }
+        this.detach();
+        this.handlers = {
+            pointermove: (e) => this.onMove(e),
+            pointerdown: (e) => this.onDown(e),
+            pointerup: (e) => this.onUp(e),
+            pointerleave: (e) => this.onLeave(e),
+            pointercancel: () => this.cancelDrag()
+        };
+        Object.keys(this.handlers).forEach((type) => canvas.addEventListener(type, this.handlers[type]));
+        this.canvas = canvas;
+        this.box.setInteraction(this);
+        return () => {
+            if (this.canvas === canvas) {
+                this.detach();
+            }
+        };
+    }
+
+    /**
+     * @method Stop listening, the overlay is no longer drawn.
+     */
+    detach() {
+        if (this.canvas !== null) {
+            Object.keys(this.handlers).forEach((type) => this.canvas.removeEventListener(type, this.handlers[type]));
+            this.canvas = null;
+            this.handlers = null;
+        }
+        if (this.box.getInteraction() === this) {
+            this.box.setInteraction(null);
+        }
+        this.hover = null;
+        this.dragStart = null;
+    }
+
+    /**
+     * @method Map a pointer event on the canvas element to the drawing area.
+     *
+     * @param {Object} event - a PointerEvent (clientX, clientY) of the attached canvas.
+     * @returns {Object} {x, y, sample, value, level, inside}
+     * <br/>x, y: pixel of the drawing area, clamped to it. inside: false if the pointer is on the border or outside.
+     * <br/>sample: sample index at x. value: the source value of that sample, null without a source.
+     * <br/>level: the pointer height in the drawOnCanvas() scale, positive below the center line.
+     */
+    locate(event) {
+        let box = this.box;
+        let canvas = this.canvas || {};
+        let rect = (typeof canvas.getBoundingClientRect === 'function') ? canvas.getBoundingClientRect() : {left: 0, top: 0, width: 0, height: 0};
+        // CSS pixels to backing store pixels, @see CanvasToolClass.fitElement
+        let scaleX = (rect.width > 0 && canvas.width > 0) ? canvas.width / rect.width : 1;
+        let scaleY = (rect.height > 0 && canvas.height > 0) ? canvas.height / rect.height : 1;
+        let px = Math.floor((event.clientX - rect.left) * scaleX) - box.getBorder();
+        let py = Math.floor((event.clientY - rect.top) * scaleY) - box.getBorder();
+        let width = box.getWidth();
+        let height = box.getHeight();
+        let x = Math.max(0, Math.min(width - 1, px));
+        let y = Math.max(0, Math.min(height - 1, py));
+        let sample = Math.floor(box.pixelToSample(x));
+        return {
+            x: x,
+            y: y,
+            sample: sample,
+            value: this.valueAt(sample),
+            level: y - Math.floor(height / 2),
+            inside: px === x && py === y
+        };
+    }
+
+    /**
+     * @returns {Object} the info of the last hover inside the drawing area, or null.
+     */
+    getHover() {
+        return this.hover;
+    }
+
+    /**
+     * @returns {Object} the current selection {start, end, startSample, endSample}, or null.
+     */
+    getSelection() {
+        return this.selection;
+    }
+
+    /**
+     * @method Forget the selection, it is no longer drawn.
+     */
+    clearSelection() {
+        this.selection = null;
+    }
+
+    /**
+     * @method What drawEnd() draws over the frame.
+     *
+     * @returns {Object} {hover, selection, crosshair, tooltip, color, text}, color is null for the theme marker color.
+     */
+    getOverlay() {
+        return {
+            hover: this.hover,
+            selection: this.selection,
+            crosshair: this.crosshair,
+            tooltip: this.tooltip,
+            color: this.color,
+            text: (this.hover !== null) ? String(this.format(this.hover)) : ''
+        };
+    }
+
+    /**
+     * @private
+     */
+    onMove(event) {
+        let info = this.locate(event);
+        this.hover = info.inside ? info : null;
+        if (this.dragStart !== null && Math.abs(info.x - this.dragStart.x) >= this.minDrag) {
+            this.selection = CanvasInteraction.createSelection(this.dragStart, info);
+        }
+        this.emit('hover', info, event);
+    }
+
+    /**
+     * @private Only the primary button starts a click or a selection.
+     */
+    onDown(event) {
+        if (typeof event.button === 'number' && event.button !== 0) return;
+        let info = this.locate(event);
+        if (!info.inside) return;
+        this.dragStart = info;
+        this.selection = null;
+        if (typeof this.canvas.setPointerCapture === 'function' && typeof event.pointerId !== 'undefined') {
+            this.canvas.setPointerCapture(event.pointerId);
+        }
+    }
+
+    /**
+     * @private
+     */
+    onUp(event) {
+        if (this.dragStart === null) return;
+        let start = this.dragStart;
+        this.cancelDrag();
+        if (typeof this.canvas.releasePointerCapture === 'function' && typeof event.pointerId !== 'undefined') {
+            this.canvas.releasePointerCapture(event.pointerId);
+        }
+        let info = this.locate(event);
+        if (Math.abs(info.x - start.x) >= this.minDrag) {
+            this.selection = CanvasInteraction.createSelection(start, info);
+            this.emit('select', this.selection, event);
+        } else {
+            this.selection = null;
+            this.emit('click', start, event);
+        }
+    }
+
+    /**
+     * @private
+     */
+    onLeave(event) {
+        this.hover = null;
+        this.emit('leave', null, event);
+    }
+
+    /**
+     * @private
+     */
+    cancelDrag() {
+        this.dragStart = null;
+    }
+
+    /**
+     * @private
+     * @returns {number} the source value of the sample, or null.
+     */
+    valueAt(sample) {
+        let src = this.source;
+        if (src === null || sample < 0) {
+            return null;
+        }
+        let data = (src._name === 'BoxDataStructure') ? src.data : src;
+        let size = (src._name === 'BoxDataStructure') ? src.size : src.length;
+        if (size < 1) {
+            return null;
+        }
+        // a BoxDataStructure window wraps around, @see extractDataForBoxDataStructure
+        let value = data[(src._name === 'BoxDataStructure') ? sample % size : sample];
+        return (typeof value === 'number') ? value : null;
+    }
+
+    /**
+     * @private
+     */
+    emit(type, info, event) {
+        this.listeners[type].slice().forEach((listener) => listener(info, event));
+    }
+
+    /**
+     * @private
+     */
+    checkType(method, type) {
+        if (!Object.prototype.hasOwnProperty.call(this.listeners, type)) {
+            throw CanvasToolClass.generateClassError('CanvasInteraction', CanvasToolError.INVALID_ARGUMENT, method, `type="${type}" is not 'hover', 'click', 'select' or 'leave'.`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    static createSelection(a, b) {
+        let start = (a.x <= b.x) ? a : b;
+        let end = (a.x <= b.x) ? b : a;
+        return {
+            start: start,
+            end: end,
+            startSample: start.sample,
+            endSample: end.sample
+        };
+    }
+
+    /**
+     * @private The default tooltip text.
+     */
+    static formatInfo(info) {
+        if (info.value === null) {
+            return `${info.sample}`;
+        }
+        return `${info.sample}: ${info.value}`;
+    }
+
+}
+
+/**
+ * @class CanvasAmplitudeScaler - Scale raw Int16 or Float32 samples to pixel rows before plotting.
+ *
+ * The draw methods expect values of -N to +N where N is half of the canvas height. A scaler set on the box
+ * (@see CanvasToolClass.setAmplitudeScaling) maps raw samples to that range, so the same recording fits any canvas:
+ * <br/>'linear': full scale to N, times the gain.
+ * <br/>'normalize': the peak of the drawn samples to N x headroom.
+ * <br/>'db': logarithmic, floorDb to the center line, 0 dB (full scale) to N.
+ */
+class CanvasAmplitudeScaler {
+    /**
+     * @constructor
+     *
+     * @param {Object} [options] - {mode, gain, gainDb, floorDb, headroom, input}
+     * <br/>mode: 'linear' (default), 'normalize' or 'db'.
+     * <br/>gain: factor applied after the full scale, default 1. gainDb: the same in dB.
+     * <br/>floorDb: lowest level shown in 'db' mode, default -60.
+     * <br/>headroom: part of N the peak reaches in 'normalize' mode, default 0.95.
+     * <br/>input: 'int16' (full scale 32768), 'float' (full scale 1.0) or 'auto' (default: float for Float32Array and
+     * Float64Array, int16 otherwise).
+     */
+    constructor(options) {
+        let opts = options || {};
+        /** @private */
+        this.mode = 'linear';
+        /** @private */
+        this.gain = 1;
+        /** @private */
+        this.floorDb = -60;
+        /** @private */
+        this.headroom = (opts.headroom > 0 && opts.headroom <= 1) ? opts.headroom : 0.95;
+        /** @private */
+        this.input = 'auto';
+        this.setMode(opts.mode || 'linear');
+        this.setInput(opts.input || 'auto');
+        if (typeof opts.gainDb === 'number') {
+            this.setGainDb(opts.gainDb);
+        } else if (typeof opts.gain !== 'undefined') {
+            this.setGain(opts.gain);
+        }
+        if (typeof opts.floorDb !== 'undefined') {
+            this.setFloorDb(opts.floorDb);
+        }
+    }
+
+    getMode() {
+        return this.mode;
+    }
+
+    /**
+     * @param {string} mode - 'linear', 'normalize' or 'db'.
+     */
+    setMode(mode) {
+        if (CanvasAmplitudeScaler.modes.indexOf(mode) < 0) {
+            throw CanvasToolClass.generateClassError('CanvasAmplitudeScaler', CanvasToolError.INVALID_ARGUMENT, 'setMode', `mode="${mode}" is not one of ${CanvasAmplitudeScaler.modes.join(', ')}.`);
+        }
+        this.mode = mode;
+    }
+
+    /**
+     * @param {string} input - 'int16', 'float' or 'auto'.
+     */
+    setInput(input) {
+        if (['auto', 'int16', 'float'].indexOf(input) < 0) {
+            throw CanvasToolClass.generateClassError('CanvasAmplitudeScaler', CanvasToolError.INVALID_ARGUMENT, 'setInput', `input="${input}" is not 'auto', 'int16' or 'float'.`);
+        }
+        this.input = input;
+    }
+
+    getGain() {
+        return this.gain;
+    }
+
+    /**
+     * @param {number} gain - factor above 0.
+     */
+    setGain(gain) {
+        if (!(gain > 0) || !isFinite(gain)) {
+            throw CanvasToolClass.generateClassError('CanvasAmplitudeScaler', CanvasToolError.INVALID_ARGUMENT, 'setGain', `gain="${gain}" must be above 0.`);
+        }
+        this.gain = gain;
+    }
+
+    /**
+     * @param {number} db - gain in dB, E.g. +6 doubles the amplitude.
+     */
+    setGainDb(db) {
+        if (typeof db !== 'number' || !isFinite(db)) {
+            throw CanvasToolClass.generateClassError('CanvasAmplitudeScaler', CanvasToolError.INVALID_ARGUMENT, 'setGainDb', `gainDb="${db}" is not a number.`);
+        }
+        this.gain = Math.pow(10, db / 20);
+    }
+
+    getFloorDb() {
+        return this.floorDb;
+    }
+
+    /**
+     * @param {number} db - lowest level shown in 'db' mode, below 0.
      */
-    drawOnCanvas(n_bits, bits, isBar, rr, gg, bb) {
-        // 4.0 It can draw at least 1 pixel.
-        if (n_bits < 1 || bits === null) {
-            // No Error for this???
-            return false;
+    setFloorDb(db) {
+        if (!(db < 0) || !isFinite(db)) {
+            throw CanvasToolClass.generateClassError('CanvasAmplitudeScaler', CanvasToolError.INVALID_ARGUMENT, 'setFloorDb', `floorDb="${db}" must be below 0.`);
         }
+        this.floorDb = db;
+    }
 
-        // 4.1. set signature
-        let signature = 'drawOnCanvas';
+    /**
+     * @returns {number} the sample value of full scale for these samples, 1 or 32768.
+     */
+    getFullScale(bits) {
+        if (this.input === 'float') return 1;
+        if (this.input === 'int16') return 32768;
+        return (bits instanceof Float32Array || bits instanceof Float64Array) ? 1 : 32768;
+    }
 
-        // 4.2. make sure previously created Canvas Context is properly created.
-        if (this.dataFrame === null) {
-            throw generateErrorMessage(signature, `Context.ImageData for canvas="${this.canvasId}" does not exist. Call drawBegin(document) to create one.`);
+    /**
+     * @method Scale samples to -half to +half.
+     *
+     * @param {Object} bits - Array of number or typed array of raw samples.
+     * @param {integer} n_bits - how many samples of bits.
+     * @param {integer} half - the pixel rows of full scale, E.g. half of the canvas height.
+     * @param {Object} [reference] - the samples that give the full scale and the 'normalize' peak, default bits.
+     * @returns {Int16Array} the scaled values.
+     */
+    scale(bits, n_bits, half, reference) {
+        let ref = (typeof reference === 'undefined' || reference === null) ? bits : reference;
+        let n = Math.max(0, Math.min(n_bits, bits.length));
+        let out = new Int16Array(n);
+        let fullScale = this.getFullScale(ref);
+        let factor = this.gain / fullScale;
+        if (this.mode === 'normalize') {
+            let peak = CanvasAmplitudeScaler.findPeak(ref, (ref === bits) ? n : ref.length);
+            factor = (peak > 0) ? this.headroom * this.gain / peak : factor;
+        }
+        let i, a, db;
+        for (i = 0; i < n; i++) {
+            a = bits[i] * factor;
+            if (this.mode === 'db') {
+                db = (a !== 0) ? 20 * Math.log10(Math.abs(a)) : -Infinity;
+                a = (db <= this.floorDb) ? 0 : Math.sign(a) * Math.min(1, (db - this.floorDb) / -this.floorDb);
+            }
+            a = Math.round(a * half);
+            out[i] = (a > half) ? half : ((a < -half) ? -half : a);
         }
+        return out;
+    }
 
-        // 4.3. In multi-threaded environment, avoid data corruption; So ensure only a single instance of drawOnCanvas is running.
-        if (this.setBusy(true) === true) {
-            throw generateErrorMessage(signature, `canvas="${this.canvasId}" is still in progress.`);
+    /**
+     * @method The envelope of the samples, scaled like scale(). @see computeEnvelope
+     *
+     * @returns {Int16Array} the scaled envelope, 0 to half.
+     */
+    envelope(bits, n_bits, half, options) {
+        return this.scale(CanvasAmplitudeScaler.computeEnvelope(bits, n_bits, options), n_bits, half, bits);
+    }
+
+    toJSON() {
+        return {
+            mode: this.mode,
+            gain: this.gain,
+            floorDb: this.floorDb,
+            headroom: this.headroom,
+            input: this.input
+        };
+    }
+
+    /**
+     * @returns {number} the largest absolute value of the first n_bits samples.
+     */
+    static findPeak(bits, n_bits) {
+        let peak = 0, value;
+        let n = Math.min(n_bits, bits.length);
+        for (let i = 0; i < n; i++) {
+            value = Math.abs(bits[i]);
+            if (value > peak) peak = value;
         }
+        return peak;
+    }
 
-        // 4.4. Get Canvas Context.ImageData data
-        let arr = this.dataFrame.data;
-        let w_h_size = this.sizeFrame - 4;
-
-        // 4.5 Draw the data bits (It could be the "sine wave" or .wav or .mp3 bits)
-        let x, xx, y, yy, x_offset, y_offset;
-
-        // 4.6 setup contraint for Y values, clip it if out of range.
-        let center_y = this.height / 2;
-        let clip_neg_y = 1 - this.height; // -255
-        let clip_pos_y = this.height - 1; // +255
-        let n_bars = this.width / 4;
-
-        let width_4 = 4 * this.width; // adjust X as each pixel is 4 byte long
-        let dx;
-        if (isBar) {
-            center_y = this.height;
-            w_h_size -= 4; // less 8
-            for (x = 0, xx = 0;
-                (x < n_bits) && (x < n_bars) && (xx < this.width); x++, xx += 8) {
-                // 4.7 Clip it -255 to +255
-                y = bits[x];
-                if (y < clip_neg_y) {
-                    y = clip_neg_y;
-                } else if (y > clip_pos_y) {
-                    y = clip_pos_y;
-                }
-                dx = 4 * xx;
-                for (yy = 0; yy < y; yy++) {
-
-                    // 4.8 Move it to center at Y-axis position E.g. drawn to Y=321 to 831
-                    y_offset = (center_y - yy) * width_4;
-
-                    x_offset = y_offset + dx;
-                    // 4.9 Clip in Context.ImageData range. Always draw 2 pixel in a row.
-                    if (x_offset >= 0 && x_offset <= w_h_size) {
-                        arr[x_offset + 0] = rr; // R value
-                        arr[x_offset + 1] = gg; // G value
-                        arr[x_offset + 2] = bb; // B value
-                        arr[x_offset + 3] = 255; // A value  
-                        arr[x_offset + 4] = rr; // R value
-                        arr[x_offset + 5] = gg; // G value
-                        arr[x_offset + 6] = bb; // B value
-                        arr[x_offset + 7] = 255; // A value  
-                    }
-                }
+    /**
+     * @method The envelope of the samples, in the sample unit.
+     *
+     * @param {Object} bits - Array of number or typed array of samples.
+     * @param {integer} n_bits - how many samples of bits.
+     * @param {Object} [options] - {type, window, attack, release}
+     * <br/>type: 'rms' (default), the RMS of the last window samples, or 'peak', a peak follower.
+     * <br/>window: samples of the RMS, default 16.
+     * <br/>attack, release: 0 to 1, how fast the peak follower rises and falls, default 0.5 and 0.05.
+     * @returns {Float32Array} one positive value per sample.
+     */
+    static computeEnvelope(bits, n_bits, options) {
+        let opts = options || {};
+        let n = Math.max(0, Math.min(n_bits, bits.length));
+        let out = new Float32Array(n);
+        let i, value;
+        if (opts.type === 'peak') {
+            let attack = (opts.attack > 0 && opts.attack <= 1) ? opts.attack : 0.5;
+            let release = (opts.release > 0 && opts.release <= 1) ? opts.release : 0.05;
+            let level = 0;
+            for (i = 0; i < n; i++) {
+                value = Math.abs(bits[i]);
+                level += ((value > level) ? attack : release) * (value - level);
+                out[i] = level;
             }
-        } else {
-            for (x = 0;
-                (x < n_bits) && (x < this.width); x++) {
-                // 4.10 Clip it -255 to +255
-                y = bits[x];
-                if (y < clip_neg_y) {
-                    y = clip_neg_y;
-                } else if (y > clip_pos_y) {
-                    y = clip_pos_y;
-                }
-                dx = 4 * x;
-                // 4.11 Move it to center at Y-axis position E.g. drawn to Y=321 to 831
-                y += center_y;
-                if (y < 0) y = 0;
-                y_offset = y * width_4;
-                x_offset = y_offset + dx;
-                // 4.12 Clip in Context.ImageData range.
-                if (x_offset >= 0 && x_offset <= w_h_size) {
-                    arr[x_offset + 0] = rr; // R value
-                    arr[x_offset + 1] = gg; // G value
-                    arr[x_offset + 2] = bb; // B value
-                    arr[x_offset + 3] = 255; // A value  
-                }
-            }
-        }
-        // 4.13 done drawing on Canvas (steps 7-9, 10-12)
-        this.isBusy = false;
-        return true;
+            return out;
+        }
+        if (typeof opts.type !== 'undefined' && opts.type !== 'rms') {
+            throw CanvasToolClass.generateClassError('CanvasAmplitudeScaler', CanvasToolError.INVALID_ARGUMENT, 'computeEnvelope', `type="${opts.type}" is not 'rms' or 'peak'.`);
+        }
+        let window = (opts.window >= 1) ? Math.floor(opts.window) : 16;
+        let sum = 0;
+        for (i = 0; i < n; i++) {
+            sum += bits[i] * bits[i];
+            if (i >= window) {
+                sum -= bits[i - window] * bits[i - window];
+            }
+            out[i] = Math.sqrt(Math.max(0, sum) / Math.min(i + 1, window));
+        }
+        return out;
     }
 
+}
+
+CanvasAmplitudeScaler.modes = ['linear', 'normalize', 'db'];
+
+/**
+ * @class CanvasRendererRegistry - Named renderers for drawOnCanvas(): 'dots', 'bars' and any registered one.
+ *
+ * A renderer draws one window of samples into the pixels of the open frame:
+ * <code>
+ * CanvasRendererRegistry.register('stems', {
+ *     range: 'center',
+ *     render: (frame) => {
+ *         for (let x = 0; x < frame.n_bits && x < frame.width; x += 4) {
+ *             frame.column(x, frame.height / 2, frame.height / 2 + frame.bits[x]);
+ *         }
+ *     }
+ * });
+ * canvasBox.setRenderer('stems');                        // for every drawOnCanvas(n_bits, bits, false) of the canvas
+ * session.drawOnCanvas(n_bits, bits, 'stems', '#ff8000'); // or for one call
+ * </code>
+ */
+class CanvasRendererRegistry {
     /**
-     * @method Step 5. Draw the marker on the given X position using the provide colors.
-     *
-     * @param {integer} x_coor - The marker coordinate 0 to width - 1.
-     * @param {integer} rr -   RED part of pixel color to be drawn.
-     * @param {integer} gg - GREEN part of pixel color to be drawn.
-     * @param {integer} bb -  BLUE part of pixel color to be drawn.
+     * @method Add or replace a named renderer.
      *
-     * @returns {boolean} false if n_bits < 1 or bits is null, otherwise an Error or true.
+     * @param {string} name - renderer name, E.g. 'stems'.
+     * @param {Object|Function} renderer - {render(frame), range} or just the render function.
+     * <br/>render(frame): frame is {data, width, height, left, top, stride, border, bits, n_bits, color, options, box, plot, column}
+     * <br/>width, height: the area to draw, the whole canvas for drawOnCanvas(), one lane for drawLaneOnCanvas().
+     * <br/>data: RGBA pixels (Context.ImageData.data) of the whole canvas, stride pixels per row, the border is not part
+     * of it. The area starts at pixel left, top. Reading data marks the area as changed, so drawEnd() puts all of it;
+     * plot() and column() only mark the pixels they paint.
+     * <br/>bits, n_bits: the samples, already scaled when the canvas has setAmplitudeScaling().
+     * <br/>color: the resolved trace color. options: of the draw call or of setRenderer().
+     * <br/>plot(x, y, [color]) and column(x, y0, y1, [color]): paint pixels at x, y of the area, clipped to the area.
+     * <br/>range: 'center' (default) when bits are -N to +N around the center line with N half of the height,
+     * 'bottom' when bits are 0 to height - 1 up from the bottom line. The amplitude scaling follows it.
      */
-    drawCanvasMarker(x_coor, rr, gg, bb) {
-        // 5.0. set signature
-        let signature = 'drawCanvasMarker';
+    static register(name, renderer) {
+        if (typeof name !== 'string' || name.length === 0) {
+            throw CanvasToolClass.generateClassError('CanvasRendererRegistry', CanvasToolError.INVALID_ARGUMENT, 'register', `name="${name}" must be a non empty string.`);
+        }
+        let resolved = CanvasRendererRegistry.resolve(renderer);
+        if (resolved === null) {
+            throw CanvasToolClass.generateClassError('CanvasRendererRegistry', CanvasToolError.INVALID_ARGUMENT, 'register', `renderer "${name}" is not a function or a {render(frame), range} object with range 'center' or 'bottom'.`);
+        }
+        CanvasRendererRegistry.renderers[name] = resolved;
+    }
 
-        if (x_coor < 0) {
-            return false;
+    /**
+     * @returns {boolean} true if the renderer was registered.
+     */
+    static unregister(name) {
+        if (!CanvasRendererRegistry.has(name)) return false;
+        delete CanvasRendererRegistry.renderers[name];
+        return true;
+    }
+
+    /**
+     * @returns {boolean} true if a renderer is registered under name.
+     */
+    static has(name) {
+        return typeof name === 'string' && Object.prototype.hasOwnProperty.call(CanvasRendererRegistry.renderers, name);
+    }
+
+    /**
+     * @returns {Array} the names of the registered renderers.
+     */
+    static names() {
+        return Object.keys(CanvasRendererRegistry.renderers);
+    }
+
+    /**
+     * @method Get the renderer of a name, or check a renderer given as is.
+     *
+     * @param {string|Object|Function} renderer - registered name, {render(frame), range} or render function.
+     * @returns {Object} {render, range}, or null if there is no such renderer.
+     */
+    static resolve(renderer) {
+        if (typeof renderer === 'string') {
+            return CanvasRendererRegistry.has(renderer) ? CanvasRendererRegistry.renderers[renderer] : null;
+        }
+        if (typeof renderer === 'function') {
+            return {render: renderer, range: 'center'};
         }
+        if (renderer !== null && typeof renderer === 'object' && typeof renderer.render === 'function') {
+            let range = renderer.range || 'center';
+            if (range !== 'center' && range !== 'bottom') return null;
+            return {render: renderer.render, range: range};
+        }
+        return null;
+    }
 
-        // 5.1. make sure previously created Canvas Context is properly created.
-        if (this.dataContext === null) {
-            throw generateErrorMessage(signature, `Context.ImageData for canvas="${this.canvasId}" does not exist. Call drawBegin(document) to create one.`);
+    /**
+     * @returns {number} y clipped to -(height - 1) to +(height - 1).
+     */
+    static clip(y, height) {
+        if (y < 1 - height) return 1 - height;
+        if (y > height - 1) return height - 1;
+        return y;
+    }
+
+}
+
+/** @private The registered renderers by name, @see CanvasRendererRegistry.register */
+CanvasRendererRegistry.renderers = {};
+
+// One dot per sample and pixel column, centered on the middle line.
+CanvasRendererRegistry.register('dots', {
+    range: 'center',
+    render: (frame) => {
+        let center_y = frame.height / 2;
+        for (let x = 0; (x < frame.n_bits) && (x < frame.width); x++) {
+            // Clip it -255 to +255, then move it to center at Y-axis position.
+            let y = CanvasRendererRegistry.clip(frame.bits[x], frame.height) + center_y;
+            frame.plot(x, (y < 0) ? 0 : y);
         }
+    }
+});
 
-        // 5.2. In multi-threaded environment, avoid data corruption; So ensure only a single instance of drawEnd is running.
-        if (this.setBusy(true) === true) {
-            throw generateErrorMessage(signature, `canvas="${this.canvasId}" is still in progress.`);
+// A 2 pixel wide bar every 8 pixels, up from the bottom line.
+CanvasRendererRegistry.register('bars', {
+    range: 'bottom',
+    render: (frame) => {
+        let n_bars = frame.width / 4;
+        for (let x = 0, xx = 0; (x < frame.n_bits) && (x < n_bars) && (xx < frame.width); x++, xx += 8) {
+            let y = CanvasRendererRegistry.clip(frame.bits[x], frame.height);
+            for (let yy = 1; yy < y; yy++) {
+                frame.plot(xx, frame.height - yy);
+                frame.plot(xx + 1, frame.height - yy);
+            }
         }
+    }
+});
+
+/**
+ * @class CanvasScene - Build and run a dashboard of canvases from a JSON scene description.
+ *
+ * The scene lists the data sources and the canvases drawing them; it is checked against CanvasScene.schema before
+ * anything is created, so a configuration file with a typo fails with every problem listed by path:
+ * <code>
+ * {
+ *     "fps": 10,
+ *     "theme": "scope",
+ *     "sources": {
+ *         "sine": {"type": "sine", "length": 4800, "period": 120},
+ *         "live": {"type": "stream", "capacity": 2048}
+ *     },
+ *     "canvases": [
+ *         {"id": "wave", "width": 1024, "height": 128, "border": 4, "source": "sine", "mode": "line", "step": 2,
+ *             "annotations": {"markers": [{"name": "cue", "sample": 600, "label": "cue"}]}},
+ *         {"id": "input", "width": 256, "height": 128, "source": "live", "mode": "bars", "fps": 30, "grid": true}
+ *     ]
+ * }
+ * </code>
+ * Sources:
+ * <br/>'sine': length samples of a sine of period samples, amplitude (0 to 1, default 1) and phase (degrees).
+ * <br/>'samples': the data array as is, int16 (default) or float input.
+ * <br/>'stream': a CanvasStreamBuffer of capacity samples, push to it with getSource(name).push().
+ * <br/>Any other name comes from options.sources: Array, typed array, BoxDataStructure, CanvasStreamBuffer or function.
+ */
+class CanvasScene {
+    /**
+     * @constructor
+     *
+     * @param {Object|string} scene - the scene description, or its JSON text.
+     * @param {Object} [options] - {document, headless, sources, clock, onError}
+     * <br/>document: where the canvases are found, default the global document if any.
+     * <br/>headless: draw on surfaces instead of canvas elements, default true when there is no document.
+     * <br/>sources: {name: source} given by the application, @see CanvasAnimator.add
+     * <br/>clock: passed to every CanvasAnimator. onError: called with (error, box) when drawing a box fails.
+     * @throws {CanvasToolDataError} INVALID_SCENE with error.errors = [{path, message}] if the scene is not valid.
+     */
+    constructor(scene, options) {
+        let opts = options || {};
+        /** @private */
+        this.document = (typeof opts.document !== 'undefined') ? opts.document : ((typeof document !== 'undefined') ? document : null);
+        /** @private */
+        this.headless = (typeof opts.headless === 'boolean') ? opts.headless : this.document === null;
+        /** @private */
+        this.external = opts.sources || {};
+        /** @private */
+        this.clock = opts.clock;
+        /** @private */
+        this.onError = opts.onError;
+        /** @private */
+        this.scene = CanvasScene.check('constructor', scene, this.external);
+        /** @private {name: source} */
+        this.sources = {};
+        /** @private {id: {box, entry}} */
+        this.canvases = {};
+        /** @private [{fps, animator}], one CanvasAnimator per frame rate */
+        this.animators = [];
+        /** @private */
+        this.running = false;
+        this.build();
+    }
+
+    /**
+     * @method Check a scene description against CanvasScene.schema and the references between its parts.
+     *
+     * @param {Object} scene - the scene description.
+     * @param {Object} [options] - {sources}: the sources given by the application, {name: source}.
+     * @returns {Array} [{path, message}], empty if the scene is valid. E.g. {path: 'canvases[1].width', message: 'must be an integer.'}
+     */
+    static validate(scene, options) {
+        let external = (options && options.sources) || {};
+        let errors = [];
+        CanvasScene.checkValue(scene, CanvasScene.schema, 'scene', errors);
+        if (CanvasScene.typeOf(scene) !== 'object' || !Array.isArray(scene.canvases)) return errors;
 
-        // 5.3 Draw at this X position
-        let x = x_coor % this.width;
+        // references between the parts, skipping what the schema already reported.
+        let isObject = (value) => CanvasScene.typeOf(value) === 'object';
+        let sources = isObject(scene.sources) ? scene.sources : {};
+        let has = (name) => Object.prototype.hasOwnProperty.call(sources, name) ||
+            Object.prototype.hasOwnProperty.call(external, name);
+        // a source of the application is checked where a canvas uses it, the scene sources are created by build().
+        let checkSource = (name, path) => {
+            if (!has(name)) {
+                errors.push({path: path, message: `source "${name}" is not defined.`});
+            } else if (!Object.prototype.hasOwnProperty.call(sources, name) && !CanvasAnimator.isSource(external[name])) {
+                errors.push({path: path, message: `source "${name}" of options.sources is not a BoxDataStructure, Array, typed array, CanvasStreamBuffer or function.`});
+            }
+        };
+        Object.keys(sources).forEach((name) => {
+            let source = sources[name];
+            if (!isObject(source)) return;
+            (CanvasScene.sourceFields[source.type] || []).forEach((field) => {
+                if (typeof source[field] === 'undefined') {
+                    errors.push({path: `sources.${name}.${field}`, message: `is required for a '${source.type}' source.`});
+                }
+            });
+        });
+        let ids = {};
+        scene.canvases.forEach((canvas, index) => {
+            let path = `canvases[${index}]`;
+            if (!isObject(canvas)) return;
+            if (typeof canvas.id === 'string' && ids[canvas.id]) {
+                errors.push({path: `${path}.id`, message: `"${canvas.id}" is already used by another canvas.`});
+            }
+            ids[canvas.id] = true;
+            if (canvas.border > 0 && 2 * canvas.border >= Math.min(canvas.width, canvas.height)) {
+                errors.push({path: `${path}.border`, message: `${canvas.border} leaves nothing to draw in ${canvas.width}x${canvas.height}.`});
+            }
+            if (typeof canvas.source === 'string') {
+                checkSource(canvas.source, `${path}.source`);
+            }
+            if (canvas.mode === 'xy' && !canvas.xy) {
+                errors.push({path: `${path}.xy`, message: 'is required in \'xy\' mode.'});
+            }
+            if (isObject(canvas.xy) && typeof canvas.xy.right === 'string') {
+                checkSource(canvas.xy.right, `${path}.xy.right`);
+            }
+        });
+        return errors;
+    }
 
-        // 5.4. Get Canvas Context.ImageData data
-        let arr = this.dataFrame.data;
-        let w_h_size = this.sizeFrame - 8;
-
-        // 5.5 Draw the data bits (It could be the "sine wave" or .wav or .mp3 bits)
-        let y, yy, x_offset, y_offset;
-
-        // 5.6 setup contraint for Y values, clip it if out of range.
-        let center_y = this.height / 2;
-        let clip_neg_y = 1 - this.height; // -255
-        let clip_pos_y = this.height - 1; // +255
-
-        // 5.7 the Y as maximum amplitude in -255 to +255 range
-        let dx = x * 4;
-        let width_4 = 4 * this.width; // adjust X as each pixel is 4 byte long
-
-        // 5.8 Move it to center at Y-axis position E.g. drawn to Y=127 to 383
-        for (yy = clip_neg_y; yy < clip_pos_y; yy++) {
-            y = yy + center_y;
-            y_offset = y * width_4;
-            x_offset = y_offset + dx;
-            // 5.9 Clip in Context.ImageData range. Always draw 2 pixel in a row.
-            if (x_offset >= 0 && x_offset <= w_h_size) {
-                arr[x_offset + 0] = rr; // R value
-                arr[x_offset + 1] = gg; // G value
-                arr[x_offset + 2] = bb; // B value
-                arr[x_offset + 3] = 255; // A value  
-                arr[x_offset + 4] = rr; // R value
-                arr[x_offset + 5] = gg; // G value
-                arr[x_offset + 6] = bb; // B value
-                arr[x_offset + 7] = 255; // A value  
-            }
-        }
-        // 5.10 done drawing Marker on Canvas
-        this.isBusy = false;
-        return true;
+    /**
+     * @method Start (or resume) every canvas.
+     */
+    start() {
+        this.running = true;
+        this.animators.forEach((item) => item.animator.start());
+    }
+
+    /**
+     * @method Stop every canvas after its current frame; start() continues from the same offsets.
+     */
+    stop() {
+        this.running = false;
+        this.animators.forEach((item) => item.animator.pause());
+    }
+
+    /**
+     * @returns {boolean} true while the scene runs.
+     */
+    isRunning() {
+        return this.running;
     }
 
     /**
-     * @method Step 6. Commit the drawing to Canvas Context via Context.putImageData().
+     * @method Draw exactly one frame of every canvas now, running or stopped.
      *
-     * @throws Error if (@private {dataContext}) was already drawn.
+     * @returns {integer} how many canvases were drawn.
+     */
+    step() {
+        return this.animators.reduce((drawn, item) => drawn + item.animator.step(), 0);
+    }
+
+    /**
+     * @method Replace the scene, E.g. after its configuration file changed. The new scene is checked first: when it
+     * is not valid the error is thrown and the current scene goes on untouched. A running scene keeps running.
      *
-     * @returns true, otherwise Error
+     * @param {Object|string} scene - the new scene description, or its JSON text.
+     * @returns {CanvasScene} this.
+     * @throws {CanvasToolDataError} INVALID_SCENE if the new scene is not valid.
      */
-    drawEnd() {
-        // 6.1. set signature
-        let signature = 'drawEnd';
+    reload(scene) {
+        let checked = CanvasScene.check('reload', scene, this.external);
+        let wasRunning = this.running;
+        this.stop();
+        this.scene = checked;
+        this.build();
+        if (wasRunning) this.start();
+        return this;
+    }
 
-        // 6.2. make sure previously created Canvas Context is properly created.
-        if (this.dataContext === null) {
-            throw generateErrorMessage(signature, `Context.ImageData for canvas="${this.canvasId}" does not exist. Call drawBegin(document) to create one.`);
+    /**
+     * @returns {Object} the scene description in use, as validated.
+     */
+    getScene() {
+        return this.scene;
+    }
+
+    /**
+     * @returns {CanvasToolClass} the box of the canvas id, or null.
+     */
+    getBox(id) {
+        return Object.prototype.hasOwnProperty.call(this.canvases, id) ? this.canvases[id].box : null;
+    }
+
+    /**
+     * @returns {Object} the CanvasAnimator registration {box, source, offset, startOffset, ...} of the canvas id, or null.
+     */
+    getEntry(id) {
+        return Object.prototype.hasOwnProperty.call(this.canvases, id) ? this.canvases[id].entry : null;
+    }
+
+    /**
+     * @returns {Object} the source called name: typed array, CanvasStreamBuffer, ... or null.
+     */
+    getSource(name) {
+        return Object.prototype.hasOwnProperty.call(this.sources, name) ? this.sources[name] : null;
+    }
+
+    /**
+     * @returns {Array} [{fps, canvases, frames, dropped, errors, ...}], one per frame rate. @see CanvasAnimator.getStats
+     */
+    getStats() {
+        return this.animators.map((item) => Object.assign(item.animator.getStats(), {
+            fps: item.fps,
+            canvases: item.canvases.slice()
+        }));
+    }
+
+    /**
+     * @private Parse and validate, or throw INVALID_SCENE with every problem.
+     */
+    static check(method, scene, external) {
+        let data = scene;
+        let errors;
+        if (typeof scene === 'string') {
+            try {
+                data = JSON.parse(scene);
+            } catch (e) {
+                errors = [{path: 'scene', message: `invalid JSON: ${e.message}`}];
+            }
+        }
+        if (!errors) {
+            errors = CanvasScene.validate(data, {sources: external});
         }
+        if (errors.length > 0) {
+            let list = errors.map((e) => `${e.path}: ${e.message}`).join(' ');
+            let error = CanvasToolClass.generateClassError('CanvasScene', CanvasToolError.INVALID_SCENE, method, `${errors.length} error(s) in scene. ${list}`);
+            error.errors = errors;
+            throw error;
+        }
+        return data;
+    }
 
-        // 6.3. In multi-threaded environment, avoid data corruption; So ensure only a single instance of drawEnd is running.
-        if (this.setBusy(true) === true) {
-            throw generateErrorMessage(signature, `canvas="${this.canvasId}" is still in progress.`);
+    /**
+     * @private Check one value against a schema node, push {path, message} for each problem.
+     */
+    static checkValue(value, schema, path, errors) {
+        let types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        let type = CanvasScene.typeOf(value);
+        if (schema.type && types.indexOf(type) < 0 && !(type === 'integer' && types.indexOf('number') >= 0)) {
+            errors.push({path: path, message: `must be ${types.map((t) => (/^[aeiou]/.test(t) ? 'an ' : 'a ') + t).join(' or ')}.`});
+            return;
+        }
+        if (schema.enum && schema.enum.indexOf(value) < 0) {
+            errors.push({path: path, message: `"${value}" is not one of ${schema.enum.join(', ')}.`});
+        }
+        if (type === 'number' || type === 'integer') {
+            if (typeof schema.minimum === 'number' && value < schema.minimum) {
+                errors.push({path: path, message: `${value} is below ${schema.minimum}.`});
+            }
+            if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+                errors.push({path: path, message: `${value} must be above ${schema.exclusiveMinimum}.`});
+            }
+            if (typeof schema.maximum === 'number' && value > schema.maximum) {
+                errors.push({path: path, message: `${value} is above ${schema.maximum}.`});
+            }
+            if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+                errors.push({path: path, message: `${value} must be below ${schema.exclusiveMaximum}.`});
+            }
+        }
+        if (type === 'string') {
+            if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+                errors.push({path: path, message: 'must not be empty.'});
+            }
+            if (schema.format === 'color' && CanvasColor.parse(value) === null) {
+                errors.push({path: path, message: `"${value}" is not a color.`});
+            }
+            if (schema.format === 'mode' && CanvasScene.modes.indexOf(value) < 0 && !CanvasRendererRegistry.has(value)) {
+                errors.push({path: path, message: `"${value}" is not one of ${CanvasScene.modes.concat(CanvasRendererRegistry.names()).join(', ')}.`});
+            }
+            if (schema.format === 'theme' && !Object.prototype.hasOwnProperty.call(CanvasTheme.themes, value)) {
+                errors.push({path: path, message: `theme "${value}" does not exist, use one of ${Object.keys(CanvasTheme.themes).join(', ')}.`});
+            }
+        }
+        if (type === 'array') {
+            if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+                errors.push({path: path, message: `needs at least ${schema.minItems} item(s).`});
+            }
+            if (schema.items) {
+                value.forEach((item, index) => CanvasScene.checkValue(item, schema.items, `${path}[${index}]`, errors));
+            }
+        }
+        if (type === 'object') {
+            let properties = schema.properties || {};
+            let pathOf = (key) => (path === 'scene') ? key : `${path}.${key}`;
+            (schema.required || []).forEach((key) => {
+                if (typeof value[key] === 'undefined') {
+                    errors.push({path: pathOf(key), message: 'is required.'});
+                }
+            });
+            Object.keys(value).forEach((key) => {
+                let keyPath = pathOf(key);
+                if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                    CanvasScene.checkValue(value[key], properties[key], keyPath, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({path: keyPath, message: 'is not a known property.'});
+                } else if (typeof schema.additionalProperties === 'object') {
+                    CanvasScene.checkValue(value[key], schema.additionalProperties, keyPath, errors);
+                }
+            });
         }
+    }
 
-        // 6.4 Draw it into the Canvas
-        this.dataContext.putImageData(this.dataFrame, this.border, this.border);
+    /**
+     * @private
+     * @returns {string} the JSON schema type of a value: 'null', 'array', 'integer', 'number', 'string', ...
+     */
+    static typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') {
+            if (!isFinite(value)) return 'NaN';
+            return Number.isInteger(value) ? 'integer' : 'number';
+        }
+        return typeof value;
+    }
 
-        // 6.5 Clear these var to signifiy drawing into the Canvas is completed.
-        this.dataFrame = null;
-        this.dataContext = null;
-        this.sizeFrame = 0;
-        this.isBusy = false;
-        return true;
+    /**
+     * @private Create the sources, the boxes and their animators of this.scene, the previous ones are dropped.
+     */
+    build() {
+        let scene = this.scene;
+        this.animators.forEach((item) => item.animator.pause());
+        this.sources = Object.assign({}, this.external);
+        this.canvases = {};
+        this.animators = [];
+
+        // 1. sources.
+        let sources = scene.sources || {};
+        Object.keys(sources).forEach((name) => {
+            this.sources[name] = CanvasScene.createSource(sources[name]);
+        });
+
+        // 2. one box per canvas, animated at its frame rate.
+        let byFps = {};
+        scene.canvases.forEach((canvas) => {
+            let box = this.createBox(canvas, scene);
+            let fps = canvas.fps || scene.fps || 30;
+            if (!byFps[fps]) {
+                byFps[fps] = {
+                    fps: fps,
+                    canvases: [],
+                    animator: new CanvasAnimator({fps: fps, clock: this.clock, document: this.document, onError: this.onError})
+                };
+                this.animators.push(byFps[fps]);
+            }
+            let entry = byFps[fps].animator.add(box, this.sources[canvas.source], {
+                step: canvas.step,
+                startOffset: canvas.startOffset,
+                draw: this.createDraw(canvas, box)
+            });
+            byFps[fps].canvases.push(canvas.id);
+            this.canvases[canvas.id] = {box: box, entry: entry};
+        });
     }
 
     /**
-     * @method Mark busy flag.
-     * This is the only way the method here will have access to the resource within the class.
-     *
-     * @param {boolean} flag boolean Busy flag to set.
-     * @returns boolean Previous Busy flag
+     * @private
+     * @returns {Object} the samples of a scene source.
      */
-    setBusy(flag) {
-        let before = this.isBusy;
-        this.isBusy = flag;
-        return before;
+    static createSource(source) {
+        if (source.type === 'stream') {
+            return new CanvasStreamBuffer(source.capacity);
+        }
+        if (source.type === 'samples') {
+            return (source.input === 'float') ? Float32Array.from(source.data) : Int16Array.from(source.data);
+        }
+        let amplitude = (typeof source.amplitude === 'number') ? source.amplitude : 1;
+        let phase = (source.phase || 0) * Math.PI / 180;
+        let data = new Float32Array(source.length);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = amplitude * Math.sin(2 * Math.PI * i / source.period + phase);
+        }
+        return data;
+    }
+
+    /**
+     * @private
+     * @returns {CanvasToolClass} the box of a scene canvas, fitted to its element unless headless.
+     */
+    createBox(canvas, scene) {
+        let border = canvas.border || 0;
+        let surface = this.headless ? CanvasToolClass.createSurface(canvas.width + 2 * border, canvas.height + 2 * border) : undefined;
+        let box = new CanvasToolClass(canvas.id, canvas.width, canvas.height, border, surface);
+        let element = (this.headless || this.document === null) ? null : this.document.getElementById(canvas.id);
+        if (element && canvas.fit !== false) {
+            box.fitElement(element);
+        }
+        if (canvas.theme || scene.theme) {
+            box.setTheme(canvas.theme || scene.theme);
+        }
+        // raw samples: float for sine and float 'samples', int16 for streams, by array type for the others.
+        let declared = (scene.sources || {})[canvas.source];
+        let input = 'auto';
+        if (declared) {
+            input = (declared.type === 'sine' || declared.input === 'float') ? 'float' : 'int16';
+        }
+        box.setAmplitudeScaling(Object.assign({input: input}, canvas.scaling));
+        if (canvas.annotations) {
+            box.setAnnotations(CanvasAnnotations.fromJSON(canvas.annotations));
+        }
+        return box;
+    }
+
+    /**
+     * @private
+     * @returns {Function} the CanvasAnimator draw(session, bits, n_bits) of a scene canvas.
+     */
+    createDraw(canvas, box) {
+        let mode = canvas.mode || null;
+        let color = canvas.color;
+        let xy = canvas.xy || {};
+        let envelope = canvas.envelope || {};
+        return (session, bits, n_bits) => {
+            if (!(mode === 'xy' && xy.decay > 0)) {
+                session.drawClearBackground(canvas.background);
+            }
+            switch (mode) {
+                case 'line':
+                    session.drawLineOnCanvas(n_bits, bits, 1, false, color);
+                    break;
+                case 'envelope':
+                    session.drawOnCanvas(n_bits, bits, false, color);
+                    session.drawEnvelopeOnCanvas(n_bits, bits, envelope);
+                    break;
+                case 'xy':
+                    session.drawXYOnCanvas(bits, this.readRight(xy.right, box, n_bits), n_bits, xy, color);
+                    break;
+                default:
+                    // 'dots', 'bars' or any CanvasRendererRegistry name.
+                    session.drawOnCanvas(n_bits, bits, (mode !== null) ? mode : false, color, undefined, undefined, canvas.options);
+            }
+            if (canvas.grid) {
+                session.drawGridOnCanvas();
+            }
+        };
+    }
+
+    /**
+     * @private
+     * @returns {Object} n_bits samples of the xy right source, at the same position as the left one.
+     */
+    readRight(name, box, n_bits) {
+        let source = this.sources[name];
+        if (source instanceof CanvasStreamBuffer) {
+            return source.latest(n_bits);
+        }
+        if (typeof source === 'function') {
+            return source({box: box});
+        }
+        let data = (source && source._name === 'BoxDataStructure') ? source.data : source;
+        let start = box.getVisibleRange().startSample;
+        let right = new Float32Array(n_bits);
+        for (let i = 0; i < n_bits; i++) {
+            right[i] = data[(start + i) % data.length];
+        }
+        return right;
     }
+}
+
+/** Canvas modes besides the CanvasRendererRegistry names. */
+CanvasScene.modes = ['line', 'envelope', 'xy'];
+
+/** @private Fields a scene source needs, by type. */
+CanvasScene.sourceFields = {
+    sine: ['length', 'period'],
+    samples: ['data'],
+    stream: ['capacity']
+};
+
+/**
+ * The scene description format, a subset of JSON Schema: type, properties, required, additionalProperties, items,
+ * minItems, enum, minimum, maximum, exclusiveMinimum, exclusiveMaximum, minLength and the formats 'color', 'theme'
+ * and 'mode' (CanvasScene.modes or a CanvasRendererRegistry name).
+ */
+CanvasScene.schema = (() => {
+    let color = {type: 'string', format: 'color'};
+    let label = {type: ['string', 'null']};
+    let sample = {type: 'number', minimum: 0};
+    let fps = {type: 'number', exclusiveMinimum: 0, maximum: 240};
+    return {
+        type: 'object',
+        required: ['canvases'],
+        additionalProperties: false,
+        properties: {
+            version: {type: 'integer', enum: [1]},
+            fps: fps,
+            theme: {type: 'string', format: 'theme'},
+            sources: {
+                type: 'object',
+                additionalProperties: {
+                    type: 'object',
+                    required: ['type'],
+                    additionalProperties: false,
+                    properties: {
+                        type: {type: 'string', enum: ['sine', 'samples', 'stream']},
+                        length: {type: 'integer', minimum: 1, maximum: 16777216},
+                        period: {type: 'number', exclusiveMinimum: 0},
+                        amplitude: {type: 'number', minimum: 0, maximum: 1},
+                        phase: {type: 'number'},
+                        data: {type: 'array', minItems: 1, items: {type: 'number'}},
+                        input: {type: 'string', enum: ['int16', 'float']},
+                        capacity: {type: 'integer', minimum: 1}
+                    }
+                }
+            },
+            canvases: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['id', 'width', 'height', 'source'],
+                    additionalProperties: false,
+                    properties: {
+                        id: {type: 'string', minLength: 1},
+                        width: {type: 'integer', minimum: 1, maximum: 8192},
+                        height: {type: 'integer', minimum: 1, maximum: 8192},
+                        border: {type: 'integer', minimum: 0},
+                        source: {type: 'string', minLength: 1},
+                        mode: {type: 'string', format: 'mode'},
+                        color: color,
+                        background: color,
+                        theme: {type: 'string', format: 'theme'},
+                        fps: fps,
+                        step: {type: 'integer', minimum: 1},
+                        startOffset: {type: 'integer', minimum: 1},
+                        options: {type: 'object'},
+                        fit: {type: 'boolean'},
+                        grid: {type: 'boolean'},
+                        scaling: {
+                            type: 'object',
+                            additionalProperties: false,
+                            properties: {
+                                mode: {type: 'string', enum: CanvasAmplitudeScaler.modes},
+                                gain: {type: 'number', exclusiveMinimum: 0},
+                                gainDb: {type: 'number'},
+                                floorDb: {type: 'number', exclusiveMaximum: 0},
+                                headroom: {type: 'number', exclusiveMinimum: 0, maximum: 1},
+                                input: {type: 'string', enum: ['auto', 'int16', 'float']}
+                            }
+                        },
+                        envelope: {
+                            type: 'object',
+                            additionalProperties: false,
+                            properties: {
+                                type: {type: 'string', enum: ['rms', 'peak']},
+                                window: {type: 'integer', minimum: 1},
+                                attack: {type: 'number', exclusiveMinimum: 0, maximum: 1},
+                                release: {type: 'number', exclusiveMinimum: 0, maximum: 1},
+                                fill: {type: 'boolean'}
+                            }
+                        },
+                        xy: {
+                            type: 'object',
+                            required: ['right'],
+                            additionalProperties: false,
+                            properties: {
+                                right: {type: 'string', minLength: 1},
+                                mode: {type: 'string', enum: ['dots', 'line']},
+                                rotate: {type: 'boolean'},
+                                decay: {type: 'number', minimum: 0, exclusiveMaximum: 1},
+                                meter: {type: 'boolean'}
+                            }
+                        },
+                        annotations: {
+                            type: 'object',
+                            additionalProperties: false,
+                            properties: {
+                                markers: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['name', 'sample'],
+                                        additionalProperties: false,
+                                        properties: {name: {type: 'string', minLength: 1}, sample: sample, color: {type: ['string', 'null'], format: 'color'}, label: label}
+                                    }
+                                },
+                                regions: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['name', 'start', 'end'],
+                                        additionalProperties: false,
+                                        properties: {name: {type: 'string', minLength: 1}, start: sample, end: sample, color: {type: ['string', 'null'], format: 'color'}, label: label}
+                                    }
+                                },
+                                playhead: {
+                                    type: ['object', 'null'],
+                                    required: ['sample'],
+                                    additionalProperties: false,
+                                    properties: {sample: sample, color: {type: ['string', 'null'], format: 'color'}}
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+})();
 
-}
\ No newline at end of file
+// CommonJS export (Node). In the browser the classes above are plain globals.
+if (typeof module === 'object' && module !== null && typeof module.exports === 'object') {
+    module.exports = {
+        CanvasToolClass: CanvasToolClass,
+        CanvasSurfaceContext: CanvasSurfaceContext,
+        CanvasToolError: CanvasToolError,
+        CanvasToolStateError: CanvasToolStateError,
+        CanvasToolElementError: CanvasToolElementError,
+        CanvasToolDataError: CanvasToolDataError,
+        CanvasWavDecoder: CanvasWavDecoder,
+        CanvasPeakCache: CanvasPeakCache,
+        CanvasSpectrumAnalyzer: CanvasSpectrumAnalyzer,
+        CanvasColorMap: CanvasColorMap,
+        CanvasBitmapFont: CanvasBitmapFont,
+        CanvasColor: CanvasColor,
+        CanvasColorGradient: CanvasColorGradient,
+        CanvasTheme: CanvasTheme,
+        CanvasAnnotations: CanvasAnnotations,
+        CanvasViewport: CanvasViewport,
+        CanvasStreamBuffer: CanvasStreamBuffer,
+        CanvasDrawSession: CanvasDrawSession,
+        CanvasWorkerHost: CanvasWorkerHost,
+        CanvasWorkerClient: CanvasWorkerClient,
+        CanvasImageEncoder: CanvasImageEncoder,
+        CanvasFrameRecorder: CanvasFrameRecorder,
+        CanvasAnimator: CanvasAnimator,
+        CanvasInteraction: CanvasInteraction,
+        CanvasAmplitudeScaler: CanvasAmplitudeScaler,
+        CanvasRendererRegistry: CanvasRendererRegistry,
+        CanvasScene: CanvasScene
+    };
+}
@@ -0,0 +1,32 @@
+// ES module entry point, re-exports the CommonJS build of js-sdk-canvas-1.0.1.js
+import sdk from './js-sdk-canvas-1.0.1.js';
+
+export const CanvasToolClass = sdk.CanvasToolClass;
+export const CanvasSurfaceContext = sdk.CanvasSurfaceContext;
+export const CanvasToolError = sdk.CanvasToolError;
+export const CanvasToolStateError = sdk.CanvasToolStateError;
+export const CanvasToolElementError = sdk.CanvasToolElementError;
+export const CanvasToolDataError = sdk.CanvasToolDataError;
+export const CanvasWavDecoder = sdk.CanvasWavDecoder;
+export const CanvasPeakCache = sdk.CanvasPeakCache;
+export const CanvasSpectrumAnalyzer = sdk.CanvasSpectrumAnalyzer;
+export const CanvasColorMap = sdk.CanvasColorMap;
+export const CanvasBitmapFont = sdk.CanvasBitmapFont;
+export const CanvasColor = sdk.CanvasColor;
+export const CanvasColorGradient = sdk.CanvasColorGradient;
+export const CanvasTheme = sdk.CanvasTheme;
+export const CanvasAnnotations = sdk.CanvasAnnotations;
+export const CanvasViewport = sdk.CanvasViewport;
+export const CanvasStreamBuffer = sdk.CanvasStreamBuffer;
+export const CanvasDrawSession = sdk.CanvasDrawSession;
+export const CanvasWorkerHost = sdk.CanvasWorkerHost;
+export const CanvasWorkerClient = sdk.CanvasWorkerClient;
+export const CanvasImageEncoder = sdk.CanvasImageEncoder;
+export const CanvasFrameRecorder = sdk.CanvasFrameRecorder;
+export const CanvasAnimator = sdk.CanvasAnimator;
+export const CanvasInteraction = sdk.CanvasInteraction;
+export const CanvasAmplitudeScaler = sdk.CanvasAmplitudeScaler;
+export const CanvasRendererRegistry = sdk.CanvasRendererRegistry;
+export const CanvasScene = sdk.CanvasScene;
+
+export default sdk.CanvasToolClass;
@@ -0,0 +1,24 @@
+// see https://github.com/tmalbonph/js-sdk-canvas/blob/main/LICENSE
+//
+// Worker entry point of js-sdk-canvas: draws for a CanvasWorkerClient of the page.
+//
+// Browser:  new Worker('/js/js-sdk-canvas-worker-1.0.1.js') - js-sdk-canvas-1.0.1.js is loaded next to this file.
+// Node:     new Worker(require.resolve('js-sdk-canvas/worker')) with worker_threads.
+/* global importScripts, self, CanvasToolClass, CanvasWorkerHost */
+(function () {
+    // Errors are posted back to the CanvasWorkerClient, the page decides whether to log them.
+    if (typeof importScripts === 'function') {
+        importScripts('js-sdk-canvas-1.0.1.js');
+        CanvasToolClass.setDefaultLogger(null);
+        const host = new CanvasWorkerHost({
+            postMessage: (message, transfer) => self.postMessage(message, transfer)
+        });
+        self.addEventListener('message', (event) => host.handleMessage(event.data));
+    } else {
+        const { parentPort } = require('worker_threads');
+        const sdk = require('./js-sdk-canvas-1.0.1.js');
+        sdk.CanvasToolClass.setDefaultLogger(null);
+        const host = new sdk.CanvasWorkerHost(parentPort);
+        parentPort.on('message', (message) => host.handleMessage(message));
+    }
+})();
@@ -14,6 +14,27 @@ const USE_REDIRECT = false;
 const THIS_VERSION = '1.0.1';
 const ROUTE_JS_FILE = '/js/js-sdk-canvas-' + THIS_VERSION + '.js';
 const TARGET_JS_FILE = '.' + ROUTE_JS_FILE;
+const ROUTE_WORKER_FILE = '/js/js-sdk-canvas-worker-' + THIS_VERSION + '.js';
+const TARGET_WORKER_FILE = '.' + ROUTE_WORKER_FILE;
+
+const ROUTE_RENDER = '/api/render';
+const RENDER_BODY_LIMIT = '16mb';
+const RENDER_MAX_WIDTH = 4096;
+const RENDER_MAX_HEIGHT = 1024;
+const RENDER_MODES = ['auto', 'peaks', 'line', 'dots', 'bars'];
+const RENDER_FORMATS = ['png', 'json'];
+const RENDER_CONTENT_TYPES = ['audio/wav', 'audio/wave', 'audio/x-wav', 'audio/vnd.wave', 'application/octet-stream'];
+
+const {
+    CanvasToolClass,
+    CanvasToolError,
+    CanvasWavDecoder,
+    CanvasPeakCache,
+    CanvasColor
+} = require(TARGET_JS_FILE);
+
+// Bad uploads are answered with a JSON error, they are not logged to stderr.
+CanvasToolClass.setDefaultLogger(null);
 
 // Try to check if running in Machintosh (probably macBook???)
 function detect_mac(onError) {
@@ -97,6 +118,163 @@ function readCanvasSdkFile(_this, res) {
     });
 }
 
+function readCanvasWorkerFile(_this, res) {
+    const local_file = TARGET_WORKER_FILE;
+    fs.readFile(local_file, 'utf-8', (err, data) => {
+        handleOpenFile(_this, local_file, 'js', 'application/javascript', res, err, data);
+    });
+}
+
+function sendRenderError(res, status, code, message) {
+    res.status(status).json({
+        error: {
+            code: code,
+            message: message
+        }
+    }).end();
+}
+
+// An Error for a 400 INVALID_OPTION response.
+function optionError(message) {
+    let e = new Error(message);
+    e.code = 'INVALID_OPTION';
+    return e;
+}
+
+// Read one integer query option, throws when it is not an integer in min..max.
+function readIntegerOption(query, name, defaultValue, min, max) {
+    if (typeof query[name] === 'undefined' || query[name] === '') {
+        return defaultValue;
+    }
+    let value = Number(query[name]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw optionError(`${name}="${query[name]}" must be an integer in ${min}..${max}.`);
+    }
+    return value;
+}
+
+// Check the query options of /api/render, throws an INVALID_OPTION Error for a 400 response.
+function parseRenderOptions(query) {
+    let options = {
+        width: readIntegerOption(query, 'width', 800, 1, RENDER_MAX_WIDTH),
+        height: readIntegerOption(query, 'height', 200, 2, RENDER_MAX_HEIGHT),
+        border: readIntegerOption(query, 'border', 0, 0, 64),
+        channel: readIntegerOption(query, 'channel', 0, 0, 255),
+        start: readIntegerOption(query, 'start', 0, 0, Number.MAX_SAFE_INTEGER),
+        end: readIntegerOption(query, 'end', -1, 1, Number.MAX_SAFE_INTEGER),
+        mode: query.mode || 'peaks',
+        format: query.format || 'png',
+        color: null,
+        background: null
+    };
+    if (RENDER_MODES.indexOf(options.mode) < 0) {
+        throw optionError(`mode="${options.mode}" is not one of ${RENDER_MODES.join(', ')}.`);
+    }
+    if (RENDER_FORMATS.indexOf(options.format) < 0) {
+        throw optionError(`format="${options.format}" is not one of ${RENDER_FORMATS.join(', ')}.`);
+    }
+    ['color', 'background'].forEach((name) => {
+        if (typeof query[name] !== 'undefined' && query[name] !== '') {
+            options[name] = CanvasColor.parse(String(query[name]));
+            if (options[name] === null) {
+                throw optionError(`${name}="${query[name]}" is not a color.`);
+            }
+        }
+    });
+    return options;
+}
+
+// POST /api/render - draw a WAV body headless, reply a PNG or the peaks as JSON.
+function renderWaveform(req, res) {
+    // req.is() is null without a body, that is the 400 below.
+    if (req.is(RENDER_CONTENT_TYPES) === false) {
+        sendRenderError(res, 415, 'UNSUPPORTED_MEDIA_TYPE', `Content-Type must be one of ${RENDER_CONTENT_TYPES.join(', ')}.`);
+        return;
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length < 1) {
+        sendRenderError(res, 400, 'EMPTY_BODY', 'the request body must be a WAV file.');
+        return;
+    }
+
+    let options, wav;
+    try {
+        options = parseRenderOptions(req.query);
+    } catch (e) {
+        sendRenderError(res, 400, e.code || 'INVALID_OPTION', e.message);
+        return;
+    }
+    try {
+        wav = CanvasWavDecoder.decode(req.body, options.width);
+    } catch (e) {
+        let status = (e.code === CanvasToolError.UNSUPPORTED_WAV) ? 415 : 400;
+        sendRenderError(res, status, e.code || 'INVALID_WAV', e.message);
+        return;
+    }
+    if (options.channel >= wav.channels) {
+        sendRenderError(res, 400, 'INVALID_OPTION', `channel=${options.channel} but the file has ${wav.channels} channel(s).`);
+        return;
+    }
+    let samples = wav.boxes[options.channel].data;
+    let start = options.start;
+    let end = (options.end < 0) ? wav.frames : options.end;
+    if (end > wav.frames || start >= end) {
+        sendRenderError(res, 400, 'INVALID_OPTION', `sample range ${start} to ${end} is not within 0 to ${wav.frames}.`);
+        return;
+    }
+
+    if (options.format === 'json') {
+        let peaks = CanvasPeakCache.computePeaks(samples, start, end, options.width);
+        res.status(200).json({
+            sampleRate: wav.sampleRate,
+            channels: wav.channels,
+            frames: wav.frames,
+            duration: wav.duration,
+            channel: options.channel,
+            start: start,
+            end: end,
+            columns: peaks.columns,
+            min: Array.from(peaks.min),
+            max: Array.from(peaks.max),
+            rms: Array.from(peaks.rms)
+        }).end();
+        return;
+    }
+
+    let full = (size) => size + 2 * options.border;
+    let png;
+    try {
+        let canvasBox = new CanvasToolClass('render', options.width, options.height, options.border,
+            CanvasToolClass.createSurface(full(options.width), full(options.height)));
+        canvasBox.setLogging(false);
+        // Full scale (Int16) to half of the height.
+        canvasBox.setAmplitudeScaling({mode: 'linear', input: 'int16'});
+        canvasBox.setVisibleRange(start, (end - start) / options.width);
+        canvasBox.withFrame(null, (session) => {
+            session.drawClearBackground(options.background === null ? undefined : options.background);
+            session.drawViewOnCanvas(samples, options.mode, options.color === null ? undefined : options.color);
+        });
+        png = canvasBox.toPng();
+    } catch (e) {
+        sendRenderError(res, 500, e.code || 'RENDER_FAILED', e.message);
+        return;
+    }
+    res.type('png')
+        .set('Content-Type', 'image/png')
+        .status(200).send(Buffer.from(png))
+        .end();
+}
+
+// Errors of the body parser, E.g. a body over RENDER_BODY_LIMIT.
+function renderFailed(err, req, res, next) {
+    if (err && err.status === 413) {
+        sendRenderError(res, 413, 'PAYLOAD_TOO_LARGE', `the WAV file is over ${RENDER_BODY_LIMIT}.`);
+    } else if (err && err.status >= 400 && err.status < 500) {
+        sendRenderError(res, err.status, 'BAD_REQUEST', err.message);
+    } else {
+        next(err);
+    }
+}
+
 app.get('/', (req, res) => {
     if (USE_REDIRECT) {
         res.redirect(301, REDIRECT_TO);
@@ -125,16 +303,30 @@ app.get('/js/js-sdk-canvas-1.0.1.js', (req, res) => {
     readCanvasSdkFile(this, res);
 });
 
+app.get(ROUTE_WORKER_FILE, (req, res) => {
+    readCanvasWorkerFile(this, res);
+});
+
+app.post(ROUTE_RENDER, express.raw({
+    type: RENDER_CONTENT_TYPES,
+    limit: RENDER_BODY_LIMIT
+}), renderWaveform, renderFailed);
+
 app.use('/*', (req, res) => {
     sendNotFound(res, req.originalUrl);
 });
 
-app.listen(HTTP_PORT, () => {
-    detect_mac(function(err) {
-        let msg = err ? 'Ctrl-C' : 'control+C';
-        console.log(`Demo server started on port ${HTTP_PORT}\n\
+// `node test.js` starts the demo server, the specs require() the app and listen on their own port.
+if (require.main === module) {
+    app.listen(HTTP_PORT, () => {
+        detect_mac(function(err) {
+            let msg = err ? 'Ctrl-C' : 'control+C';
+            console.log(`Demo server started on port ${HTTP_PORT}\n\
 To see the demo, Open: ${REDIRECT_TO}\n\
 Or press ${msg} to quit.\n`);
+        });
+
     });
+}
 
-});
\ No newline at end of file
+module.exports = app;
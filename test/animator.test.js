@@ -0,0 +1,95 @@
+// see https://github.com/tmalbonph/js-sdk-canvas/blob/main/LICENSE
+//
+// CanvasAnimator driven by the manual clock: frame rate, dropped frames, pause / resume / step and onError.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CanvasToolClass, CanvasAnimator } = require('../js/js-sdk-canvas-1.0.1.js');
+
+function createBox(id) {
+    let box = new CanvasToolClass(id, 16, 8, 0, CanvasToolClass.createSurface(16, 8));
+    box.setLogging(false);
+    return box;
+}
+
+const samples = Int16Array.from({ length: 64 }, (_, i) => (i % 8) - 4);
+
+test('a frame is drawn every 1000 / fps ms of the clock', () => {
+    let clock = CanvasAnimator.createManualClock();
+    let animator = new CanvasAnimator({ fps: 10, clock: clock });
+    animator.add(createBox('fps'), samples, { step: 2 });
+    animator.start();
+    clock.advance(0);
+    assert.equal(animator.getStats().frames, 1, 'the first frame is drawn at once');
+    clock.advance(50);
+    assert.equal(animator.getStats().frames, 1, 'not due before 100 ms');
+    clock.advance(50);
+    assert.equal(animator.getStats().frames, 2);
+    for (let i = 0; i < 8; i++) {
+        clock.advance(100);
+    }
+    let stats = animator.getStats();
+    assert.equal(stats.frames, 10);
+    assert.equal(stats.dropped, 0);
+    assert.ok(Math.abs(stats.fps - 10) < 0.01, `fps=${stats.fps}`);
+    animator.pause();
+});
+
+test('a late tick counts the missed frames as dropped', () => {
+    let clock = CanvasAnimator.createManualClock();
+    let animator = new CanvasAnimator({ fps: 10, clock: clock });
+    animator.add(createBox('drop'), samples);
+    animator.start();
+    clock.advance(0);
+    clock.advance(450);
+    let stats = animator.getStats();
+    assert.equal(stats.frames, 2);
+    assert.equal(stats.dropped, 3, 'frames due at 100, 200 and 300 were missed');
+    clock.advance(100);
+    assert.equal(animator.getStats().frames, 3, 'the schedule restarts from the late frame');
+    animator.pause();
+});
+
+test('pause() stops the frames, step() draws one, resume() goes on from the same offset', () => {
+    let clock = CanvasAnimator.createManualClock();
+    let animator = new CanvasAnimator({ fps: 20, clock: clock });
+    let entry = animator.add(createBox('pause'), samples, { step: 3 });
+    animator.start();
+    clock.advance(0);
+    assert.equal(entry.offset, 3);
+
+    animator.pause();
+    assert.equal(animator.isRunning(), false);
+    clock.advance(500);
+    assert.equal(animator.getStats().frames, 1);
+
+    assert.equal(animator.step(), 1);
+    assert.equal(entry.offset, 6);
+    assert.equal(animator.getStats().frames, 2);
+
+    animator.resume();
+    clock.advance(0);
+    assert.equal(animator.getStats().frames, 3);
+    assert.equal(entry.offset, 9);
+    animator.pause();
+});
+
+test('a failing box goes to onError, the other boxes and the animation go on', () => {
+    let clock = CanvasAnimator.createManualClock();
+    let failures = [];
+    let animator = new CanvasAnimator({ fps: 10, clock: clock, onError: (error, box) => failures.push([error.message, box.canvasId]) });
+    let good = animator.add(createBox('good'), samples);
+    animator.add(createBox('bad'), samples, {
+        draw: () => {
+            throw new Error('broken draw');
+        }
+    });
+    animator.start();
+    clock.advance(0);
+    clock.advance(100);
+    assert.deepEqual(failures, [['broken draw', 'bad'], ['broken draw', 'bad']]);
+    let stats = animator.getStats();
+    assert.equal(stats.frames, 2);
+    assert.equal(stats.errors, 2);
+    assert.equal(good.errors, 0);
+    animator.pause();
+});
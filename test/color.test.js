@@ -0,0 +1,107 @@
+// see https://github.com/tmalbonph/js-sdk-canvas/blob/main/LICENSE
+//
+// CanvasColor, CanvasColorGradient and CanvasTheme, and how colors with alpha are blended into the pixels.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CanvasToolClass, CanvasToolError, CanvasColor, CanvasColorGradient, CanvasTheme } = require('../js/js-sdk-canvas-1.0.1.js');
+
+// the thrown errors are checked here, not logged.
+CanvasToolClass.setDefaultLogger(null);
+
+const WIDTH = 8;
+const HEIGHT = 4;
+
+const rgba = (color) => [color.rr, color.gg, color.bb, color.aa];
+
+function draw(fn, theme) {
+    let box = new CanvasToolClass('color', WIDTH, HEIGHT, 0, CanvasToolClass.createSurface(WIDTH, HEIGHT));
+    box.setLogging(false);
+    if (theme) box.setTheme(theme);
+    box.withFrame(null, fn);
+    return box.snapshot();
+}
+
+function pixel(image, x, y) {
+    let i = 4 * (y * WIDTH + x);
+    return Array.from(image.data.subarray(i, i + 4));
+}
+
+test('CanvasColor.parse reads hex, rgb(), rgba() and names', () => {
+    assert.deepEqual(rgba(CanvasColor.parse('#f00')), [255, 0, 0, 255]);
+    assert.deepEqual(rgba(CanvasColor.parse('#0f08')), [0, 255, 0, 136]);
+    assert.deepEqual(rgba(CanvasColor.parse('#12345680')), [0x12, 0x34, 0x56, 0x80]);
+    assert.deepEqual(rgba(CanvasColor.parse('rgb(0, 128, 255)')), [0, 128, 255, 255]);
+    assert.deepEqual(rgba(CanvasColor.parse('rgba(255, 0, 0, 0.5)')), [255, 0, 0, 128]);
+    assert.deepEqual(rgba(CanvasColor.parse('rgb(100% 0% 20% / 25%)')), [255, 0, 51, 64]);
+    assert.deepEqual(rgba(CanvasColor.parse(' Gold ')), [255, 215, 0, 255]);
+    assert.deepEqual(rgba(CanvasColor.parse('transparent')), [0, 0, 0, 0]);
+    assert.equal(CanvasColor.parse('#12345'), null);
+    assert.equal(CanvasColor.parse('nope'), null);
+});
+
+test('CanvasColor.from takes every color description and rejects the rest', () => {
+    let red = new CanvasColor(255, 0, 0);
+    assert.equal(CanvasColor.from(red), red);
+    assert.deepEqual(rgba(CanvasColor.from(1, 2, 3)), [1, 2, 3, 255]);
+    assert.deepEqual(rgba(CanvasColor.from([300, -5, 7.6, 10])), [255, 0, 8, 10]);
+    assert.deepEqual(rgba(CanvasColor.from({ rr: 4, gg: 5, bb: 6, aa: 7 })), [4, 5, 6, 7]);
+    assert.deepEqual(rgba(CanvasColor.from({ r: 4, g: 5, b: 6, a: 0.5 })), [4, 5, 6, 128]);
+    assert.deepEqual(rgba(red.lighten()), [255, 127, 127, 255]);
+    assert.equal(CanvasColor.from('rgba(255, 0, 0, 0.5)').toString(), 'rgba(255, 0, 0, 0.502)');
+    for (let value of ['nope', null, {}, [1, 2]]) {
+        assert.throws(() => CanvasColor.from(value), (e) => e.code === CanvasToolError.INVALID_ARGUMENT);
+    }
+});
+
+test('CanvasColorGradient interpolates the stops from top to bottom', () => {
+    let gradient = new CanvasColorGradient([[1, '#0000ff'], [0, '#ff0000']]);
+    assert.deepEqual(rgba(gradient.colorAt(-1)), [255, 0, 0, 255]);
+    assert.deepEqual(rgba(gradient.colorAt(0.5)), [128, 0, 128, 255]);
+    assert.deepEqual(gradient.getRowColors(3).map(rgba), [[255, 0, 0, 255], [128, 0, 128, 255], [0, 0, 255, 255]]);
+    assert.deepEqual(rgba(gradient.lighten().colorAt(1)), [127, 127, 255, 255]);
+    let image = draw((session) => session.drawClearBackground(new CanvasColorGradient([[0, '#000000'], [1, '#ff0000']])));
+    assert.deepEqual([0, 1, 2, 3].map((y) => pixel(image, 5, y)), [[0, 0, 0, 255], [85, 0, 0, 255], [170, 0, 0, 255], [255, 0, 0, 255]]);
+});
+
+test('CanvasTheme names, partial themes and the theme background', (t) => {
+    assert.deepEqual(rgba(CanvasTheme.from('green').background), [12, 110, 38, 255]);
+    let custom = CanvasTheme.from({ trace: 'gold' });
+    assert.equal(custom.name, 'custom');
+    assert.deepEqual(rgba(custom.trace), [255, 215, 0, 255]);
+    assert.deepEqual(rgba(custom.background), rgba(CanvasTheme.from('classic').background));
+    assert.throws(() => CanvasTheme.from('sepia'), (e) => e.code === CanvasToolError.INVALID_ARGUMENT);
+
+    CanvasTheme.register('test-navy', { background: 'navy' });
+    t.after(() => delete CanvasTheme.themes['test-navy']);
+    assert.deepEqual(pixel(draw((session) => session.drawClearBackground(), 'test-navy'), 3, 2), [0, 0, 128, 255]);
+    // true and false are the backgrounds of the 'green' and 'classic' themes.
+    assert.deepEqual(pixel(draw((session) => session.drawClearBackground(true)), 0, 0), [12, 110, 38, 255]);
+    assert.deepEqual(pixel(draw((session) => session.drawClearBackground(false), 'light'), 0, 0), [0, 0, 0, 255]);
+});
+
+test('a translucent background is blended over the previous pixels', () => {
+    let image = draw((session) => {
+        session.drawClearBackground('#0000ff');
+        session.drawClearBackground('rgba(255, 0, 0, 0.5)');
+    });
+    assert.deepEqual(pixel(image, 0, 0), [128, 0, 127, 255]);
+    assert.deepEqual(pixel(image, WIDTH - 1, HEIGHT - 1), [128, 0, 127, 255]);
+    image = draw((session) => {
+        session.drawClearBackground('#ffffff');
+        session.drawClearBackground('transparent');
+    });
+    assert.deepEqual(pixel(image, 4, 1), [255, 255, 255, 255]);
+    // over transparent pixels the color keeps its own alpha.
+    image = draw((session) => session.drawClearBackground('rgba(0, 255, 0, 0.25)'));
+    assert.deepEqual(pixel(image, 2, 2), [0, 255, 0, 64]);
+});
+
+test('a translucent trace is blended over the background', () => {
+    let image = draw((session) => {
+        session.drawClearBackground('#000000');
+        session.drawCanvasMarker(2, 'rgba(255, 255, 255, 0.5)');
+    });
+    assert.deepEqual(pixel(image, 2, 1), [128, 128, 128, 255]);
+    assert.deepEqual(pixel(image, 3, 1), [128, 128, 128, 255]);
+    assert.deepEqual(pixel(image, 4, 1), [0, 0, 0, 255]);
+});
@@ -0,0 +1,95 @@
+// see https://github.com/tmalbonph/js-sdk-canvas/blob/main/LICENSE
+//
+// drawEnd(): the dirty rectangle and the persistent frame with overlays.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CanvasToolClass, CanvasAnnotations } = require('../js/js-sdk-canvas-1.0.1.js');
+
+const WIDTH = 64;
+const HEIGHT = 16;
+
+function createBox() {
+    let box = new CanvasToolClass('frame', WIDTH, HEIGHT, 0, CanvasToolClass.createSurface(WIDTH, HEIGHT));
+    box.setLogging(false);
+    box.setPersistentFrame(true);
+    return box;
+}
+
+// The red part of the pixel x, y of an ImageData-like image.
+function red(image, x, y) {
+    return image.data[4 * (y * image.width + x)];
+}
+
+// One frame drawn by fn(box).
+function drawFrame(box, fn) {
+    box.drawBegin();
+    fn(box);
+    box.drawEnd();
+}
+
+test('a frame that changes nothing puts nothing', () => {
+    let box = createBox();
+    drawFrame(box, () => box.drawClearBackground('#000000'));
+    let dirty;
+    drawFrame(box, () => {
+        dirty = box.getDirtyRect();
+    });
+    assert.equal(dirty, null);
+});
+
+test('the persistent frame keeps the history without the playhead', () => {
+    let box = createBox();
+    let annotations = new CanvasAnnotations();
+    box.setAnnotations(annotations);
+    annotations.setPlayhead(10, { color: '#ff0000' });
+    drawFrame(box, () => box.drawClearBackground('#000000'));
+    assert.equal(red(box.getSurface(), 10, 8), 255, 'the playhead is on the canvas');
+
+    // the next frame starts from the kept frame, not from the canvas.
+    annotations.setPlayhead(50, { color: '#ff0000' });
+    drawFrame(box, () => {});
+    let image = box.getSurface();
+    assert.equal(red(image, 10, 8), 0, 'no ghost playhead on the canvas');
+    assert.equal(red(image, 50, 8), 255, 'the playhead moved');
+});
+
+test('removing the overlays repaints the pixels they covered', () => {
+    let box = createBox();
+    let annotations = new CanvasAnnotations();
+    box.setAnnotations(annotations);
+    annotations.setPlayhead(20, { color: '#ff0000' });
+    drawFrame(box, () => box.drawClearBackground('#000000'));
+    box.setAnnotations(null);
+    drawFrame(box, () => {});
+    assert.equal(red(box.getSurface(), 20, 8), 0);
+});
+
+test('a discarded frame does not bake the playhead into the history', () => {
+    let box = createBox();
+    let annotations = new CanvasAnnotations();
+    box.setAnnotations(annotations);
+    annotations.setPlayhead(5, { color: '#ff0000' });
+    box.withFrame(null, (session) => session.drawClearBackground('#000000'));
+
+    box.drawBegin(null).discard();
+    annotations.setPlayhead(10, { color: '#ff0000' });
+    box.withFrame(null, () => {});
+    let image = box.snapshot();
+    assert.equal(red(image, 5, 8), 0, 'no ghost playhead after the discard');
+    assert.equal(red(image, 10, 8), 255);
+});
+
+test('drawCanvasMarker() does not wrap around', () => {
+    let box = createBox();
+    box.withFrame(null, (session) => {
+        session.drawClearBackground('#000000');
+        assert.equal(session.drawCanvasMarker(WIDTH + 3, '#ff0000'), false);
+        assert.equal(session.drawCanvasMarker(-1, '#ff0000'), false);
+        assert.equal(session.drawCanvasMarker(WIDTH - 1, '#ff0000'), true);
+    });
+    let image = box.snapshot();
+    assert.equal(red(image, 3, 8), 0, 'x = width + 3 is not drawn at x = 3');
+    assert.equal(red(image, WIDTH - 1, 0), 255);
+    assert.equal(red(image, WIDTH - 1, HEIGHT - 1), 255);
+    assert.equal(red(image, 0, 1), 0, 'the last column does not spill into the next row');
+});
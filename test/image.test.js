@@ -0,0 +1,107 @@
+// see https://github.com/tmalbonph/js-sdk-canvas/blob/main/LICENSE
+//
+// The PNG and PPM encoders: decoding the files gives back the pixels of snapshot().
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { CanvasToolClass, CanvasImageEncoder } = require('../js/js-sdk-canvas-1.0.1.js');
+
+function paeth(a, b, c) {
+    let p = a + b - c;
+    let pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+    return (pa <= pb && pa <= pc) ? a : (pb <= pc) ? b : c;
+}
+
+// Decode an 8 bit RGBA, non interlaced PNG: check every chunk CRC, inflate IDAT and undo the row filters.
+function decodePng(bytes) {
+    let buffer = Buffer.from(bytes);
+    assert.deepEqual([...buffer.subarray(0, 8)], [137, 80, 78, 71, 13, 10, 26, 10]);
+    let offset = 8, width = 0, height = 0, idat = [];
+    while (offset < buffer.length) {
+        let length = buffer.readUInt32BE(offset);
+        let type = buffer.toString('latin1', offset + 4, offset + 8);
+        let body = buffer.subarray(offset + 8, offset + 8 + length);
+        assert.equal(buffer.readUInt32BE(offset + 8 + length), crc32(buffer.subarray(offset + 4, offset + 8 + length)), `CRC of ${type}`);
+        if (type === 'IHDR') {
+            width = body.readUInt32BE(0);
+            height = body.readUInt32BE(4);
+            assert.deepEqual([...body.subarray(8)], [8, 6, 0, 0, 0]);
+        } else if (type === 'IDAT') {
+            idat.push(body);
+        }
+        offset += 12 + length;
+    }
+    let raw = zlib.inflateSync(Buffer.concat(idat));
+    let stride = 4 * width;
+    let data = new Uint8ClampedArray(stride * height);
+    for (let y = 0; y < height; y++) {
+        let filter = raw[y * (stride + 1)];
+        for (let i = 0; i < stride; i++) {
+            let x = raw[y * (stride + 1) + 1 + i];
+            let a = (i >= 4) ? data[y * stride + i - 4] : 0;
+            let b = (y > 0) ? data[(y - 1) * stride + i] : 0;
+            let c = (i >= 4 && y > 0) ? data[(y - 1) * stride + i - 4] : 0;
+            let predictor = [0, a, b, (a + b) >> 1, paeth(a, b, c)][filter];
+            data[y * stride + i] = (x + predictor) & 0xFF;
+        }
+    }
+    return { width: width, height: height, data: data };
+}
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc ^= bytes[i];
+        for (let k = 0; k < 8; k++) {
+            crc = (crc & 1) ? (0xEDB88320 ^ (crc >>> 1)) : (crc >>> 1);
+        }
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function drawnBox() {
+    let box = new CanvasToolClass('png', 120, 40, 3, CanvasToolClass.createSurface(126, 46));
+    box.setLogging(false);
+    let bits = Int16Array.from({ length: 120 }, (_, i) => Math.round(15 * Math.sin(i / 6)));
+    box.withFrame(null, (session) => {
+        session.drawClearBackground('#102030');
+        session.drawOnCanvas(120, bits, false, '#ff8800');
+        session.drawOnCanvas(120, bits.map((v) => v >> 1), true, '#00ff88');
+    });
+    return box;
+}
+
+test('toPng() decodes to the pixels of snapshot()', () => {
+    let box = drawnBox();
+    let image = decodePng(box.toPng());
+    let snapshot = box.snapshot();
+    assert.equal(image.width, 120);
+    assert.equal(image.height, 40);
+    assert.deepEqual(Buffer.from(image.data), Buffer.from(snapshot.data));
+});
+
+test('encodePng() round-trips noise, which needs the literal and match paths of deflate', () => {
+    let image = CanvasToolClass.createSurface(37, 19);
+    let seed = 7;
+    for (let i = 0; i < image.data.length; i++) {
+        seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF;
+        image.data[i] = (i % 3 === 0) ? (seed >> 16) & 0xFF : 0x55;
+    }
+    let decoded = decodePng(CanvasImageEncoder.encodePng(image));
+    assert.deepEqual(Buffer.from(decoded.data), Buffer.from(image.data));
+});
+
+test('toPpm() keeps the RGB bytes of snapshot() after the header', () => {
+    let box = drawnBox();
+    let ppm = Buffer.from(box.toPpm());
+    let header = 'P6\n120 40\n255\n';
+    assert.equal(ppm.toString('latin1', 0, header.length), header);
+    let rgba = box.snapshot().data;
+    let rgb = ppm.subarray(header.length);
+    assert.equal(rgb.length, 120 * 40 * 3);
+    for (let i = 0, j = 0; i < rgba.length; i += 4, j += 3) {
+        if (rgb[j] !== rgba[i] || rgb[j + 1] !== rgba[i + 1] || rgb[j + 2] !== rgba[i + 2]) {
+            assert.fail(`pixel ${i / 4} differs`);
+        }
+    }
+});
@@ -0,0 +1,106 @@
+// see https://github.com/tmalbonph/js-sdk-canvas/blob/main/LICENSE
+//
+// POST /api/render of the demo server, listening on a free port.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+
+// test.js reads the demo files relative to the working directory.
+process.chdir(path.join(__dirname, '..'));
+const app = require('../test.js');
+
+// A 16 bit PCM mono WAV file of a sine wave.
+function createWav(frames, sampleRate) {
+    let wav = Buffer.alloc(44 + 2 * frames);
+    wav.write('RIFF', 0, 'latin1');
+    wav.writeUInt32LE(36 + 2 * frames, 4);
+    wav.write('WAVEfmt ', 8, 'latin1');
+    wav.writeUInt32LE(16, 16);
+    wav.writeUInt16LE(1, 20);
+    wav.writeUInt16LE(1, 22);
+    wav.writeUInt32LE(sampleRate, 24);
+    wav.writeUInt32LE(2 * sampleRate, 28);
+    wav.writeUInt16LE(2, 32);
+    wav.writeUInt16LE(16, 34);
+    wav.write('data', 36, 'latin1');
+    wav.writeUInt32LE(2 * frames, 40);
+    for (let i = 0; i < frames; i++) {
+        wav.writeInt16LE(Math.round(20000 * Math.sin(2 * Math.PI * i / 100)), 44 + 2 * i);
+    }
+    return wav;
+}
+
+function post(port, query, contentType, body) {
+    return new Promise((resolve, reject) => {
+        let req = http.request({
+            port: port,
+            method: 'POST',
+            path: '/api/render' + query,
+            headers: { 'Content-Type': contentType, 'Content-Length': body.length }
+        }, (res) => {
+            let chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body: Buffer.concat(chunks) }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+test('/api/render', async (t) => {
+    let server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    t.after(() => server.close());
+    let port = server.address().port;
+    let wav = createWav(8000, 8000);
+
+    await t.test('200 with a PNG of the requested size', async () => {
+        let res = await post(port, '?width=200&height=60&mode=peaks', 'audio/wav', wav);
+        assert.equal(res.status, 200);
+        assert.equal(res.type, 'image/png');
+        assert.deepEqual([...res.body.subarray(0, 8)], [137, 80, 78, 71, 13, 10, 26, 10]);
+        assert.equal(res.body.readUInt32BE(16), 200);
+        assert.equal(res.body.readUInt32BE(20), 60);
+    });
+
+    await t.test('200 with the peaks as JSON', async () => {
+        let res = await post(port, '?width=50&format=json', 'audio/wav', wav);
+        assert.equal(res.status, 200);
+        let json = JSON.parse(res.body.toString());
+        assert.equal(json.frames, 8000);
+        assert.equal(json.columns, 50);
+        assert.equal(json.max.length, 50);
+    });
+
+    await t.test('400 for a bad option or a body that is not a WAV file, without logging', async (t) => {
+        let logged = [];
+        for (let name of ['log', 'info', 'warn', 'error']) {
+            t.mock.method(console, name, (...args) => logged.push(args));
+        }
+        let res = await post(port, '?width=0', 'audio/wav', wav);
+        assert.equal(res.status, 400);
+        assert.equal(JSON.parse(res.body.toString()).error.code, 'INVALID_OPTION');
+        res = await post(port, '?height=1', 'audio/wav', wav);
+        assert.equal(res.status, 400);
+        assert.match(JSON.parse(res.body.toString()).error.message, /^height="1" must be an integer in 2\.\.\d+\.$/);
+        res = await post(port, '?color=nope', 'audio/wav', wav);
+        assert.deepEqual(JSON.parse(res.body.toString()).error, { code: 'INVALID_OPTION', message: 'color="nope" is not a color.' });
+        res = await post(port, '', 'audio/wav', Buffer.from('not a wav file at all, just some text'));
+        assert.equal(res.status, 400);
+        assert.equal(JSON.parse(res.body.toString()).error.code, 'INVALID_WAV');
+        assert.deepEqual(logged, []);
+    });
+
+    await t.test('415 for another Content-Type', async () => {
+        let res = await post(port, '', 'text/plain', Buffer.from('hello'));
+        assert.equal(res.status, 415);
+        assert.equal(JSON.parse(res.body.toString()).error.code, 'UNSUPPORTED_MEDIA_TYPE');
+    });
+
+    await t.test('413 for a body over the limit', async () => {
+        let res = await post(port, '', 'audio/wav', Buffer.alloc(16 * 1024 * 1024 + 1));
+        assert.equal(res.status, 413);
+        assert.equal(JSON.parse(res.body.toString()).error.code, 'PAYLOAD_TOO_LARGE');
+    });
+});
@@ -0,0 +1,107 @@
+// see https://github.com/tmalbonph/js-sdk-canvas/blob/main/LICENSE
+//
+// CanvasRendererRegistry: named renderers drawn through drawOnCanvas().
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CanvasToolClass, CanvasRendererRegistry } = require('../js/js-sdk-canvas-1.0.1.js');
+
+const WIDTH = 32;
+const HEIGHT = 16;
+
+function createBox() {
+    let box = new CanvasToolClass('renderer', WIDTH, HEIGHT, 0, CanvasToolClass.createSurface(WIDTH, HEIGHT));
+    box.setLogging(false);
+    box.setPersistentFrame(true);
+    box.withFrame(null, (session) => session.drawClearBackground('#000000'));
+    return box;
+}
+
+test('a renderer writing frame.data directly reaches the canvas', (t) => {
+    CanvasRendererRegistry.register('raw-fill', (frame) => {
+        let data = frame.data;
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = 200;
+            data[i + 3] = 255;
+        }
+    });
+    t.after(() => CanvasRendererRegistry.unregister('raw-fill'));
+    let box = createBox();
+    let dirty;
+    box.withFrame(null, (session) => {
+        session.drawOnCanvas(4, [0, 0, 0, 0], 'raw-fill');
+        dirty = box.getDirtyRect();
+    });
+    assert.deepEqual(dirty, { x: 0, y: 0, width: WIDTH, height: HEIGHT });
+    let image = box.snapshot();
+    assert.equal(image.data[0], 200);
+    assert.equal(image.data[image.data.length - 4], 200);
+});
+
+test('plot() and column() only put the pixels they paint', () => {
+    let box = createBox();
+    let dirty;
+    box.withFrame(null, (session) => {
+        session.drawOnCanvas(2, [3, -2], false, '#ffffff');
+        dirty = box.getDirtyRect();
+    });
+    assert.deepEqual(dirty, { x: 0, y: 6, width: 2, height: 6 });
+});
+
+test('drawLaneOnCanvas() draws a registered renderer clipped to the lane', (t) => {
+    CanvasRendererRegistry.register('fill', (frame) => {
+        for (let x = 0; x < frame.width; x++) {
+            frame.column(x, -100, 100);
+        }
+    });
+    t.after(() => CanvasRendererRegistry.unregister('fill'));
+    let box = createBox();
+    box.setLanes([{ label: '' }, { label: '' }], 4);
+    let lanes = box.getLanes();
+    box.withFrame(null, (session) => session.drawLaneOnCanvas(1, 4, [0, 0, 0, 0], 'fill'));
+    let image = box.snapshot();
+    let lit = (x, y) => image.data[4 * (y * WIDTH + x)] > 0;
+    assert.equal(lit(10, lanes[0].top), false, 'lane 0 is untouched');
+    assert.equal(lit(10, lanes[1].top), true);
+    assert.equal(lit(10, HEIGHT - 1), true);
+    assert.equal(lit(1, lanes[1].top + 4), false, 'the gutter is untouched');
+});
+
+test('drawLaneOnCanvas() and drawViewOnCanvas() use the renderer of the canvas', () => {
+    let calls = [];
+    let box = createBox();
+    box.setRenderer((frame) => calls.push([frame.left, frame.top, frame.width, frame.height, frame.n_bits]));
+    box.setLanes([{ label: 'A' }, { label: 'B' }], 4);
+    box.setVisibleRange(0, 1);
+    box.withFrame(null, (session) => {
+        session.drawLaneOnCanvas(0, 3, [1, 2, 3], false);
+        session.drawViewOnCanvas([1, 2, 3, 4, 5], false);
+    });
+    assert.deepEqual(calls, [[4, 0, WIDTH - 4, HEIGHT / 2, 3], [0, 0, 5, HEIGHT, 5]]);
+});
+
+test('an unknown renderer name is rejected instead of drawn as bars', () => {
+    let box = createBox();
+    box.setLanes([{ label: '' }], 0);
+    box.withFrame(null, (session) => {
+        assert.throws(() => session.drawLaneOnCanvas(0, 3, [1, 2, 3], 'stems'), { code: 'INVALID_ARGUMENT' });
+        assert.throws(() => session.drawViewOnCanvas([1, 2, 3], 'stems'), { code: 'INVALID_ARGUMENT' });
+    });
+});
+
+test('a truthy isBar that is not a name still draws bars, a falsy one the canvas renderer', () => {
+    let bits = [4, 8, 2, 6];
+    let draw = (isBar) => {
+        let box = createBox();
+        box.withFrame(null, (session) => session.drawOnCanvas(bits.length, bits, isBar, '#ffffff'));
+        return Buffer.from(box.snapshot().data);
+    };
+    let bars = draw('bars');
+    let dots = draw('dots');
+    assert.notDeepEqual(bars, dots);
+    for (let isBar of [true, 1, -1, 1n]) {
+        assert.deepEqual(draw(isBar), bars, String(isBar));
+    }
+    for (let isBar of [false, 0, NaN, '', null, undefined]) {
+        assert.deepEqual(draw(isBar), dots, String(isBar));
+    }
+});
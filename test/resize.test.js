@@ -0,0 +1,51 @@
+// see https://github.com/tmalbonph/js-sdk-canvas/blob/main/LICENSE
+//
+// observeResize() with a stand-in ResizeObserver, Node has none.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CanvasToolClass } = require('../js/js-sdk-canvas-1.0.1.js');
+
+class FakeResizeObserver {
+    constructor(callback) {
+        this.callback = callback;
+        FakeResizeObserver.last = this;
+    }
+
+    observe(element) {
+        this.element = element;
+    }
+
+    disconnect() {
+        this.element = null;
+    }
+
+    // Resize the observed element and call back like the browser does.
+    resize(width, height) {
+        this.element.clientWidth = width;
+        this.element.clientHeight = height;
+        this.callback([{ target: this.element, contentRect: { width: width, height: height } }], this);
+    }
+}
+
+test('observeResize() fits the canvas and skips a hidden or too small container', (t) => {
+    global.ResizeObserver = FakeResizeObserver;
+    t.after(() => delete global.ResizeObserver);
+    let box = new CanvasToolClass('resize', 100, 50, 2);
+    box.setLogging(false);
+    let canvas = { width: 104, height: 54, style: {} };
+    let container = { clientWidth: 0, clientHeight: 0 };
+    let sizes = [];
+    let stop = box.observeResize(canvas, { container: container, pixelRatio: 1, onResize: (_, size) => sizes.push(size) });
+
+    FakeResizeObserver.last.resize(200, 80);
+    assert.equal(canvas.width, 200);
+    assert.equal(box.width, 196);
+
+    assert.doesNotThrow(() => FakeResizeObserver.last.resize(0, 0));
+    assert.doesNotThrow(() => FakeResizeObserver.last.resize(3, 3));
+    assert.equal(canvas.width, 200, 'the last fitting size is kept');
+    assert.equal(sizes.length, 1);
+
+    stop();
+    assert.equal(FakeResizeObserver.last.element, null);
+});
@@ -0,0 +1,75 @@
+// see https://github.com/tmalbonph/js-sdk-canvas/blob/main/LICENSE
+//
+// setAmplitudeScaling() with the peaks, viewport and spectrum draw methods.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CanvasToolClass, CanvasSpectrumAnalyzer } = require('../js/js-sdk-canvas-1.0.1.js');
+
+const WIDTH = 100;
+const HEIGHT = 40;
+
+function render(draw, scaling, start, samplesPerPixel) {
+    let box = new CanvasToolClass('scaling', WIDTH, HEIGHT, 0, CanvasToolClass.createSurface(WIDTH, HEIGHT));
+    box.setLogging(false);
+    box.setAmplitudeScaling(scaling);
+    box.setVisibleRange(start || 0, samplesPerPixel || 1);
+    box.withFrame(null, (session) => {
+        session.drawClearBackground('#000000');
+        draw(session);
+    });
+    return Buffer.from(box.snapshot().data);
+}
+
+// Rows 0...HEIGHT - 1 with a lit pixel in column x.
+function litRows(pixels, x) {
+    let rows = [];
+    for (let y = 0; y < HEIGHT; y++) {
+        if (pixels[4 * (y * WIDTH + x) + 1] > 0) rows.push(y);
+    }
+    return rows;
+}
+
+// A loud first half and a quiet second half.
+const raw = Int16Array.from({ length: 4000 }, (_, i) => Math.round(((i < 2000) ? 32000 : 8000) * Math.sin(i / 3)));
+const half = HEIGHT / 2;
+const rows = Int16Array.from(raw, (v) => Math.round(v * half / 32768));
+// 'bars' draws up from the bottom line, full scale is the height.
+const bottomRows = Int16Array.from(raw, (v) => Math.round(v * (HEIGHT - 1) / 32768));
+
+for (let mode of ['peaks', 'line', 'dots', 'bars']) {
+    test(`drawViewOnCanvas('${mode}') scales raw samples like pre-scaled rows`, () => {
+        let view = (samples) => (session) => session.drawViewOnCanvas(samples, mode, '#00ff00');
+        let spp = (mode === 'peaks') ? raw.length / WIDTH : 0.5;
+        let expected = (mode === 'bars') ? bottomRows : rows;
+        assert.deepEqual(render(view(raw), { mode: 'linear' }, 0, spp), render(view(expected), null, 0, spp));
+    });
+}
+
+test('drawPeaksOnCanvas() scales the min, max and RMS of raw samples', () => {
+    let draw = (samples) => (session) => session.drawPeaksOnCanvas(samples, 0, -1, true, '#00ff00');
+    let scaled = render(draw(raw), { mode: 'linear' });
+    assert.deepEqual(litRows(scaled, 10), litRows(render(draw(rows), null), 10));
+    assert.ok(litRows(scaled, 10).length > HEIGHT / 2, 'full scale spans the height');
+});
+
+test("'normalize' uses the whole source, a view of the quiet half is not blown up", () => {
+    let view = (session) => session.drawViewOnCanvas(raw, 'peaks', '#00ff00');
+    let quietRows = litRows(render(view, { mode: 'normalize' }, 2000, 2000 / WIDTH), 50).length;
+    let loudRows = litRows(render(view, { mode: 'normalize' }, 0, 2000 / WIDTH), 50).length;
+    assert.ok(loudRows > 3 * quietRows, `loud=${loudRows} quiet=${quietRows}`);
+});
+
+test('drawSpectrumOnCanvas() draws the bar heights as given, whatever the scaling', () => {
+    let draw = (session) => session.drawSpectrumOnCanvas(new CanvasSpectrumAnalyzer(256), 256, raw, '#00ff00');
+    let plain = render(draw, null);
+    assert.ok(litRows(plain, 16).length > 0, 'the bars are drawn');
+    assert.deepEqual(render(draw, { mode: 'linear' }), plain);
+    assert.deepEqual(render(draw, { mode: 'normalize' }), plain);
+});
+
+test('drawSpectrumOnCanvas() leaves the scaler of the canvas in place', () => {
+    let box = new CanvasToolClass('scaler', WIDTH, HEIGHT, 0, CanvasToolClass.createSurface(WIDTH, HEIGHT));
+    let scaler = box.setAmplitudeScaling({ mode: 'linear' });
+    box.withFrame(null, (session) => session.drawSpectrumOnCanvas(new CanvasSpectrumAnalyzer(256), 256, raw));
+    assert.equal(box.getAmplitudeScaling(), scaler);
+});
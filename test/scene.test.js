@@ -0,0 +1,114 @@
+// see https://github.com/tmalbonph/js-sdk-canvas/blob/main/LICENSE
+//
+// CanvasScene: schema validation with every error listed by path, reload() and step().
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CanvasToolClass, CanvasScene, CanvasAnimator, CanvasToolError, CanvasStreamBuffer } = require('../js/js-sdk-canvas-1.0.1.js');
+
+// the thrown errors are checked here, not logged.
+CanvasToolClass.setDefaultLogger(null);
+
+function validScene() {
+    return {
+        fps: 10,
+        theme: 'scope',
+        sources: {
+            sine: { type: 'sine', length: 480, period: 48 },
+            live: { type: 'stream', capacity: 256 }
+        },
+        canvases: [
+            { id: 'wave', width: 64, height: 32, border: 2, source: 'sine', mode: 'line', step: 2 },
+            { id: 'input', width: 32, height: 32, source: 'live', mode: 'bars', fps: 30, grid: true }
+        ]
+    };
+}
+
+// The paths of the errors of a scene, sorted.
+function errorPaths(scene, options) {
+    return CanvasScene.validate(scene, options).map((e) => e.path).sort();
+}
+
+test('validate() accepts a valid scene', () => {
+    assert.deepEqual(CanvasScene.validate(validScene()), []);
+});
+
+test('validate() collects every problem with its path', () => {
+    let scene = validScene();
+    scene.fps = 0;
+    scene.colour = 'red';
+    scene.sources.sine = { type: 'sine', length: 480 };
+    scene.canvases[0].width = 64.5;
+    scene.canvases[0].color = 'not-a-color';
+    scene.canvases[1].id = 'wave';
+    scene.canvases[1].source = 'missing';
+    scene.canvases[1].theme = 'no-such-theme';
+    scene.canvases.push({ id: 'gonio', width: 8, height: 8, border: 4, source: 'sine', mode: 'xy' });
+    assert.deepEqual(errorPaths(scene), [
+        'canvases[0].color',
+        'canvases[0].width',
+        'canvases[1].id',
+        'canvases[1].source',
+        'canvases[1].theme',
+        'canvases[2].border',
+        'canvases[2].xy',
+        'colour',
+        'fps',
+        'sources.sine.period'
+    ]);
+});
+
+test('validate() reports a wrong type or a missing required property', () => {
+    assert.deepEqual(CanvasScene.validate(null), [{ path: 'scene', message: 'must be an object.' }]);
+    assert.deepEqual(errorPaths({}), ['canvases']);
+    assert.deepEqual(errorPaths({ canvases: [] }), ['canvases']);
+    assert.deepEqual(errorPaths({ canvases: [{ id: 'a', width: 1, height: 1 }] }), ['canvases[0].source']);
+});
+
+test('an application source of the wrong type fails validation at the canvas that uses it', () => {
+    let scene = { canvases: [{ id: 'a', width: 8, height: 8, source: 'x' }] };
+    assert.deepEqual(errorPaths(scene, { sources: { x: 5 } }), ['canvases[0].source']);
+    assert.deepEqual(errorPaths(scene, { sources: { x: new Int16Array(16) } }), []);
+    assert.deepEqual(errorPaths(scene, { sources: { x: () => null } }), []);
+    assert.throws(() => new CanvasScene(scene, { sources: { x: 5 } }), (e) => {
+        return e.code === CanvasToolError.INVALID_SCENE && e.errors.length === 1 && e.errors[0].path === 'canvases[0].source';
+    });
+});
+
+test('the constructor throws INVALID_SCENE with the errors, and the JSON parse error of a text scene', () => {
+    assert.throws(() => new CanvasScene({ canvases: [{ id: 'a' }] }), (e) => {
+        assert.equal(e.code, CanvasToolError.INVALID_SCENE);
+        assert.deepEqual(e.errors.map((item) => item.path).sort(), ['canvases[0].height', 'canvases[0].source', 'canvases[0].width']);
+        return true;
+    });
+    assert.throws(() => new CanvasScene('{"canvases": ['), (e) => {
+        assert.equal(e.code, CanvasToolError.INVALID_SCENE);
+        assert.equal(e.errors.length, 1);
+        assert.equal(e.errors[0].path, 'scene');
+        assert.match(e.errors[0].message, /^invalid JSON: /);
+        return true;
+    });
+});
+
+test('reload() keeps the current scene when the new one is not valid', () => {
+    let scene = new CanvasScene(JSON.stringify(validScene()), { clock: CanvasAnimator.createManualClock() });
+    let box = scene.getBox('wave');
+    assert.throws(() => scene.reload({ canvases: [{ id: 'wave', width: -1, height: 8, source: 'sine' }] }), { code: CanvasToolError.INVALID_SCENE });
+    assert.equal(scene.getBox('wave'), box);
+    assert.equal(scene.getScene().canvases.length, 2);
+
+    let next = validScene();
+    next.canvases[0].width = 48;
+    scene.reload(next);
+    assert.equal(scene.getBox('wave').getWidth(), 48);
+});
+
+test('step() draws every canvas once, grouped by frame rate', () => {
+    let scene = new CanvasScene(validScene(), { clock: CanvasAnimator.createManualClock() });
+    assert.ok(scene.getSource('live') instanceof CanvasStreamBuffer);
+    scene.getSource('live').push(new Int16Array(64).fill(1000));
+    assert.equal(scene.step(), 2);
+    assert.deepEqual(scene.getStats().map((stats) => [stats.fps, stats.canvases, stats.frames]), [[10, ['wave'], 1], [30, ['input'], 1]]);
+    assert.equal(scene.getEntry('wave').offset, 2);
+    let pixels = scene.getBox('wave').snapshot().data;
+    assert.ok(pixels.some((value, i) => i % 4 !== 3 && value > 0), 'the wave canvas was drawn');
+});
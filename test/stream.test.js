@@ -0,0 +1,96 @@
+// see https://github.com/tmalbonph/js-sdk-canvas/blob/main/LICENSE
+//
+// CanvasStreamBuffer ring buffer: wrap-around, zero-copy views, overflow and odd sample values.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CanvasToolClass, CanvasToolError, CanvasStreamBuffer } = require('../js/js-sdk-canvas-1.0.1.js');
+const { EventEmitter } = require('node:events');
+
+// the thrown errors are checked here, not logged.
+CanvasToolClass.setDefaultLogger(null);
+
+test('the latest samples stay in order across the wrap-around', () => {
+    let stream = new CanvasStreamBuffer(4);
+    assert.equal(stream.push([1, 2, 3]), 3);
+    assert.deepEqual(Array.from(stream.latest()), [1, 2, 3]);
+    stream.push([4, 5, 6]);
+    assert.equal(stream.getSize(), 4);
+    assert.equal(stream.getWritePosition(), 6);
+    assert.deepEqual(Array.from(stream.latest()), [3, 4, 5, 6]);
+    assert.deepEqual(Array.from(stream.latest(2)), [5, 6]);
+    assert.deepEqual(Array.from(stream.latest(99)), [3, 4, 5, 6]);
+    assert.equal(stream.latest(-1).length, 0);
+});
+
+test('latest and getView are views of the buffer, not copies', () => {
+    let stream = new CanvasStreamBuffer(4);
+    stream.push([1, 2, 3, 4, 5]);
+    let latest = stream.latest();
+    let view = stream.getView(2, 3);
+    assert.deepEqual(Array.from(view), [3, 4, 5]);
+    assert.equal(latest.buffer, view.buffer);
+    stream.push([6]);
+    // the view over position 2 now sees the sample that replaced it.
+    assert.equal(latest[0], 6);
+    assert.deepEqual(Array.from(stream.latest()), [3, 4, 5, 6]);
+    let box = stream.toBoxDataStructure(2, 8);
+    assert.equal(box.data.buffer, latest.buffer);
+    assert.deepEqual(Array.from(box.data), [5, 6]);
+});
+
+test('getView refuses positions that were overwritten or not written yet', () => {
+    let stream = new CanvasStreamBuffer(4);
+    stream.push([1, 2, 3, 4, 5, 6]);
+    assert.equal(stream.getView(1, 2), null);
+    assert.deepEqual(Array.from(stream.getView(2, 4)), [3, 4, 5, 6]);
+    assert.equal(stream.getView(5, 2), null);
+    assert.equal(stream.getView(2, 5), null);
+    assert.equal(stream.getView(6, 0).length, 0);
+});
+
+test('a chunk larger than the capacity keeps its tail and counts every sample', () => {
+    let stream = new CanvasStreamBuffer(3);
+    stream.push([9]);
+    assert.equal(stream.push([1, 2, 3, 4, 5, 6, 7]), 7);
+    assert.equal(stream.getWritePosition(), 8);
+    assert.deepEqual(Array.from(stream.latest()), [5, 6, 7]);
+    assert.deepEqual(Array.from(stream.getView(5, 3)), [5, 6, 7]);
+    stream.clear();
+    assert.equal(stream.getSize(), 0);
+    assert.equal(stream.getWritePosition(), 0);
+});
+
+test('samples are rounded and clipped, NaN becomes 0', () => {
+    let stream = new CanvasStreamBuffer(8);
+    stream.push([1.6, -40000, 40000, NaN, Infinity, -Infinity, undefined]);
+    assert.deepEqual(Array.from(stream.latest()), [2, -32768, 32767, 0, 32767, -32768, 0]);
+    let scaled = new CanvasStreamBuffer(4, { floatScale: 8 });
+    scaled.push(new Float32Array([0.5, -1, NaN, 2]));
+    assert.deepEqual(Array.from(scaled.latest()), [4, -8, 0, 16]);
+});
+
+test('raw PCM bytes keep an odd trailing byte for the next chunk', () => {
+    let stream = new CanvasStreamBuffer(4);
+    let bytes = Buffer.alloc(6);
+    [1000, -2, 300].forEach((value, i) => bytes.writeInt16LE(value, 2 * i));
+    assert.equal(stream.push(bytes.subarray(0, 3)), 1);
+    assert.equal(stream.push(bytes.buffer.slice(bytes.byteOffset + 3, bytes.byteOffset + 6)), 2);
+    assert.deepEqual(Array.from(stream.latest()), [1000, -2, 300]);
+});
+
+test('attachStream pushes data events until detached', () => {
+    let stream = new CanvasStreamBuffer(4);
+    let readable = new EventEmitter();
+    let detach = stream.attachStream(readable);
+    readable.emit('data', new Int16Array([7, 8]));
+    detach();
+    readable.emit('data', new Int16Array([9]));
+    assert.deepEqual(Array.from(stream.latest()), [7, 8]);
+});
+
+test('bad arguments throw INVALID_ARGUMENT', () => {
+    assert.throws(() => new CanvasStreamBuffer(0), (e) => e.code === CanvasToolError.INVALID_ARGUMENT);
+    let stream = new CanvasStreamBuffer(2);
+    assert.throws(() => stream.push(42), (e) => e.code === CanvasToolError.INVALID_ARGUMENT);
+    assert.throws(() => stream.attachStream({}), (e) => e.code === CanvasToolError.INVALID_ARGUMENT);
+});
@@ -0,0 +1,143 @@
+// see https://github.com/tmalbonph/js-sdk-canvas/blob/main/LICENSE
+//
+// CanvasWavDecoder with generated WAV files: every sample format, channels and broken headers.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CanvasToolClass, CanvasToolError, CanvasWavDecoder } = require('../js/js-sdk-canvas-1.0.1.js');
+
+// the thrown errors are checked here, not logged.
+CanvasToolClass.setDefaultLogger(null);
+
+const PCM = 1;
+const FLOAT = 3;
+const EXTENSIBLE = 0xFFFE;
+
+// One RIFF chunk: tag, size, body and the pad byte of an odd size.
+function chunk(tag, body) {
+    let head = Buffer.alloc(8);
+    head.write(tag, 0, 'latin1');
+    head.writeUInt32LE(body.length, 4);
+    return Buffer.concat([head, body, Buffer.alloc(body.length & 1)]);
+}
+
+function fmtChunk(format, channels, sampleRate, bits) {
+    let extensible = (format !== PCM && format !== FLOAT);
+    let body = Buffer.alloc(extensible ? 40 : 16);
+    body.writeUInt16LE(extensible ? EXTENSIBLE : format, 0);
+    body.writeUInt16LE(channels, 2);
+    body.writeUInt32LE(sampleRate, 4);
+    body.writeUInt32LE(sampleRate * channels * bits / 8, 8);
+    body.writeUInt16LE(channels * bits / 8, 12);
+    body.writeUInt16LE(bits, 14);
+    if (extensible) {
+        body.writeUInt16LE(22, 16);
+        body.writeUInt16LE(bits, 18);
+        // the sub format GUID starts with the real format code.
+        body.writeUInt16LE(format - 0x10000, 24);
+    }
+    return chunk('fmt ', body);
+}
+
+function riff(chunks) {
+    let body = Buffer.concat([Buffer.from('WAVE', 'latin1')].concat(chunks));
+    return chunk('RIFF', body);
+}
+
+// A WAV file of frames[frame][channel] values written by write(buffer, value, offset).
+function createWav(format, bits, sampleRate, frames, write) {
+    let channels = frames[0].length;
+    let bytes = bits / 8;
+    let data = Buffer.alloc(frames.length * channels * bytes);
+    frames.forEach((frame, i) => frame.forEach((value, c) => write(data, value, (i * channels + c) * bytes)));
+    return riff([fmtChunk(format, channels, sampleRate, bits), chunk('data', data)]);
+}
+
+const int16 = (data, value, offset) => data.writeInt16LE(value, offset);
+
+test('16 bit PCM mono keeps the samples and gives the metadata', () => {
+    let wav = createWav(PCM, 16, 8000, [[0], [1000], [-32768], [32767]], int16);
+    let result = CanvasWavDecoder.decode(wav, 64);
+    assert.equal(result.format, 'pcm');
+    assert.equal(result.sampleRate, 8000);
+    assert.equal(result.channels, 1);
+    assert.equal(result.bitsPerSample, 16);
+    assert.equal(result.frames, 4);
+    assert.equal(result.duration, 4 / 8000);
+    let box = result.boxes[0];
+    assert.equal(box._name, 'BoxDataStructure');
+    assert.equal(box.block, 64);
+    assert.equal(box.size, 4);
+    assert.equal(box.sampleRate, 8000);
+    assert.deepEqual(Array.from(box.data), [0, 1000, -32768, 32767]);
+});
+
+test('multichannel files are de-interleaved, one box per channel', () => {
+    let wav = createWav(PCM, 16, 44100, [[1, -1, 100], [2, -2, 200], [3, -3, 300]], int16);
+    let result = CanvasWavDecoder.decode(wav.buffer.slice(wav.byteOffset, wav.byteOffset + wav.length), 32);
+    assert.equal(result.channels, 3);
+    assert.deepEqual(result.boxes.map((box) => Array.from(box.data)), [[1, 2, 3], [-1, -2, -3], [100, 200, 300]]);
+    assert.deepEqual(result.boxes.map((box) => box.channel), [0, 1, 2]);
+    assert.deepEqual(CanvasToolClass.createBoxDataStructuresFromWav(wav, 32).map((box) => box.size), [3, 3, 3]);
+});
+
+test('8, 24 and 32 bit PCM are scaled to Int16', () => {
+    let pcm8 = createWav(PCM, 8, 8000, [[0], [128], [255]], (data, value, offset) => data.writeUInt8(value, offset));
+    assert.deepEqual(Array.from(CanvasWavDecoder.decode(pcm8, 8).boxes[0].data), [-32768, 0, 32512]);
+
+    let pcm24 = createWav(PCM, 24, 8000, [[-8388608], [0x123456], [-256]], (data, value, offset) => data.writeIntLE(value, offset, 3));
+    assert.deepEqual(Array.from(CanvasWavDecoder.decode(pcm24, 8).boxes[0].data), [-32768, 0x1234, -1]);
+
+    let pcm32 = createWav(PCM, 32, 8000, [[-2147483648], [0x12345678], [2147483647]], (data, value, offset) => data.writeInt32LE(value, offset));
+    assert.deepEqual(Array.from(CanvasWavDecoder.decode(pcm32, 8).boxes[0].data), [-32768, 0x1234, 32767]);
+});
+
+test('32 and 64 bit float are scaled and clipped to Int16', () => {
+    let values = [[0], [0.5], [-1], [2], [-2]];
+    let expected = [0, 16384, -32767, 32767, -32768];
+    let float32 = createWav(FLOAT, 32, 48000, values, (data, value, offset) => data.writeFloatLE(value, offset));
+    let result = CanvasWavDecoder.decode(float32, 8);
+    assert.equal(result.format, 'float');
+    assert.deepEqual(Array.from(result.boxes[0].data), expected);
+    let float64 = createWav(FLOAT, 64, 48000, values, (data, value, offset) => data.writeDoubleLE(value, offset));
+    assert.deepEqual(Array.from(CanvasWavDecoder.decode(float64, 8).boxes[0].data), expected);
+});
+
+test('WAVE_FORMAT_EXTENSIBLE takes the format of its sub format', () => {
+    let wav = createWav(0x10000 + FLOAT, 32, 48000, [[0.25, -0.25]], (data, value, offset) => data.writeFloatLE(value, offset));
+    let result = CanvasWavDecoder.decode(wav, 8);
+    assert.equal(result.format, 'float');
+    assert.deepEqual(result.boxes.map((box) => box.data[0]), [8192, -8192]);
+});
+
+test('other chunks are skipped with their pad byte, a truncated data chunk keeps the whole frames', () => {
+    let data = Buffer.alloc(10);
+    [1, 2, 3, 4, 5].forEach((value, i) => data.writeInt16LE(value, 2 * i));
+    let head = chunk('data', data).subarray(0, 8);
+    head.writeUInt32LE(1000, 4);
+    let wav = riff([chunk('LIST', Buffer.from('odd')), fmtChunk(PCM, 2, 8000, 16), head, data.subarray(0, 9)]);
+    let result = CanvasWavDecoder.decode(wav, 8);
+    assert.equal(result.frames, 2);
+    assert.deepEqual(result.boxes.map((box) => Array.from(box.data)), [[1, 3], [2, 4]]);
+});
+
+test('broken files throw INVALID_WAV or UNSUPPORTED_WAV', () => {
+    let data = chunk('data', Buffer.alloc(4));
+    let cases = [
+        ['not a buffer', 'RIFF....WAVE', CanvasToolError.INVALID_WAV, /ArrayBuffer/],
+        ['too short', Buffer.from('RIFF'), CanvasToolError.INVALID_WAV, /RIFF\/WAVE/],
+        ['not WAVE', Buffer.concat([Buffer.from('RIFF\0\0\0\0AVI ', 'latin1'), data]), CanvasToolError.INVALID_WAV, /RIFF\/WAVE/],
+        ['no fmt', riff([data]), CanvasToolError.INVALID_WAV, /"fmt "/],
+        ['no data', riff([fmtChunk(PCM, 1, 8000, 16)]), CanvasToolError.INVALID_WAV, /"data"/],
+        ['short fmt', riff([chunk('fmt ', Buffer.alloc(8)), data]), CanvasToolError.INVALID_WAV, /too short/],
+        ['12 bit', riff([fmtChunk(PCM, 1, 8000, 12), data]), CanvasToolError.UNSUPPORTED_WAV, /12 bits/],
+        ['ADPCM', riff([fmtChunk(0x10000 + 2, 1, 8000, 16), data]), CanvasToolError.UNSUPPORTED_WAV, /format 2/],
+        ['no channel', riff([fmtChunk(PCM, 0, 8000, 16), data]), CanvasToolError.INVALID_WAV, /channels=0/]
+    ];
+    cases.forEach(([name, wav, code, message]) => {
+        assert.throws(() => CanvasWavDecoder.decode(wav, 8), (e) => {
+            assert.equal(e.code, code, name);
+            assert.match(e.message, message, name);
+            return true;
+        }, name);
+    });
+});
@@ -0,0 +1,109 @@
+// see https://github.com/tmalbonph/js-sdk-canvas/blob/main/LICENSE
+//
+// The worker protocol over Node worker_threads: the worker draws into a headless surface.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Worker } = require('worker_threads');
+const path = require('path');
+const {
+    CanvasToolClass,
+    CanvasWorkerClient,
+    CanvasSpectrumAnalyzer,
+    CanvasToolDataError
+} = require('../js/js-sdk-canvas-1.0.1.js');
+
+const WORKER_FILE = path.join(__dirname, '..', 'js', 'js-sdk-canvas-worker-1.0.1.js');
+
+function sine(length, amplitude, period) {
+    return Int16Array.from({ length: length }, (_, i) => Math.round(amplitude * Math.sin(2 * Math.PI * i / period)));
+}
+
+test('worker create, frame and readPixels match the same drawing done in place', async (t) => {
+    const worker = new Worker(WORKER_FILE);
+    t.after(() => worker.terminate());
+    const remote = new CanvasWorkerClient(worker, 'wave', 64, 32, 2);
+    assert.equal(await remote.ready, true);
+
+    const bits = sine(64, 12, 16);
+    const results = await remote.withFrame((frame) => {
+        frame.drawClearBackground();
+        frame.drawOnCanvas(64, bits, false, '#00ff00');
+    });
+    assert.deepEqual(results, [true, true]);
+
+    const pixels = await remote.readPixels();
+    assert.equal(pixels.width, 68);
+    assert.equal(pixels.height, 36);
+
+    const local = new CanvasToolClass('wave', 64, 32, 2, CanvasToolClass.createSurface(68, 36));
+    local.withFrame(null, (session) => {
+        session.drawClearBackground();
+        session.drawOnCanvas(64, bits, false, '#00ff00');
+    });
+    assert.deepEqual(Buffer.from(pixels.data), Buffer.from(local.getSurface().data));
+    assert.equal(await remote.destroy(), true);
+});
+
+test('a failing call rejects the frame with the error code and keeps the previous pixels', async (t) => {
+    const worker = new Worker(WORKER_FILE);
+    t.after(() => worker.terminate());
+    const remote = new CanvasWorkerClient(worker, 'fail', 16, 16, 0);
+    await remote.ready;
+    await remote.withFrame((frame) => frame.drawClearBackground('#ff0000'));
+    const before = await remote.readPixels();
+
+    await assert.rejects(remote.withFrame((frame) => {
+        frame.drawClearBackground('#0000ff');
+        frame.drawClearBackground('no-such-color');
+    }), (e) => e instanceof CanvasToolDataError && e.code === 'INVALID_ARGUMENT');
+    assert.deepEqual(Buffer.from((await remote.readPixels()).data), Buffer.from(before.data));
+});
+
+test('a spectrum analyzer posted to the worker keeps its peak-hold state per canvas', async (t) => {
+    const worker = new Worker(WORKER_FILE);
+    t.after(() => worker.terminate());
+    const remote = new CanvasWorkerClient(worker, 'spectrum', 64, 32, 0);
+    await remote.ready;
+    const analyzer = new CanvasSpectrumAnalyzer(64, { peakHoldFrames: 10 });
+    const loud = sine(64, 30000, 8);
+    const quiet = new Int16Array(64);
+
+    await remote.withFrame((frame) => {
+        frame.drawClearBackground();
+        frame.drawSpectrumOnCanvas(analyzer, 64, loud, '#ffffff');
+    });
+    await remote.withFrame((frame) => {
+        frame.drawClearBackground();
+        frame.drawSpectrumOnCanvas(analyzer, 64, quiet, '#ffffff');
+    });
+    // silence leaves only the peak caps of the loud frame, drawn in a lighter color.
+    const pixels = await remote.readPixels();
+    let lit = 0;
+    for (let i = 0; i < pixels.data.length; i += 4) {
+        if (pixels.data[i] > 0) lit++;
+    }
+    assert.ok(lit > 0, 'the peak caps survive between frames');
+});
+
+test('worker calls outside the draw API are refused', async (t) => {
+    const worker = new Worker(WORKER_FILE);
+    t.after(() => worker.terminate());
+    const remote = new CanvasWorkerClient(worker, 'refused', 8, 8, 0);
+    await remote.ready;
+    await assert.rejects(remote.post({ type: 'call', method: 'setSurface', args: [] }, []), /can not be called through a worker/);
+    await assert.rejects(remote.post({ type: 'nope' }, []), /unknown message type/);
+});
+
+test('a throwing withFrame() callback rejects instead of throwing', async (t) => {
+    const worker = new Worker(WORKER_FILE);
+    t.after(() => worker.terminate());
+    const remote = new CanvasWorkerClient(worker, 'throwing', 8, 8, 0);
+    await remote.ready;
+    let result;
+    assert.doesNotThrow(() => {
+        result = remote.withFrame(() => {
+            throw new Error('no frame today');
+        });
+    });
+    await assert.rejects(result, /no frame today/);
+});